@@ -0,0 +1,253 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Comparison engine used to validate the response bodies returned by DAB.
+// Values are compared with strict typing, e.g. the number 1 does not match the string "1".
+// Arrays are compared in order unless they are wrapped with unordered(...) or the comparison
+// is performed with the unorderedArrays option.
+// Fields whose values are generated by the server can be validated with matchers placed
+// in the expected response, e.g. { "id": anyNumber(), "createdOn": isoDate(), "nextLink": ignore }.
+
+// Marks the objects created by the matcher factories below
+const matcherMarker = Symbol('matcher');
+
+// Helper function to create a matcher. The match function receives the actual value,
+// its JSON path and the comparison options and returns null when the value matches.
+// Otherwise, it returns the mismatch describing why the value does not match.
+const createMatcher = (description, match) => {
+  let matcher = {
+    description: description,
+    match: match
+  };
+  matcher[matcherMarker] = true;
+  return matcher;
+};
+
+// Helper function to create a matcher validating the actual value with a predicate
+const createPredicateMatcher = (description, predicate) => {
+  return createMatcher(description, (actual, path) => {
+    return predicate(actual) ? null : { path: path, expected: description, actual: actual };
+  });
+};
+
+// A helper function to check whether a value in the expected response is a matcher
+export const isMatcher = (value) => {
+  return isObject(value) && value[matcherMarker] === true;
+};
+
+// Marker for fields whose value is not validated. The field may also be absent from the actual response.
+export const ignore = createMatcher('<ignored>', () => null);
+
+// Matches any value, including null, as long as the field is present in the actual response
+export const anything = () => createPredicateMatcher('<anything>', (actual) => actual !== undefined);
+
+// Matches any finite number
+export const anyNumber = () => createPredicateMatcher('<any number>', (actual) => typeof actual == "number" && isFinite(actual));
+
+// Matches any string
+export const anyString = () => createPredicateMatcher('<any string>', (actual) => typeof actual == "string");
+
+// Matches strings satisfying the given regular expression
+export const matchesRegex = (regex) => createPredicateMatcher(`<string matching ${regex}>`, (actual) => typeof actual == "string" && regex.test(actual));
+
+// Matches ISO 8601 dates with an optional time and offset, e.g. 2002-02-02, 2002-02-02T10:00:00 or 2002-02-02T10:00:00.000Z
+export const isoDate = () => createPredicateMatcher('<ISO 8601 date>', (actual) => {
+  return typeof actual == "string"
+    && /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/.test(actual)
+    && !isNaN(Date.parse(actual));
+});
+
+// Matches values satisfying the given predicate. The description is reported when the value does not match.
+export const satisfies = (description, predicate) => createPredicateMatcher(`<${description}>`, predicate);
+
+// Matches arrays containing the expected items in any order
+export const unordered = (expectedItems) => createMatcher(`<unordered ${JSON.stringify(expectedItems)}>`, (actual, path, options) => {
+  if (!Array.isArray(actual)) {
+    return { path: path, expected: 'array', actual: actual };
+  }
+
+  return findFirstMismatchInUnorderedArray(expectedItems, actual, path, options);
+});
+
+// Matches the value with the expected value while skipping the fields at the given JSON paths.
+// Paths are relative to the value and support wildcards, e.g. ignoringPaths(expected, '$.nextLink', '$.value[*].id')
+export const ignoringPaths = (expected, ...ignoredPaths) => createMatcher(`<${JSON.stringify(expected)} ignoring ${ignoredPaths.join(', ')}>`, (actual, path, options) => {
+  const ignoredPathPatterns = ignoredPaths.map(ignoredPath => toPathPattern(ignoredPath.replace(/^\$/, () => path)));
+  return compareValues(expected, actual, path, Object.assign({}, options, {
+    ignoredPathPatterns: (options.ignoredPathPatterns || []).concat(ignoredPathPatterns)
+  }));
+});
+
+// Helper function to determine if two objects which can contain nested objects are equal
+// in terms of the values present in each field within the objects
+export const isDeepEqual = (expectedResponseJson, actualResponseJson, options = {}) => {
+  return findFirstMismatch(expectedResponseJson, actualResponseJson, options) == null;
+};
+
+// Helper function to find the first field whose value differs between two objects which can contain nested objects.
+// Returns null when the objects are equal. Otherwise, returns the JSON path of the first mismatching field
+// along with the expected and the actual values at that path.
+// Supported options:
+// ignorePaths     - JSON paths of the fields which are not validated, e.g. ['$.value[*].id']
+// unorderedArrays - When true, all the arrays are compared irrespective of the order of their items
+export const findFirstMismatch = (expectedResponseJson, actualResponseJson, { ignorePaths = [], unorderedArrays = false } = {}) => {
+  return compareValues(expectedResponseJson, actualResponseJson, '$', {
+    ignoredPathPatterns: ignorePaths.map(toPathPattern),
+    unorderedArrays: unorderedArrays
+  });
+};
+
+// Helper function to compare an expected value, which can be a matcher, with the actual value
+const compareValues = (expected, actual, path, options) => {
+  if (isMatcher(expected)) {
+    return expected.match(actual, path, options);
+  }
+
+  if (Array.isArray(expected)) {
+    if (!Array.isArray(actual)) {
+      return { path: path, expected: expected, actual: actual };
+    }
+
+    return options.unorderedArrays
+      ? findFirstMismatchInUnorderedArray(expected, actual, path, options)
+      : findFirstMismatchInOrderedArray(expected, actual, path, options);
+  }
+
+  if (isObject(expected)) {
+    if (!isObject(actual) || Array.isArray(actual)) {
+      return { path: path, expected: expected, actual: actual };
+    }
+
+    return findFirstMismatchInObject(expected, actual, path, options);
+  }
+
+  if (expected !== actual) {
+    return { path: path, expected: expected, actual: actual };
+  }
+
+  return null;
+};
+
+// Helper function to compare the fields of two objects
+const findFirstMismatchInObject = (expected, actual, path, options) => {
+  for (const key of Object.keys(expected)) {
+    const pathOfCurrentKey = appendToPath(path, key, false);
+    if (isIgnoredPath(pathOfCurrentKey, options) || expected[key] === ignore) {
+      continue;
+    }
+
+    if (!(key in actual)) {
+      return { path: pathOfCurrentKey, expected: describeExpected(expected[key]), actual: '<missing field>' };
+    }
+
+    const mismatch = compareValues(expected[key], actual[key], pathOfCurrentKey, options);
+    if (mismatch != null) {
+      return mismatch;
+    }
+  }
+
+  for (const key of Object.keys(actual)) {
+    const pathOfCurrentKey = appendToPath(path, key, false);
+    if (!(key in expected) && !isIgnoredPath(pathOfCurrentKey, options)) {
+      return { path: pathOfCurrentKey, expected: '<no field>', actual: actual[key] };
+    }
+  }
+
+  return null;
+};
+
+// Helper function to compare the items of two arrays position by position
+const findFirstMismatchInOrderedArray = (expected, actual, path, options) => {
+  if (expected.length != actual.length) {
+    return { path: path, expectedLength: expected.length, actualLength: actual.length };
+  }
+
+  for (let index = 0; index < expected.length; index++) {
+    const pathOfCurrentItem = appendToPath(path, index, true);
+    if (isIgnoredPath(pathOfCurrentItem, options)) {
+      continue;
+    }
+
+    const mismatch = compareValues(expected[index], actual[index], pathOfCurrentItem, options);
+    if (mismatch != null) {
+      return mismatch;
+    }
+  }
+
+  return null;
+};
+
+// Helper function to compare the items of two arrays irrespective of their order.
+// Each expected item must match a different item of the actual array. As matchers can accept several items,
+// e.g. anyNumber() and 1 both accept 1, the expected items are assigned to the actual items by bipartite
+// matching over the actual items each of them accepts, rather than to the first item each of them accepts.
+const findFirstMismatchInUnorderedArray = (expected, actual, path, options) => {
+  if (expected.length != actual.length) {
+    return { path: path, expectedLength: expected.length, actualLength: actual.length };
+  }
+
+  const candidateIndices = expected.map(expectedItem => actual
+    .map((actualItem, actualIndex) => actualIndex)
+    .filter(actualIndex => compareValues(expectedItem, actual[actualIndex], appendToPath(path, actualIndex, true), options) == null));
+
+  // Index of the expected item assigned to each actual item
+  let assignedExpectedIndices = actual.map(() => -1);
+
+  // Assigns an expected item to one of its candidates, reassigning the expected item holding that candidate
+  // to another of its candidates when needed, i.e. along an augmenting path
+  const assign = (expectedIndex, visitedIndices) => {
+    return candidateIndices[expectedIndex].some(actualIndex => {
+      if (visitedIndices.has(actualIndex)) {
+        return false;
+      }
+
+      visitedIndices.add(actualIndex);
+      if (assignedExpectedIndices[actualIndex] == -1 || assign(assignedExpectedIndices[actualIndex], visitedIndices)) {
+        assignedExpectedIndices[actualIndex] = expectedIndex;
+        return true;
+      }
+
+      return false;
+    });
+  };
+
+  for (let index = 0; index < expected.length; index++) {
+    if (!assign(index, new Set())) {
+      return { path: appendToPath(path, index, true), expected: describeExpected(expected[index]), actual: '<no matching item in any order>' };
+    }
+  }
+
+  return null;
+};
+
+// Helper function to report the expected value in a mismatch. Matchers are reported by their description.
+const describeExpected = (expected) => {
+  return isMatcher(expected) ? expected.description : expected;
+};
+
+// Helper function to build the JSON path of a field, e.g. $.value[0].name or $["ID Number"]
+const appendToPath = (path, key, isArrayIndex) => {
+  if (isArrayIndex) {
+    return `${path}[${key}]`;
+  }
+
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+};
+
+// Helper function to convert a JSON path, which can contain the wildcards .* and [*], to a regular expression
+const toPathPattern = (path) => {
+  const escapedPath = path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp('^' + escapedPath
+    .replace(/\\\[\\\*\\\]/g, '\\[[^\\]]+\\]')
+    .replace(/\\\.\\\*/g, '\\.[^.[]+') + '$');
+};
+
+// Helper function to check whether the field at the given path is ignored by the comparison options
+const isIgnoredPath = (path, options) => {
+  return (options.ignoredPathPatterns || []).some(pattern => pattern.test(path));
+};
+
+// A helper function to check whether a given item is an object
+export const isObject = (object) => {
+  return object != null && typeof object == "object";
+};
@@ -0,0 +1,266 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import http from 'k6/http';
+import { getResponseJson, checkOutcomes, isObject } from './Helper.js';
+import { rest, graphql, getEntityOfByPkField } from './Requests.js';
+
+// Consistency checks performed after a batch of concurrent writes. Each write of the batch is described by
+// the item it writes and the field values it writes:
+// {
+//   'updateNotebookColorToCyan': { entity: 'Notebook', primaryKey: { id: 3 }, graphQLField: 'notebook_by_pk', fields: { "color": "cyan" } },
+//   'createPublisherUsingRest': { entity: 'Publisher', primaryKey: keyOfWrittenRow('id'), graphQLField: 'publisher_by_pk', fields: { "name": "Office Publisher" } }
+// }
+// The primary key is either known upfront or, for the items whose primary key is generated by the database,
+// selected from the row returned by the write with keyOfWrittenRow. graphQLField is the name of the
+// <entity>_by_pk query of the entity and is omitted for entities which are not exposed through GraphQL.
+// Entities which are not exposed through REST, such as the Cosmos DB entities, set rest to false and are only
+// re-read through GraphQL. The items of a Cosmos DB container also set the value of their partition key:
+//   'updatePlanet': { entity: 'PlanetAlias', primaryKey: { id: "Pluto" }, partitionKeyValue: "Pluto", rest: false, graphQLField: 'planet_by_pk', fields: { "name": "Pluto" } }
+// The items are re-read with the role given by readRole, which defaults to authenticated.
+//
+// Two checks are registered:
+// Validate read your writes         - Each successful write returns a row holding the values it wrote.
+// Validate serializable final state - The final state of each item, read through REST and GraphQL, is the state
+//                                     left by applying the successful writes one after the other in some order.
+// Writes whose response is not successful are not expected to be applied and are ignored by both checks.
+
+// Selects the primary key of the item written by a request from the row returned by the request
+export const keyOfWrittenRow = (...primaryKeyFields) => {
+  return (writtenRow) => {
+    let primaryKey = {};
+    primaryKeyFields.forEach(field => {
+      primaryKey[field] = writtenRow[field];
+    });
+    return primaryKey;
+  };
+};
+
+// Gets the row returned by a REST or a GraphQL write, i.e. the first item of the value array
+// of a REST response or the value of the single field of the data of a GraphQL response.
+// Stored procedures executed through GraphQL return a list of rows, whose first item is the written row.
+export const getWrittenRow = (responseJson) => {
+  if (Array.isArray(responseJson.value)) {
+    return responseJson.value[0];
+  }
+
+  if (isObject(responseJson.data)) {
+    const fields = Object.keys(responseJson.data);
+    if (fields.length != 1) {
+      return undefined;
+    }
+
+    const fieldValue = responseJson.data[fields[0]];
+    return Array.isArray(fieldValue) ? fieldValue[0] : fieldValue;
+  }
+
+  return undefined;
+};
+
+// Helper function to check whether a write succeeded and is therefore expected to be applied
+const isSuccessfulWrite = (response) => {
+  if (response.status < 200 || response.status >= 300) {
+    return false;
+  }
+
+  const responseJson = getResponseJson(response);
+  return !(Array.isArray(responseJson.errors) && responseJson.errors.length) && isObject(getWrittenRow(responseJson));
+};
+
+// Helper function to find the rows returned by the writes which do not hold the values they wrote
+const getReadYourWritesMismatches = (writeNames, responses, writes) => {
+  let mismatches = [];
+  writeNames.forEach(writeName => {
+    const writtenRow = getWrittenRow(getResponseJson(responses[writeName]));
+    Object.keys(writes[writeName].fields)
+      .filter(field => writtenRow[field] !== writes[writeName].fields[field])
+      .forEach(field => mismatches.push({
+        request: writeName,
+        field: field,
+        written: writes[writeName].fields[field],
+        returned: writtenRow[field]
+      }));
+  });
+
+  return mismatches;
+};
+
+// Helper function to order the writes so that, for each field, the write chosen as the last writer of the field
+// comes after all the other writes of that field. Returns null when the choices contradict each other.
+const orderWrites = (writeNames, writes, lastWriterPerField) => {
+  let predecessors = {};
+  writeNames.forEach(writeName => {
+    predecessors[writeName] = new Set();
+  });
+
+  Object.keys(lastWriterPerField).forEach(field => {
+    writeNames
+      .filter(writeName => writeName != lastWriterPerField[field] && field in writes[writeName].fields)
+      .forEach(writeName => predecessors[lastWriterPerField[field]].add(writeName));
+  });
+
+  let order = [];
+  let remainingWrites = writeNames.slice();
+  while (remainingWrites.length) {
+    const nextWrite = remainingWrites.find(writeName => Array.from(predecessors[writeName]).every(predecessor => order.includes(predecessor)));
+    if (nextWrite === undefined) {
+      return null;
+    }
+
+    order.push(nextWrite);
+    remainingWrites.splice(remainingWrites.indexOf(nextWrite), 1);
+  }
+
+  return order;
+};
+
+// Finds an order of the writes which, applied one after the other, produces the final state of the item.
+// The last writer of each written field must be one of the writes which wrote its final value. As several writes
+// can write the same value, each combination of candidate last writers is tried. Returns null when no order exists.
+export const findSerialization = (writeNames, writes, finalState) => {
+  const writtenFields = Array.from(new Set(writeNames.reduce((fields, writeName) => fields.concat(Object.keys(writes[writeName].fields)), [])));
+  const candidatesPerField = writtenFields.map(field => writeNames.filter(writeName =>
+    field in writes[writeName].fields && writes[writeName].fields[field] === finalState[field]));
+
+  const tryCandidates = (fieldIndex, lastWriterPerField) => {
+    if (fieldIndex == writtenFields.length) {
+      return orderWrites(writeNames, writes, lastWriterPerField);
+    }
+
+    for (const candidate of candidatesPerField[fieldIndex]) {
+      const order = tryCandidates(fieldIndex + 1, Object.assign({}, lastWriterPerField, { [writtenFields[fieldIndex]]: candidate }));
+      if (order) {
+        return order;
+      }
+    }
+
+    return null;
+  };
+
+  return tryCandidates(0, {});
+};
+
+// Helper function to build the GraphQL request reading an item through the <entity>_by_pk query
+const toGraphQLReadRequest = (item, fields) => {
+  let keyArguments = Object.assign({}, item.primaryKey);
+  if (item.partitionKeyValue !== undefined) {
+    keyArguments._partitionKeyValue = item.partitionKeyValue;
+  }
+
+  return graphql.byPk(getEntityOfByPkField(item.graphQLField), fields, keyArguments, { role: item.readRole });
+};
+
+// Helper function to get the fields selected when an item is only re-read through GraphQL,
+// i.e. its primary key and all the fields written by its writes
+const getWrittenFields = (item) => {
+  return Array.from(new Set(item.writeNames.reduce((fields, writeName) => fields.concat(Object.keys(item.writes[writeName].fields)), Object.keys(item.primaryKey))));
+};
+
+// Helper function to re-read the written items through REST, then through GraphQL selecting the fields
+// returned by REST. The reads of all the items are performed in parallel.
+const readItems = (items) => {
+  let restRequests = {};
+  items.forEach((item, index) => {
+    if (item.rest !== false) {
+      restRequests[index] = rest.get(item.entity, item.primaryKey, null, { role: item.readRole });
+    }
+  });
+
+  const restResponses = http.batch(restRequests);
+  const restRows = items.map((item, index) => restResponses[index] && restResponses[index].status == 200 ? getResponseJson(restResponses[index]).value[0] : null);
+
+  let graphQLRequests = {};
+  items.forEach((item, index) => {
+    if (item.graphQLField) {
+      const fields = item.rest === false ? getWrittenFields(item) : restRows[index] ? Object.keys(restRows[index]) : Object.keys(item.primaryKey);
+      graphQLRequests[index] = toGraphQLReadRequest(item, fields);
+    }
+  });
+
+  const graphQLResponses = http.batch(graphQLRequests);
+  return items.map((item, index) => ({
+    rest: item.rest === false ? undefined : restRows[index],
+    graphQL: item.graphQLField ? (getResponseJson(graphQLResponses[index]).data || {})[item.graphQLField] : undefined
+  }));
+};
+
+// Helper function to list the values written by each write of an item, reported when no serialization is found
+const getWrittenValues = (item) => {
+  let writtenValues = {};
+  item.writeNames.forEach(writeName => {
+    writtenValues[writeName] = item.writes[writeName].fields;
+  });
+  return writtenValues;
+};
+
+// Helper function to find the items whose final state is not a serialization of their writes
+// or whose REST and GraphQL representations differ
+const getSerializationMismatches = (items, finalStates) => {
+  let mismatches = [];
+  items.forEach((item, index) => {
+    const finalState = finalStates[index];
+    const itemDescription = { entity: item.entity, primaryKey: item.primaryKey, writes: item.writeNames };
+    if (item.rest === false) {
+      if (!finalState.graphQL) {
+        mismatches.push(Object.assign(itemDescription, { reason: 'The written item is not found through GraphQL' }));
+      } else if (!findSerialization(item.writeNames, item.writes, finalState.graphQL)) {
+        mismatches.push(Object.assign(itemDescription, { reason: 'No order of the writes produces the final state', finalState: finalState.graphQL, writtenValues: getWrittenValues(item) }));
+      }
+
+      return;
+    }
+
+    if (!finalState.rest) {
+      mismatches.push(Object.assign(itemDescription, { reason: 'The written item is not found through REST' }));
+      return;
+    }
+
+    if (finalState.graphQL !== undefined && JSON.stringify(finalState.graphQL) != JSON.stringify(finalState.rest)) {
+      mismatches.push(Object.assign(itemDescription, { reason: 'REST and GraphQL return different states', rest: finalState.rest, graphQL: finalState.graphQL }));
+      return;
+    }
+
+    if (!findSerialization(item.writeNames, item.writes, finalState.rest)) {
+      mismatches.push(Object.assign(itemDescription, { reason: 'No order of the writes produces the final state', finalState: finalState.rest, writtenValues: getWrittenValues(item) }));
+    }
+  });
+
+  return mismatches;
+};
+
+// Registers the read your writes and the serializable final state checks for the writes of a batch.
+// The written items are re-read once the batch completes. See the top of this file for the description of the writes.
+export const checkConsistency = (responses, writes) => {
+  const successfulWriteNames = Object.keys(writes).filter(writeName => isSuccessfulWrite(responses[writeName]));
+  const readYourWrites = checkOutcomes('Validate read your writes', responses, [getReadYourWritesMismatches(successfulWriteNames, responses, writes)]);
+
+  // The successful writes are grouped by the item they wrote
+  let items = [];
+  successfulWriteNames.forEach(writeName => {
+    const write = writes[writeName];
+    const primaryKey = typeof write.primaryKey == "function"
+      ? write.primaryKey(getWrittenRow(getResponseJson(responses[writeName])))
+      : write.primaryKey;
+
+    let item = items.find(item => item.entity == write.entity && JSON.stringify(item.primaryKey) == JSON.stringify(primaryKey));
+    if (!item) {
+      item = {
+        entity: write.entity,
+        primaryKey: primaryKey,
+        partitionKeyValue: write.partitionKeyValue,
+        rest: write.rest,
+        graphQLField: write.graphQLField,
+        readRole: write.readRole || 'authenticated',
+        writeNames: [],
+        writes: writes
+      };
+      items.push(item);
+    }
+
+    item.writeNames.push(writeName);
+  });
+
+  const finalStates = readItems(items);
+  const serializable = checkOutcomes('Validate serializable final state', responses, [getSerializationMismatches(items, finalStates)]);
+  return readYourWrites && serializable;
+};
@@ -0,0 +1,57 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { getResponseJson, statusCodes } from '../Helper.js';
+import { graphql, entities } from '../Requests.js';
+import http from 'k6/http';
+
+// The test cases act on planets of their own, which are prepared through DAB's GraphQL API before each
+// test case runs and removed once the run completes. So, the suite can be run against any container
+// partitioned by /id, such as the planet container of the Cosmos DB emulator used by the CosmosTests of the engine.
+
+// Planets the test cases act on along with their state before each test case. Planets without
+// state are created by the test cases and are removed before each test case.
+export const planets = [
+  { id: 'ConcurrentCreatePlanet', state: null },
+  { id: 'ConcurrentUpdatePlanet', state: { "name": "Concurrent Update Planet", "age": 1, "dimension": "space" } },
+  { id: 'ConcurrentDeletePlanet', state: { "name": "Concurrent Delete Planet", "age": 2, "dimension": "space" } }
+];
+
+// Fields of the planets read and written by the test cases
+export const planetFields = ['id', 'name', 'age', 'dimension'];
+
+// Helper function to send a GraphQL request preparing the state of the container. Failing to prepare
+// the state of the container invalidates the test run, so an error is thrown in that case.
+const sendStateRequest = (request) => {
+  const response = http.request(request.method, request.url, request.body, request.params);
+
+  const responseJson = getResponseJson(response);
+  if (response.status != statusCodes.Ok || (Array.isArray(responseJson.errors) && responseJson.errors.length)) {
+    throw new Error(`Failed to prepare the state of the container: ${response.status}. ${response.body}`);
+  }
+
+  return responseJson.data;
+};
+
+// Helper function to delete a planet when it exists
+const removePlanet = (id) => {
+  if (sendStateRequest(graphql.byPk(entities.Planet, planetFields, { "id": id, "_partitionKeyValue": id })).planet_by_pk) {
+    sendStateRequest(graphql.delete(entities.Planet, ['id'], { "id": id, "_partitionKeyValue": id }));
+  }
+};
+
+// Restores the planets the test cases act on to their state before each test case.
+// The planets are recreated, so that the fields left by a previous test case are removed.
+export const restorePlanets = () => {
+  planets.forEach(planet => {
+    removePlanet(planet.id);
+    if (planet.state) {
+      sendStateRequest(graphql.create(entities.Planet, planetFields, { "item": Object.assign({ "id": planet.id }, planet.state) }));
+    }
+  });
+};
+
+// Removes all the planets the test cases act on so that the container is left as it was before the run
+export const removePlanets = () => {
+  planets.forEach(planet => removePlanet(planet.id));
+};
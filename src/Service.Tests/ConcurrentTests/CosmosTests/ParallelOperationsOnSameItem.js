@@ -0,0 +1,158 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { statusCodes, allStatusCodesIn, checkNoErrors, checkStatusCodes, checkResponseBodies, checkGraphQLResponses } from '../Helper.js';
+import { graphql, entities } from '../Requests.js';
+import { planetFields } from './ContainerState.js';
+import { checkConsistency } from '../Consistency.js';
+import { anything, satisfies } from '../Comparison.js';
+import http from 'k6/http';
+
+// These tests race GraphQL mutations on the same planet, i.e. on the same id and partition key value.
+// Cosmos DB NoSQL is only exposed through GraphQL and reports the failure of a mutation, such as the
+// conflict of a create or the absence of the item to delete, as an error along with a null field and a 200 status code.
+
+// Helper function to get the arguments identifying a planet, whose partition key value is its id
+const toPlanetKey = (id) => ({ "id": id, "_partitionKeyValue": id });
+
+// Helper function to describe a write of a planet for the consistency checks. The planets are only re-read through GraphQL.
+const toWrite = (id, fields) => ({ entity: 'PlanetAlias', primaryKey: { id: id }, partitionKeyValue: id, rest: false, graphQLField: 'planet_by_pk', fields: fields });
+
+// Helper function to build a matcher accepting any of the given values
+const isOneOf = (values) => satisfies(`one of ${values.join(', ')}`, value => values.includes(value));
+
+// Helper function to build the acceptable outcomes of requests racing on the same item, where exactly one
+// request succeeds. getExpectedResponse(queryName, succeeds) gives the expected response of each request.
+const exactlyOneSucceeds = (queryNames, getExpectedResponse) => {
+  return queryNames.map(successfulQueryName => {
+    let expectedResponses = {};
+    queryNames.forEach(queryName => {
+      expectedResponses[queryName] = getExpectedResponse(queryName, queryName == successfulQueryName);
+    });
+    return expectedResponses;
+  });
+};
+
+// This test creates the same planet several times in parallel. Cosmos DB rejects the creation of an item whose id
+// already exists in the partition, so irrespective of the execution order, exactly one create is expected to
+// succeed and to return the planet it created, while all the others fail with a conflict.
+// The planet is expected to hold the fields written by the successful create.
+export const validateParallelCreateOperationsOnSameItem = () => {
+  const id = 'ConcurrentCreatePlanet';
+  const queryNames = ['createPlanet1', 'createPlanet2', 'createPlanet3', 'createPlanet4'];
+
+  let requests = {};
+  let writes = {};
+  queryNames.forEach((queryName, index) => {
+    const fields = { "name": `Concurrent Planet ${index + 1}`, "age": index + 1, "dimension": "space" };
+    requests[queryName] = graphql.create(entities.Planet, planetFields, { "item": Object.assign({ "id": id }, fields) });
+    writes[queryName] = toWrite(id, fields);
+  });
+
+  const expectedResponses = exactlyOneSucceeds(queryNames, (queryName, succeeds) => succeeds
+    ? { "data": { "createPlanet": Object.assign({ "id": id }, writes[queryName].fields) } }
+    : { "data": { "createPlanet": null }, "errors": anything() });
+
+  // Performs all the GraphQL mutations in parallel
+  const responses = http.batch(requests);
+
+  checkNoErrors(queryNames, responses);
+  checkStatusCodes(queryNames, responses, allStatusCodesIn(statusCodes.Ok));
+  checkResponseBodies(queryNames, responses, ...expectedResponses);
+
+  checkConsistency(responses, writes);
+};
+
+// This test replaces the same planet through updatePlanet and updates some of its fields through patchPlanet in
+// parallel while the planet is read. DAB replaces and patches the items without an If-Match precondition on their
+// etag, so Cosmos DB applies the racing writes one after the other instead of rejecting the writes based on a stale
+// etag: every write is expected to succeed and to return the planet holding the fields it wrote. Each write is
+// applied atomically to the whole item, so the read returns the planet before the writes or after one of them, and
+// the final state of the planet is the state left by applying the writes one after the other in some order.
+export const validateParallelUpdateOperationsOnSameItem = () => {
+  const id = 'ConcurrentUpdatePlanet';
+
+  const replacements = {
+    'replacePlanet1': { "name": "Replaced Planet 1", "age": 10, "dimension": "space" },
+    'replacePlanet2': { "name": "Replaced Planet 2", "age": 20, "dimension": "time" }
+  };
+  const patches = {
+    'patchPlanetName': { "name": "Patched Planet" },
+    'patchPlanetAge': { "age": 30 }
+  };
+
+  const names = ["Concurrent Update Planet", "Replaced Planet 1", "Replaced Planet 2", "Patched Planet"];
+  const ages = [1, 10, 20, 30];
+  const dimensions = ["space", "time"];
+  const anyPlanetState = (fields) => Object.assign({ "id": id, "name": isOneOf(names), "age": isOneOf(ages), "dimension": isOneOf(dimensions) }, fields);
+
+  const writeNames = Object.keys(replacements).concat(Object.keys(patches));
+  const queryNames = writeNames.concat(['readPlanet']);
+
+  const requests = {
+    'replacePlanet1': graphql.update(entities.Planet, planetFields, Object.assign(toPlanetKey(id), { "item": Object.assign({ "id": id }, replacements['replacePlanet1']) })),
+    'replacePlanet2': graphql.update(entities.Planet, planetFields, Object.assign(toPlanetKey(id), { "item": Object.assign({ "id": id }, replacements['replacePlanet2']) })),
+    'patchPlanetName': graphql.patch(entities.Planet, planetFields, Object.assign(toPlanetKey(id), { "item": patches['patchPlanetName'] })),
+    'patchPlanetAge': graphql.patch(entities.Planet, planetFields, Object.assign(toPlanetKey(id), { "item": patches['patchPlanetAge'] })),
+    'readPlanet': graphql.byPk(entities.Planet, planetFields, toPlanetKey(id))
+  };
+
+  const expectedResponses = {
+    'replacePlanet1': { "data": { "updatePlanet": Object.assign({ "id": id }, replacements['replacePlanet1']) } },
+    'replacePlanet2': { "data": { "updatePlanet": Object.assign({ "id": id }, replacements['replacePlanet2']) } },
+    'patchPlanetName': { "data": { "patchPlanet": anyPlanetState(patches['patchPlanetName']) } },
+    'patchPlanetAge': { "data": { "patchPlanet": anyPlanetState(patches['patchPlanetAge']) } },
+    'readPlanet': { "data": { "planet_by_pk": anyPlanetState({}) } }
+  };
+
+  let writes = {};
+  writeNames.forEach(writeName => {
+    writes[writeName] = toWrite(id, replacements[writeName] || patches[writeName]);
+  });
+
+  // Performs all the GraphQL mutations and the read in parallel
+  const responses = http.batch(requests);
+
+  checkNoErrors(queryNames, responses);
+  checkStatusCodes(queryNames, responses, allStatusCodesIn(statusCodes.Ok));
+  checkResponseBodies(queryNames, responses, expectedResponses);
+  checkGraphQLResponses(queryNames, responses);
+
+  checkConsistency(responses, writes);
+};
+
+// This test deletes the same planet several times in parallel while the planet is read. Irrespective of the
+// execution order, exactly one delete is expected to succeed, while all the others fail as the planet
+// does not exist anymore. The read returns either the planet or null, and once the deletes complete,
+// the planet is not found.
+export const validateParallelDeleteOperationsOnSameItem = () => {
+  const id = 'ConcurrentDeletePlanet';
+  const deleteNames = ['deletePlanet1', 'deletePlanet2', 'deletePlanet3'];
+  const queryNames = deleteNames.concat(['readPlanet']);
+
+  let requests = {
+    'readPlanet': graphql.byPk(entities.Planet, planetFields, toPlanetKey(id))
+  };
+  deleteNames.forEach(deleteName => {
+    requests[deleteName] = graphql.delete(entities.Planet, ['id'], toPlanetKey(id));
+  });
+
+  const seededPlanet = { "id": id, "name": "Concurrent Delete Planet", "age": 2, "dimension": "space" };
+  const expectedResponses = exactlyOneSucceeds(deleteNames, (deleteName, succeeds) => succeeds
+    ? { "data": { "deletePlanet": null } }
+    : { "data": { "deletePlanet": null }, "errors": anything() })
+    .map(expectedDeleteResponses => Object.assign(expectedDeleteResponses, {
+      'readPlanet': { "data": { "planet_by_pk": satisfies('the planet before the deletes or null', planet => planet === null || JSON.stringify(planet) == JSON.stringify(seededPlanet)) } }
+    }));
+
+  // Performs all the GraphQL mutations and the read in parallel
+  const responses = http.batch(requests);
+
+  checkNoErrors(queryNames, responses);
+  checkStatusCodes(queryNames, responses, allStatusCodesIn(statusCodes.Ok));
+  checkResponseBodies(queryNames, responses, ...expectedResponses);
+
+  // Once all the deletes completed, the planet is not found
+  const finalResponses = http.batch({ 'readPlanetAfterDeletes': graphql.byPk(entities.Planet, planetFields, toPlanetKey(id)) });
+  checkResponseBodies(['readPlanetAfterDeletes'], finalResponses, { 'readPlanetAfterDeletes': { "data": { "planet_by_pk": null } } });
+};
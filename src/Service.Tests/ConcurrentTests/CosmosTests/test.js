@@ -0,0 +1,59 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { validateParallelCreateOperationsOnSameItem, validateParallelUpdateOperationsOnSameItem, validateParallelDeleteOperationsOnSameItem } from './ParallelOperationsOnSameItem.js';
+import { restorePlanets, removePlanets } from './ContainerState.js';
+import { selectTestCases, toScenarios, toThresholds, getTestCaseOfScenario } from '../ScenarioOptions.js';
+import { runInScenarioGroup, toConsoleSummary } from '../Reports.js';
+import exec from 'k6/execution';
+
+// Concurrency test cases of DAB backed by Cosmos DB NoSQL. The test cases run against DAB started with the
+// config of the Cosmos DB tests of the engine (dab-config.CosmosDb_NoSql.json), which uses the AppService
+// authentication provider, against either the Cosmos DB emulator or the mock DAB server started
+// with MOCK_DAB_DATABASE_TYPE=cosmosdb_nosql:
+//   k6 run -e DAB_AUTH_PROVIDER=AppService CosmosTests/test.js
+// As in the SqlTests, each test case runs as a k6 scenario of its own and the test cases to run can be
+// selected by name or by tag, see ScenarioOptions.js for the supported environment variables.
+// Writes conditioned on the etag of an item, e.g. a replace with a stale If-Match, are not covered: the GraphQL
+// mutations of DAB neither expose the _etag of the items nor accept a precondition on it.
+const testCases = [
+  { name: 'ParallelCreateOperationsOnSameItem', run: validateParallelCreateOperationsOnSameItem, tags: { protocols: 'graphql', operations: 'create,read' } },
+  { name: 'ParallelUpdateOperationsOnSameItem', run: validateParallelUpdateOperationsOnSameItem, tags: { protocols: 'graphql', operations: 'read,update' } },
+  { name: 'ParallelDeleteOperationsOnSameItem', run: validateParallelDeleteOperationsOnSameItem, tags: { protocols: 'graphql', operations: 'read,delete' } }
+];
+
+const selectedTestCases = selectTestCases(testCases);
+
+// All the requests of a batch run in parallel, see SqlTests/test.js.
+// All the checks of each test case must succeed to declare the test successful.
+export const options = {
+  batch: 10,
+  batchPerHost: 10,
+  scenarios: toScenarios(selectedTestCases, 'runTestCase'),
+  thresholds: toThresholds(selectedTestCases)
+}
+
+// Prepares the planets the test cases act on
+export function setup() {
+  restorePlanets();
+}
+
+// Runs the test case of the current scenario
+export function runTestCase() {
+  const testCase = getTestCaseOfScenario(selectedTestCases, exec.scenario.name);
+
+  // The planets are restored before each test case so that
+  // the test cases do not depend on the order in which they run.
+  restorePlanets();
+  runInScenarioGroup(testCase.name, () => testCase.run());
+}
+
+// Removes the planets the test cases act on
+export function teardown() {
+  removePlanets();
+}
+
+// Summarizes the checks of each test case. The reports are built from the k6 JSON output, see Reports.js
+export function handleSummary(data) {
+  return toConsoleSummary(data, selectedTestCases.map(testCase => testCase.name));
+}
@@ -0,0 +1,73 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Describes the database DAB is backed by for the test run. The same test cases validate DAB against
+// each supported database, while the outcomes depending on the database are looked up in its profile.
+//
+// The database is selected with the following environment variable:
+// DAB_DATABASE_TYPE - Value of data-source.database-type in the config: mssql (default), mysql or postgresql.
+//                     The config is expected to be generated with the config-generators commands of that database.
+// DAB backed by Cosmos DB NoSQL is validated by the test cases of CosmosTests/test.js instead.
+
+// Features of DAB which are only available for some databases. A test case lists the features
+// it depends on and only runs against the databases supporting all of them.
+export const databaseFeatures = {
+  StoredProcedures: 'stored-procedures',
+  MultipleCreate: 'multiple-create'
+};
+
+// Outcomes of each database differing from one database to the other:
+// duplicateKeyStatusCode   - Status code of a REST create violating the primary key of the table.
+// duplicateKeyErrorMessage - Pattern matching the error message of such a create. In production mode,
+//                            DAB replaces the database error messages with a generic message.
+// idsIncrease              - Whether the ids generated by the database are larger than the ids of the
+//                            existing rows. The seeded tables generate ids starting at 5001 for all the databases.
+// features                 - Features of DAB supported for the database.
+const databaseProfiles = {
+  mssql: {
+    duplicateKeyStatusCode: 409,
+    duplicateKeyErrorMessage: /Violation of PRIMARY KEY constraint|Cannot insert duplicate key/,
+    idsIncrease: true,
+    features: [databaseFeatures.StoredProcedures, databaseFeatures.MultipleCreate]
+  },
+  mysql: {
+    duplicateKeyStatusCode: 409,
+    duplicateKeyErrorMessage: /Duplicate entry/,
+    idsIncrease: true,
+    features: []
+  },
+  postgresql: {
+    duplicateKeyStatusCode: 409,
+    duplicateKeyErrorMessage: /duplicate key value violates unique constraint/,
+    idsIncrease: true,
+    features: []
+  }
+};
+
+// Message returned by DAB in place of the database error messages in production mode
+const genericDatabaseErrorMessage = 'While processing your request the database ran into an error.';
+
+// Gets the profile of the given database type
+export const getDatabaseProfile = (databaseType) => {
+  const profile = databaseProfiles[databaseType];
+  if (!profile) {
+    throw new Error(`Unsupported database type in DAB_DATABASE_TYPE: ${databaseType}. Use one of ${Object.keys(databaseProfiles).join(', ')}`);
+  }
+
+  return profile;
+};
+
+export const databaseType = (__ENV.DAB_DATABASE_TYPE || 'mssql').toLowerCase();
+
+export const databaseProfile = getDatabaseProfile(databaseType);
+
+// Checks whether the database supports all the features the test case depends on
+export const isSupportedByDatabase = (testCase, profile = databaseProfile) => {
+  return (testCase.features || []).every(feature => profile.features.includes(feature));
+};
+
+// Checks whether the error message of a response body reports a duplicate key in the database
+export const isDuplicateKeyError = (responseJson, profile = databaseProfile) => {
+  const message = ((responseJson || {}).error || {}).message || '';
+  return profile.duplicateKeyErrorMessage.test(message) || message == genericDatabaseErrorMessage;
+};
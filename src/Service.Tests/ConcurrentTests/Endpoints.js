@@ -0,0 +1,59 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Resolves the REST and GraphQL endpoints of the DAB instance under test.
+// All values are read from k6 environment variables, which can be supplied with
+// `k6 run -e NAME=value` or as regular environment variables:
+//
+// DAB_BASE_URL     - Full base url of the engine, e.g. http://dab:5000. When set, takes
+//                    precedence over DAB_SCHEME, DAB_HOST and DAB_PORT.
+// DAB_SCHEME       - Scheme used to reach the engine. Defaults to https.
+// DAB_HOST         - Host name of the engine. Defaults to localhost.
+// DAB_PORT         - Port of the engine. Defaults to 5001.
+// DAB_REST_PATH    - Value of runtime.rest.path in the config. Defaults to /api.
+// DAB_GRAPHQL_PATH - Value of runtime.graphql.path in the config. Defaults to /graphql.
+
+// Removes the trailing slashes from the given url or path
+const trimTrailingSlashes = (value) => {
+  return value.replace(/\/+$/, '');
+};
+
+// Ensures the configured path starts with a single leading slash and has no trailing slash
+const normalizePath = (path) => {
+  return '/' + trimTrailingSlashes(path).replace(/^\/+/, '');
+};
+
+const resolveBaseUrl = () => {
+  if (__ENV.DAB_BASE_URL) {
+    return trimTrailingSlashes(__ENV.DAB_BASE_URL);
+  }
+
+  const scheme = __ENV.DAB_SCHEME || 'https';
+  const host = __ENV.DAB_HOST || 'localhost';
+  const port = __ENV.DAB_PORT || '5001';
+  return `${scheme}://${host}:${port}`;
+};
+
+export const baseUrl = resolveBaseUrl();
+
+export const restPath = normalizePath(__ENV.DAB_REST_PATH || '/api');
+
+export const graphQLPath = normalizePath(__ENV.DAB_GRAPHQL_PATH || '/graphql');
+
+export const restEndPoint = `${baseUrl}${restPath}`;
+
+export const graphQLEndPoint = `${baseUrl}${graphQLPath}/`;
+
+// Helper function to build the REST url of an entity.
+// When the primary key is specified, the url addresses a single item
+// using DAB's /<entity>/<keyName>/<keyValue> form, e.g. { id: 124 } => /api/Author/id/124
+export const getRestUrl = (entityName, primaryKey) => {
+  let url = `${restEndPoint}/${entityName}`;
+  if (primaryKey) {
+    for (const keyName of Object.keys(primaryKey)) {
+      url += `/${encodeURIComponent(keyName)}/${encodeURIComponent(primaryKey[keyName])}`;
+    }
+  }
+
+  return url;
+};
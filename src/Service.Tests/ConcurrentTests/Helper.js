@@ -2,69 +2,134 @@
 // Licensed under the MIT License.
 
 import encoding from 'k6/encoding';
+import crypto from 'k6/crypto';
 import { check } from 'k6';
+import { findFirstMismatch, anyString, satisfies, isObject } from './Comparison.js';
+import { recordRequestResults, recordDiagnostics } from './Reports.js';
 
-// Helper function to determine if two objects which can contain nested objects are equal
-// in terms of the values present in each field within the objects
-export const isDeepEqual = (expectedResponseJson, actualResponseJson) => {
+// The deep equality helpers live in the comparison engine and remain available from Helper.js.
+export { isDeepEqual, findFirstMismatch, isObject } from './Comparison.js';
 
-  const keysInExpectedResponseJson = Object.keys(expectedResponseJson);
-  const keysInActualResponseJson = Object.keys(actualResponseJson);
+// A helper function to validate the responses for each REST and GraphQL requests
+export const validateResponses = (queryNames, responses, expectedStatusCodes, expectedResponses) => {
 
-  if (keysInExpectedResponseJson.length != keysInActualResponseJson.length) {
-    return false;
-  }
+  // Validates no errors in the responses
+  checkNoErrors(queryNames, responses);
 
-  for (var key of keysInExpectedResponseJson) {
-    const expectedResponseValueForCurrentKey = expectedResponseJson[key];
-    const actualResponseValueForCurrentKey = actualResponseJson[key];
+  // Validates the status codes
+  checkStatusCodes(queryNames, responses, expectedStatusCodes);
 
-    const isObjects = isObject(expectedResponseValueForCurrentKey) && isObject(actualResponseValueForCurrentKey);
+  // Validates the response bodies
+  checkResponseBodies(queryNames, responses, expectedResponses);
 
-    // If the values for the current key are objects, a recursive check is performed
-    // on all the fields present within the object. Otherwise, the values are compared.
-    if ((isObjects && !isDeepEqual(expectedResponseValueForCurrentKey, actualResponseValueForCurrentKey))
-      || (!isObjects && expectedResponseValueForCurrentKey != actualResponseValueForCurrentKey)) {
-      return false;
-    }
-  }
-  return true;
+  // Validates that the GraphQL responses hold the data of their fields without errors
+  checkGraphQLResponses(queryNames, responses);
+}
+
+// Authentication providers the requests can be authenticated with.
+// The provider must match the runtime.host.authentication.provider configured for DAB.
+export const authProviders = {
+  AppService: 'AppService',
+  StaticWebApps: 'StaticWebApps',
+  Jwt: 'Jwt',
+  Simulator: 'Simulator'
 };
 
-// A helper function to check whether a given item is an object
-export const isObject = (object) => {
-  return object != null && typeof object == "object";
+// The authentication provider used for the test run. It can be selected with the
+// DAB_AUTH_PROVIDER environment variable and defaults to StaticWebApps EasyAuth.
+export const authProvider = __ENV.DAB_AUTH_PROVIDER || authProviders.StaticWebApps;
+
+// Settings used to generate locally signed JWT bearer tokens. The issuer and audience must
+// match runtime.host.authentication.jwt in the config and the signing key must be accepted by
+// the engine for the token signature to be validated.
+export const jwtSettings = {
+  issuer: __ENV.DAB_JWT_ISSUER || 'https://login.microsoftonline.com/dab-concurrency-tests/v2.0',
+  audience: __ENV.DAB_JWT_AUDIENCE || 'dab-concurrency-tests',
+  signingKey: __ENV.DAB_JWT_SIGNING_KEY || 'dab-concurrency-tests-signing-key'
 };
 
-// A helper function to validate the responses for each REST and GraphQL requests
-export const validateResponses = (queryNames, responses, expectedStatusCodes, expectedResponses) => {
+// Roles present in the generated tokens when no roles are specified.
+const defaultRoles = ['anonymous', 'authenticated'];
 
-  // Validates no errors in the responses
-  check(responses, {
-    'Validate no errors': validateNoErrorsInResponse(queryNames, responses)
-  });
+// Name of the claim carrying the user id. DAB database policies reference it as @claims.userId
+const userIdClaimType = 'userId';
 
-  // Validates the status codes
-  check(responses, {
-    'Validate expected status code': validateStatusCode(queryNames, responses, expectedStatusCodes)
-  });
+// Name of the claim carrying the user details
+const userDetailsClaimType = 'userDetails';
 
-  // Validates the response bodies
-  check(responses, {
-    'Validate API response': validateResponseBody(queryNames, responses, expectedResponses)
-  });
-}
+// A helper function to build the principal the generated tokens represent.
+// userId and userDetails identify the user, roles lists the roles the user is a member of
+// and claims is a map of additional claim types to claim values.
+// Properties that are not specified default to a principal with no user identity and the default roles.
+export const createPrincipal = ({ userId = null, userDetails = null, roles = defaultRoles, claims = {} } = {}) => {
+  return {
+    userId: userId,
+    userDetails: userDetails,
+    roles: roles,
+    claims: claims
+  };
+};
+
+// A helper function to flatten the user identity and the additional claims of the principal
+// into a list of claim type and value pairs.
+const getPrincipalClaims = (principal) => {
+  let claims = [];
+
+  if (principal.userId != null) {
+    claims.push({ "typ": userIdClaimType, "val": String(principal.userId) });
+  }
+
+  if (principal.userDetails != null) {
+    claims.push({ "typ": userDetailsClaimType, "val": String(principal.userDetails) });
+  }
+
+  for (const claimType of Object.keys(principal.claims)) {
+    claims.push({ "typ": claimType, "val": String(principal.claims[claimType]) });
+  }
+
+  return claims;
+};
 
 // A helper function for generating EasyAuth token.
 // Useful for performing operations as an authenticated user.
-export const generateEasyAuthToken = () => {
+// The token uses the StaticWebApps client principal shape unless
+// the AppService provider is selected for the test run.
+export const generateEasyAuthToken = (principal = createPrincipal()) => {
+  if (authProvider == authProviders.AppService) {
+    return generateAppServiceEasyAuthToken(principal);
+  }
+
+  return generateStaticWebAppsEasyAuthToken(principal);
+};
+
+// A helper function for generating an EasyAuth token in the StaticWebApps client principal shape.
+// DAB deserializes UserId and UserDetails as strings and rejects the principal otherwise,
+// so they are sent as strings, e.g. the user id matched by @claims.userId in database policies.
+export const generateStaticWebAppsEasyAuthToken = (principal = createPrincipal()) => {
+  let claims = Object.keys(principal.claims).map(claimType => ({ "typ": claimType, "val": String(principal.claims[claimType]) }));
 
   let tokenInformation = {
     "IdentityProvider": "github",
-    "UserId": null,
-    "UserDetails": null,
-    "UserRoles": ["anonymous", "authenticated"],
-    "Claims": null
+    "UserId": principal.userId == null ? null : String(principal.userId),
+    "UserDetails": principal.userDetails == null ? null : String(principal.userDetails),
+    "UserRoles": principal.roles,
+    "Claims": claims.length ? claims : null
+  };
+
+  let serialzedToken = JSON.stringify(tokenInformation);
+  let encodedToken = encoding.b64encode(serialzedToken);
+  return encodedToken;
+};
+
+// A helper function for generating an EasyAuth token in the shape injected by AppService.
+// In the AppService shape, the user identity and roles are represented as claims.
+export const generateAppServiceEasyAuthToken = (principal = createPrincipal()) => {
+
+  let tokenInformation = {
+    "auth_typ": "aad",
+    "name_typ": userDetailsClaimType,
+    "role_typ": "roles",
+    "claims": getPrincipalClaims(principal).concat(principal.roles.map(role => ({ "typ": "roles", "val": role })))
   };
 
   let serialzedToken = JSON.stringify(tokenInformation);
@@ -72,67 +137,446 @@ export const generateEasyAuthToken = () => {
   return encodedToken;
 };
 
+// A helper function for generating a JWT signed locally with HMAC SHA256.
+// The issuer, audience and signing key default to the values in jwtSettings.
+// The user identity and additional claims of the principal are added to the token payload.
+export const generateJwtToken = (principal = createPrincipal(), { issuer = jwtSettings.issuer, audience = jwtSettings.audience, signingKey = jwtSettings.signingKey } = {}) => {
+  const issuedAt = Math.floor(Date.now() / 1000);
+
+  let header = {
+    "alg": "HS256",
+    "typ": "JWT"
+  };
+
+  let payload = {
+    "iss": issuer,
+    "aud": audience,
+    "iat": issuedAt,
+    "nbf": issuedAt,
+    "exp": issuedAt + 3600,
+    "roles": principal.roles
+  };
+
+  getPrincipalClaims(principal).forEach(claim => {
+    payload[claim.typ] = claim.val;
+  });
+
+  let unsignedToken = encoding.b64encode(JSON.stringify(header), 'rawurl') + '.'
+    + encoding.b64encode(JSON.stringify(payload), 'rawurl');
+  let signature = crypto.hmac('sha256', signingKey, unsignedToken, 'base64rawurl');
+  return `${unsignedToken}.${signature}`;
+};
+
 // Helper method to validate no errors in the resposne
 export const validateNoErrorsInResponse = (queryNames, responses) => {
-  let validationResult = true;
-  queryNames.forEach(
-    queryName => {
-      if (responses[queryName].error.length > 0) {
-        validationResult = validationResult && false;
-      }
-    });
-  return validationResult;
+  return getErrorMismatches(queryNames, responses).length == 0;
 };
 
-// Helper method to validate that the status code of all the respones
-// is either one of the two expected set of status codes
-export const validateStatusCodes = (queryNames, responses, expectedStatusCodes1, expectedStatusCodes2) => {
-  return validateStatusCode(queryNames, responses, expectedStatusCodes1)
-    || validateStatusCode(queryNames, responses, expectedStatusCodes2);
+// Helper method to find the responses for which k6 reported an error
+export const getErrorMismatches = (queryNames, responses) => {
+  return queryNames
+    .filter(queryName => responses[queryName].error.length > 0)
+    .map(queryName => ({
+      request: queryName,
+      actualStatus: responses[queryName].status,
+      error: responses[queryName].error
+    }));
+};
+
+// Helper method to validate that the status codes of all the responses match
+// at least one of the acceptable outcomes. Each acceptable outcome is either a map of
+// query name to expected status code or an invariant, i.e. a predicate that receives the
+// query names and the responses, such as hasStatusCodeCount(statusCodes.Created, 1).
+export const validateStatusCodes = (queryNames, responses, ...acceptableStatusCodes) => {
+  return getMismatchesPerOutcome(queryNames, responses, acceptableStatusCodes, getStatusCodeMismatches)
+    .some(mismatches => mismatches.length == 0);
 };
 
 // Helper method to validate the status code for all the responses against
 // one set of expected status codes
 export const validateStatusCode = (queryNames, responses, expectedStatusCodes) => {
-  let validationResult = true;
-  queryNames.forEach(queryName => {
-    if (expectedStatusCodes[queryName] != responses[queryName].status)
-      validationResult = validationResult && false;
-  });
+  return getStatusCodeMismatches(queryNames, responses, expectedStatusCodes).length == 0;
+};
 
-  return validationResult;
+// Helper method to find the responses whose status code differs from one set of expected status codes
+export const getStatusCodeMismatches = (queryNames, responses, expectedStatusCodes) => {
+  return queryNames
+    .filter(queryName => expectedStatusCodes[queryName] != responses[queryName].status)
+    .map(queryName => ({
+      request: queryName,
+      expectedStatus: expectedStatusCodes[queryName],
+      actualStatus: responses[queryName].status
+    }));
 };
 
 // Helper methods to validate that the response bodies for all the reqeusts
-// is one of the expected set of expected response bodies
-export const validateResponseBodies = (queryNames, responses, expectedResponseBody1, expectedResponseBody2) => {
-  return validateResponseBody(queryNames, responses, expectedResponseBody1)
-    || validateResponseBody(queryNames, responses, expectedResponseBody2);
+// match at least one of the acceptable outcomes. Each acceptable outcome is either a map of
+// query name to expected response body or an invariant, i.e. a predicate that receives the
+// query names and the responses, such as valuesArePermutationOf(...).
+export const validateResponseBodies = (queryNames, responses, ...acceptableResponseBodies) => {
+  return getMismatchesPerOutcome(queryNames, responses, acceptableResponseBodies, getResponseBodyMismatches)
+    .some(mismatches => mismatches.length == 0);
 };
 
 // Helper method to validate the response body against one set of expected response body
 export const validateResponseBody = (queryNames, responses, expectedResponseBody) => {
-  let validationResult = true;
+  return getResponseBodyMismatches(queryNames, responses, expectedResponseBody).length == 0;
+};
+
+// Helper method to find the responses whose body differs from one set of expected response bodies.
+// For each such response, the JSON path of the first mismatching field is reported.
+export const getResponseBodyMismatches = (queryNames, responses, expectedResponseBody) => {
+  let mismatches = [];
+  queryNames.forEach(queryName => {
+    const mismatch = findFirstMismatch(expectedResponseBody[queryName], getResponseJson(responses[queryName]));
+    if (mismatch != null) {
+      mismatches.push(Object.assign({ request: queryName, actualStatus: responses[queryName].status }, mismatch));
+    }
+  });
+
+  return mismatches;
+};
+
+// Error codes returned by DAB as error.code in REST error responses and as extensions.code in GraphQL errors,
+// i.e. the sub status codes of DataApiBuilderException, along with the code of the GraphQL errors
+// returned when the role is not allowed to access a field.
+export const errorCodes = {
+  BadRequest: 'BadRequest',
+  EntityNotFound: 'EntityNotFound',
+  ItemNotFound: 'ItemNotFound',
+  AuthorizationCheckFailed: 'AuthorizationCheckFailed',
+  DatabaseOperationFailed: 'DatabaseOperationFailed',
+  DatabaseInputError: 'DatabaseInputError',
+  GraphQLNotAuthorized: 'AUTH_NOT_AUTHORIZED'
+};
+
+// Expected body of a REST error response of DAB, to be used in the maps of expected response bodies.
+// The message is either the exact message or a matcher, and defaults to any message.
+export const restErrorResponse = (code, status, message = anyString()) => {
+  return { "error": { "code": code, "message": message, "status": status } };
+};
+
+// Expected body of a GraphQL response whose field fails with the given error code, to be used in the maps of
+// expected response bodies. The field is null and every error of the response carries the error code.
+export const graphQLErrorResponse = (fieldName, code) => {
+  return {
+    "data": { [fieldName]: null },
+    "errors": satisfies(`errors with code ${code}`, errors => Array.isArray(errors) && errors.length > 0
+      && errors.every(error => isObject(error.extensions) && error.extensions.code == code))
+  };
+};
+
+// Helper function to find the first violation of the error contract of DAB in a response, or null when there is none.
+// REST responses with an error status code hold { "error": { "code", "message", "status" } } whose status is the status
+// code of the response, while GraphQL responses report each error with a message and an error code in extensions.code.
+// When an expected error code is given, every error of the response is expected to carry it.
+const findErrorContractViolation = (response, expectedErrorCode) => {
+  let responseJson;
+  try {
+    responseJson = getResponseJson(response);
+  }
+  catch (error) {
+    return response.status >= 400 ? 'the error response is not valid JSON' : null;
+  }
+
+  if (Array.isArray(responseJson.errors)) {
+    const invalidError = responseJson.errors.find(error => !isObject(error) || typeof error.message != "string"
+      || !isObject(error.extensions) || typeof error.extensions.code != "string");
+    if (invalidError !== undefined) {
+      return 'a GraphQL error misses its message or extensions.code';
+    }
+
+    if (expectedErrorCode != null && !responseJson.errors.every(error => error.extensions.code == expectedErrorCode)) {
+      return `a GraphQL error does not carry the error code ${expectedErrorCode}`;
+    }
+
+    return null;
+  }
+
+  if (response.status < 400) {
+    return null;
+  }
+
+  const error = responseJson.error;
+  if (!isObject(error) || typeof error.code != "string" || typeof error.message != "string") {
+    return 'the error response does not hold an error with a code and a message';
+  }
+
+  if (error.status != response.status) {
+    return `the status of the error (${error.status}) differs from the status code of the response`;
+  }
+
+  if (expectedErrorCode != null && error.code != expectedErrorCode) {
+    return `the error code ${error.code} differs from the expected error code ${expectedErrorCode}`;
+  }
+
+  return null;
+};
+
+// Helper method to find the responses violating the error contract of DAB. expectedErrorCodes optionally maps
+// query names to the error code their request is expected to fail with, if it fails. Racing requests whose
+// outcome depends on the execution order can therefore be validated without knowing which of them fails.
+export const getErrorContractMismatches = (queryNames, responses, expectedErrorCodes = {}) => {
+  let mismatches = [];
   queryNames.forEach(queryName => {
+    const violation = findErrorContractViolation(responses[queryName], expectedErrorCodes[queryName]);
+    if (violation != null) {
+      mismatches.push({
+        request: queryName,
+        actualStatus: responses[queryName].status,
+        violation: violation,
+        body: truncate(responses[queryName].body)
+      });
+    }
+  });
+
+  return mismatches;
+};
+
+// Helper function to separate the data of a GraphQL response from its errors. A response without errors has an
+// empty list of errors and a response without data, e.g. failing validation, has null data. Responses which are
+// not GraphQL responses, i.e. whose body holds neither data nor errors like the REST responses, give null.
+export const getGraphQLResult = (response) => {
+  let responseJson;
+  try {
+    responseJson = getResponseJson(response);
+  }
+  catch (error) {
+    return null;
+  }
 
-    var expectedResponseJson = expectedResponseBody;
-    var actualResponseBody = responses[queryName].body;
-    var actualResponseJson = {};
-    if (Object.keys(actualResponseBody).length) {
-      actualResponseJson = JSON.parse(actualResponseBody);
+  if (!isObject(responseJson) || !('data' in responseJson || 'errors' in responseJson)) {
+    return null;
+  }
+
+  return {
+    data: isObject(responseJson.data) ? responseJson.data : null,
+    errors: Array.isArray(responseJson.errors) ? responseJson.errors : []
+  };
+};
+
+// Helper method to find the GraphQL responses with a 200 status code which do not hold the data of every field,
+// as DAB reports the failure of a field with a 200 status code along with the data of the other fields.
+// Such responses hold errors, no data or a null field. nullableFields optionally maps query names to the fields
+// which can be null, e.g. the field of a delete mutation racing with other deletes of the same item.
+// The responses of the other protocols and the responses with other status codes are left to the other checks.
+export const getGraphQLMismatches = (queryNames, responses, nullableFields = {}) => {
+  let mismatches = [];
+  queryNames.forEach(queryName => {
+    const response = responses[queryName];
+    const result = getGraphQLResult(response);
+    if (response.status != statusCodes.Ok || result == null) {
+      return;
     }
 
-    if (!isDeepEqual(expectedResponseJson[queryName], actualResponseJson)) {
-      validationResult = validationResult && false;
+    let violations = result.errors.map(error => `error: ${isObject(error) ? error.message : error}`);
+    if (result.data == null) {
+      violations.push('the response holds no data');
     }
+    else {
+      Object.keys(result.data)
+        .filter(field => result.data[field] == null && !(nullableFields[queryName] || []).includes(field))
+        .forEach(field => violations.push(`the field ${field} is null`));
+    }
+
+    if (violations.length) {
+      mismatches.push({
+        request: queryName,
+        violations: violations,
+        body: truncate(response.body)
+      });
+    }
+  });
+
+  return mismatches;
+};
+
+// Helper method to find the mismatches against each of the acceptable outcomes.
+// Maps of expected values are compared using the given function and invariants are evaluated as is.
+const getMismatchesPerOutcome = (queryNames, responses, acceptableOutcomes, getMismatches) => {
+  return acceptableOutcomes.map(acceptableOutcome => isInvariant(acceptableOutcome)
+    ? getInvariantMismatches(queryNames, responses, acceptableOutcome)
+    : getMismatches(queryNames, responses, acceptableOutcome));
+};
+
+// Helper method to evaluate an invariant. When the invariant is not satisfied, the status codes
+// and the bodies of all the responses are reported as the invariant applies to all of them together.
+const getInvariantMismatches = (queryNames, responses, invariant) => {
+  if (invariant(queryNames, responses)) {
+    return [];
+  }
+
+  let actualResponses = {};
+  queryNames.forEach(queryName => {
+    actualResponses[queryName] = {
+      status: responses[queryName].status,
+      body: truncate(responses[queryName].body)
+    };
+  });
+
+  return [{
+    invariant: invariant.description || 'invariant',
+    actualResponses: actualResponses
+  }];
+};
+
+// Maximum number of characters of a response body included in the diagnostics
+const maxDiagnosticBodyLength = 500;
 
+// Helper function to shorten long response bodies included in the diagnostics
+const truncate = (body) => {
+  if (typeof body != "string" || body.length <= maxDiagnosticBodyLength) {
+    return body;
+  }
+
+  return body.substring(0, maxDiagnosticBodyLength) + '...';
+};
+
+// Registers a k6 check with the given name. When none of the acceptable outcomes is met,
+// i.e. every list of mismatches is non-empty, the mismatches found against each of them
+// are logged so that the failure can be diagnosed from the k6 output. The results of the responses
+// are also recorded for the reports written at the end of the run, see Reports.js.
+export const checkOutcomes = (checkName, responses, mismatchesPerOutcome) => {
+  const isValid = mismatchesPerOutcome.some(mismatches => mismatches.length == 0);
+  check(responses, {
+    [checkName]: () => isValid
+  });
+  recordRequestResults(responses);
+
+  if (!isValid) {
+    recordDiagnostics(checkName, { mismatchesPerAcceptableOutcome: mismatchesPerOutcome });
+  }
+
+  return isValid;
+};
+
+// Registers a check validating no errors in the responses
+export const checkNoErrors = (queryNames, responses) => {
+  return checkOutcomes('Validate no errors', responses, [getErrorMismatches(queryNames, responses)]);
+};
+
+// Registers a check validating that the error responses follow the error contract of DAB.
+// See getErrorContractMismatches for the optional error codes expected for each request.
+export const checkErrorContracts = (queryNames, responses, expectedErrorCodes = {}) => {
+  return checkOutcomes('Validate error contract', responses, [getErrorContractMismatches(queryNames, responses, expectedErrorCodes)]);
+};
+
+// Registers a check validating that the GraphQL responses with a 200 status code hold data without errors.
+// See getGraphQLMismatches for the fields which can be null.
+export const checkGraphQLResponses = (queryNames, responses, nullableFields = {}) => {
+  return checkOutcomes('Validate GraphQL response', responses, [getGraphQLMismatches(queryNames, responses, nullableFields)]);
+};
+
+// Registers a check validating that the status codes of the responses match at least one of the acceptable outcomes.
+// See validateStatusCodes for the supported acceptable outcomes.
+export const checkStatusCodes = (queryNames, responses, ...acceptableStatusCodes) => {
+  return checkOutcomes('Validate expected status code', responses,
+    getMismatchesPerOutcome(queryNames, responses, acceptableStatusCodes, getStatusCodeMismatches));
+};
+
+// Registers a check validating that the response bodies match at least one of the acceptable outcomes.
+// See validateResponseBodies for the supported acceptable outcomes.
+export const checkResponseBodies = (queryNames, responses, ...acceptableResponseBodies) => {
+  return checkOutcomes('Validate API response', responses,
+    getMismatchesPerOutcome(queryNames, responses, acceptableResponseBodies, getResponseBodyMismatches));
+};
+
+// A helper function to check whether an acceptable outcome is an invariant rather than a map of expected values
+const isInvariant = (acceptableOutcome) => {
+  return typeof acceptableOutcome == "function";
+};
+
+// A helper function to attach a description to an invariant. The description is reported
+// in the diagnostics when the invariant is not satisfied.
+export const describeInvariant = (description, invariant) => {
+  invariant.description = description;
+  return invariant;
+};
+
+// Helper function to parse the body of a response. Responses without a body are parsed as an empty object.
+export const getResponseJson = (response) => {
+  if (!response.body || !Object.keys(response.body).length) {
+    return {};
+  }
+
+  return JSON.parse(response.body);
+};
+
+// Helper function to generate the list of integers from start to end, both inclusive.
+// Useful for describing the ids generated by the database for a set of racing inserts.
+export const range = (start, end) => {
+  let values = [];
+  for (let value = start; value <= end; value++) {
+    values.push(value);
+  }
+
+  return values;
+};
+
+// Invariant which is satisfied when exactly the expected number of responses have the given status code
+export const hasStatusCodeCount = (statusCode, expectedCount) => {
+  return describeInvariant(`exactly ${expectedCount} response(s) with status code ${statusCode}`, (queryNames, responses) => {
+    return queryNames.filter(queryName => responses[queryName].status == statusCode).length == expectedCount;
+  });
+};
+
+// Invariant which is satisfied when every response has one of the given status codes
+export const allStatusCodesIn = (...acceptedStatusCodes) => {
+  return describeInvariant(`all status codes in [${acceptedStatusCodes.join(', ')}]`, (queryNames, responses) => {
+    return queryNames.every(queryName => acceptedStatusCodes.includes(responses[queryName].status));
+  });
+};
+
+// Invariant which is satisfied when the values selected from the response bodies are a permutation
+// of the expected values. The selector receives the parsed response body and the query name and
+// returns the value of interest, e.g. the id of the created item.
+export const valuesArePermutationOf = (expectedValues, selector) => {
+  return describeInvariant(`selected values are a permutation of [${expectedValues.join(', ')}]`, (queryNames, responses) => {
+    if (queryNames.length != expectedValues.length) {
+      return false;
+    }
+
+    let remainingValues = expectedValues.slice();
+    return queryNames.every(queryName => {
+      const index = remainingValues.indexOf(selector(getResponseJson(responses[queryName]), queryName));
+      if (index < 0) {
+        return false;
+      }
+
+      remainingValues.splice(index, 1);
+      return true;
+    });
+  });
+};
+
+// Invariant which is satisfied when the values selected from the response bodies are all different.
+// The selector receives the parsed response body and the query name.
+export const valuesAreDistinct = (selector) => {
+  return describeInvariant('selected values are distinct', (queryNames, responses) => {
+    const values = queryNames.map(queryName => selector(getResponseJson(responses[queryName]), queryName));
+    return values.every(value => value != null) && new Set(values).size == values.length;
+  });
+};
+
+// Invariant which is satisfied when the predicate holds for the body of every response, e.g. to validate
+// the internal consistency of nested responses whose exact values depend on racing mutations.
+// The predicate receives the parsed response body and the query name.
+export const responseBodiesSatisfy = (description, predicate) => {
+  return describeInvariant(description, (queryNames, responses) => {
+    return queryNames.every(queryName => predicate(getResponseJson(responses[queryName]), queryName));
+  });
+};
+
+// Invariant which is satisfied when all the given invariants are satisfied
+export const allOf = (...invariants) => {
+  return describeInvariant(invariants.map(invariant => invariant.description || 'invariant').join(' and '), (queryNames, responses) => {
+    return invariants.every(invariant => invariant(queryNames, responses));
   });
-  return validationResult;
 };
 
 // Helper function to generate a header with the specified role and EasyAuth token
-export const generateEasyAuthHeader = (role) => {
-  let accessToken = generateEasyAuthToken();
+export const generateEasyAuthHeader = (role, principal = createPrincipal()) => {
+  let accessToken = generateEasyAuthToken(principal);
   let header = {
     'X-MS-CLIENT-PRINCIPAL': accessToken,
     'X-MS-API-ROLE': role,
@@ -141,12 +585,50 @@ export const generateEasyAuthHeader = (role) => {
   return header;
 };
 
-export const graphQLEndPoint = 'https://localhost:5001/graphql/';
+// Helper function to generate a header with the specified role and a JWT bearer token
+export const generateJwtAuthHeader = (role, principal = createPrincipal()) => {
+  let accessToken = generateJwtToken(principal);
+  let header = {
+    'Authorization': `Bearer ${accessToken}`,
+    'X-MS-API-ROLE': role,
+    'content-type': 'application/json'
+  };
+  return header;
+};
+
+// Helper function to generate a header with the specified role for the Simulator provider.
+// The Simulator provider treats every request as authenticated and only requires the role header.
+export const generateSimulatorAuthHeader = (role) => {
+  let header = {
+    'X-MS-API-ROLE': role,
+    'content-type': 'application/json'
+  };
+  return header;
+};
+
+// Helper function to generate a header with the specified role using the
+// authentication provider selected for the test run.
+// The principal identifies the user sending the request and is ignored by the Simulator provider.
+export const generateAuthHeader = (role, principal = createPrincipal()) => {
+  switch (authProvider) {
+    case authProviders.AppService:
+    case authProviders.StaticWebApps:
+      return generateEasyAuthHeader(role, principal);
+    case authProviders.Jwt:
+      return generateJwtAuthHeader(role, principal);
+    case authProviders.Simulator:
+      return generateSimulatorAuthHeader(role);
+    default:
+      throw new Error(`Unsupported authentication provider: ${authProvider}`);
+  }
+};
 
 export const statusCodes = {
   Ok: 200,
   NoContent: 204,
   Created: 201,
+  BadRequest: 400,
+  Forbidden: 403,
   NotFound: 404,
   InternalServerError: 500
 };
@@ -0,0 +1,180 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Options of the load and soak runs measuring the latency of DAB under sustained load.
+// Every request of the workload is tagged with its endpoint type so that latencies are
+// measured and constrained separately for REST and GraphQL reads and mutations.
+//
+// The run is configured with the following environment variables:
+// DAB_LOAD_MODE                 - load (default) ramps the number of virtual users up and down.
+//                                 soak sends the workload at a constant rate for a long time.
+// DAB_LOAD_VUS                  - Number of virtual users reached by the load mode. Defaults to 10.
+// DAB_LOAD_RAMP_DURATION        - Duration of the ramp up and of the ramp down of the load mode. Defaults to 30s.
+// DAB_LOAD_DURATION             - Duration of the load mode at full load. Defaults to 1m.
+// DAB_SOAK_RATE                 - Number of workload iterations started per second by the soak mode. Defaults to 10.
+// DAB_SOAK_DURATION             - Duration of the soak mode. Defaults to 30m.
+// DAB_LOAD_REGRESSION_TOLERANCE - Allowed increase of a latency percentile over the baseline, as a ratio. Defaults to 0.2.
+
+// Name of the tag identifying the endpoint type of a request
+export const endpointTypeTag = 'endpointType';
+
+// Endpoint types of the requests of the workload
+export const endpointTypes = {
+  RestRead: 'rest-read',
+  RestMutation: 'rest-mutation',
+  GraphQLRead: 'graphql-read',
+  GraphQLMutation: 'graphql-mutation'
+};
+
+// Absolute latency limits in milliseconds of each endpoint type. A run exceeding them fails
+// irrespective of the baseline.
+export const latencyLimits = {
+  'rest-read': { 'p(95)': 500, 'p(99)': 1000 },
+  'rest-mutation': { 'p(95)': 1000, 'p(99)': 2000 },
+  'graphql-read': { 'p(95)': 500, 'p(99)': 1000 },
+  'graphql-mutation': { 'p(95)': 1000, 'p(99)': 2000 }
+};
+
+// Latency percentiles measured for each endpoint type and compared against the baseline
+const percentiles = ['p(95)', 'p(99)'];
+
+const regressionTolerance = Number(__ENV.DAB_LOAD_REGRESSION_TOLERANCE || 0.2);
+
+// Helper function to build the executor of the load mode, which ramps up to the
+// configured number of virtual users, holds the load and ramps down
+const rampingExecutor = () => {
+  const virtualUsers = Number(__ENV.DAB_LOAD_VUS || 10);
+  const rampDuration = __ENV.DAB_LOAD_RAMP_DURATION || '30s';
+  return {
+    executor: 'ramping-vus',
+    startVUs: 0,
+    stages: [
+      { duration: rampDuration, target: virtualUsers },
+      { duration: __ENV.DAB_LOAD_DURATION || '1m', target: virtualUsers },
+      { duration: rampDuration, target: 0 }
+    ],
+    gracefulRampDown: '10s'
+  };
+};
+
+// Helper function to build the executor of the soak mode, which starts the workload
+// at a constant rate irrespective of the latency of the responses
+const constantArrivalRateExecutor = () => {
+  const rate = Number(__ENV.DAB_SOAK_RATE || 10);
+  return {
+    executor: 'constant-arrival-rate',
+    rate: rate,
+    timeUnit: '1s',
+    duration: __ENV.DAB_SOAK_DURATION || '30m',
+    preAllocatedVUs: rate,
+    maxVUs: rate * 5
+  };
+};
+
+// Builds the k6 scenario running the exported function with the given name
+// with the executor of the mode selected by DAB_LOAD_MODE
+export const toLoadScenarios = (execFunctionName) => {
+  const mode = __ENV.DAB_LOAD_MODE || 'load';
+  let executor;
+  switch (mode) {
+    case 'load':
+      executor = rampingExecutor();
+      break;
+    case 'soak':
+      executor = constantArrivalRateExecutor();
+      break;
+    default:
+      throw new Error(`Unknown load mode: ${mode}. Use load or soak`);
+  }
+
+  let scenarios = {};
+  scenarios[mode] = Object.assign(executor, { exec: execFunctionName });
+  return scenarios;
+};
+
+// Helper function to get the name of the latency metric of an endpoint type
+const latencyMetricName = (endpointType) => {
+  return `http_req_duration{${endpointTypeTag}:${endpointType}}`;
+};
+
+// Builds the latency thresholds of each endpoint type. Each percentile must be below its absolute
+// limit and, when the baseline has a value for it, must not exceed the baseline by more than the tolerance.
+// The baseline is the content of a summary file written by a previous run, see toLoadSummary.
+export const toLatencyThresholds = (baseline) => {
+  let thresholds = {
+    http_req_failed: ['rate < 0.01'],
+    checks: ['rate > 0.99']
+  };
+
+  Object.keys(latencyLimits).forEach(endpointType => {
+    const baselineLatencies = (baseline.endpointTypes || {})[endpointType] || {};
+    thresholds[latencyMetricName(endpointType)] = percentiles.reduce((expressions, percentile) => {
+      expressions.push(`${percentile} < ${latencyLimits[endpointType][percentile]}`);
+      if (typeof baselineLatencies[percentile] == "number") {
+        expressions.push(`${percentile} < ${Math.ceil(baselineLatencies[percentile] * (1 + regressionTolerance))}`);
+      }
+
+      return expressions;
+    }, []);
+  });
+
+  return thresholds;
+};
+
+// Helper function to format a latency in milliseconds
+const formatLatency = (latency) => {
+  return typeof latency == "number" ? `${latency.toFixed(2)}ms` : 'n/a';
+};
+
+// Builds the result of handleSummary for a load run. The latency percentiles of each endpoint type
+// are compared against the baseline and the regressions exceeding the tolerance are reported.
+// The measured latencies are written to summaryFile in the format of the baseline, so that the
+// summary of a run can be stored as the baseline of the following runs.
+export const toLoadSummary = (data, baseline, summaryFile) => {
+  let measuredLatencies = {};
+  let regressions = [];
+  let lines = ['Latency per endpoint type compared against the baseline:'];
+
+  Object.keys(latencyLimits).forEach(endpointType => {
+    const metric = data.metrics[latencyMetricName(endpointType)];
+    if (!metric || !metric.values.count) {
+      lines.push(`  ${endpointType}: no requests`);
+      return;
+    }
+
+    const baselineLatencies = (baseline.endpointTypes || {})[endpointType] || {};
+    measuredLatencies[endpointType] = {};
+    percentiles.forEach(percentile => {
+      const measured = metric.values[percentile];
+      const expected = baselineLatencies[percentile];
+      measuredLatencies[endpointType][percentile] = measured;
+
+      let comparison = 'no baseline';
+      if (typeof expected == "number") {
+        const change = (measured - expected) / expected;
+        comparison = `baseline ${formatLatency(expected)}, ${change >= 0 ? '+' : ''}${(change * 100).toFixed(1)}%`;
+        if (change > regressionTolerance) {
+          regressions.push({ endpointType: endpointType, percentile: percentile, baseline: expected, measured: measured });
+          comparison += ' REGRESSION';
+        }
+      }
+
+      lines.push(`  ${endpointType} ${percentile}: ${formatLatency(measured)} (${comparison})`);
+    });
+  });
+
+  const failedRequests = data.metrics.http_req_failed;
+  if (failedRequests) {
+    lines.push(`Failed requests: ${(failedRequests.values.rate * 100).toFixed(2)}%`);
+  }
+
+  lines.push(regressions.length
+    ? `${regressions.length} latency regression(s) exceeding ${regressionTolerance * 100}% of the baseline`
+    : 'No latency regression');
+
+  let summary = {
+    stdout: lines.join('\n') + '\n'
+  };
+  summary[summaryFile] = JSON.stringify({ endpointTypes: measuredLatencies, regressions: regressions }, null, 2);
+  return summary;
+};
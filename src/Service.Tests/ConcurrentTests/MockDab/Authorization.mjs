@@ -0,0 +1,140 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { errorCodes, fail, matchesConditions } from './InMemoryDatabase.mjs';
+import { parseFilter } from './ODataFilter.mjs';
+
+// Authorizes the requests of the mock DAB server against the permissions of the entities, which follow
+// the permissions of the entities in the DAB config:
+// permissions: [
+//   { role: 'anonymous', actions: ['*'] },
+//   { role: 'test_role_with_excluded_fields', actions: ['create', 'update', 'delete', { action: 'read', fields: { exclude: ['publisher_id'] } }] }
+// ]
+// Each action is either the name of the action, i.e. create, read, update, delete or * for all of them,
+// or an object restricting the fields of the action with fields.include and fields.exclude, and the rows
+// of the action with a database policy, e.g. { action: 'create', policy: { database: "@item.title ne 'Test'" } }.
+// The role of a request is resolved from the X-MS-API-ROLE header like DAB does, and the role must be one of the
+// roles of the principal carried by the token of the request. The signature of the token is not validated.
+// Only the database policies of the create action are enforced. Entities without permissions are accessible to every role.
+
+// Message of the REST error returned when the role is not allowed to perform the request
+export const authorizationFailureMessage = 'Authorization Failure: Access Not Allowed.';
+
+// Message of the GraphQL error returned when the role is not allowed to access a field
+export const graphQLAuthorizationFailureMessage = 'The current user is not authorized to access this resource.';
+
+// Helper function to lower case the names of the headers of a request
+const toLowerCaseHeaders = (headers = {}) => {
+  let lowerCaseHeaders = {};
+  Object.keys(headers).forEach(name => {
+    lowerCaseHeaders[name.toLowerCase()] = headers[name];
+  });
+  return lowerCaseHeaders;
+};
+
+// Helper function to list the roles of the principal carried by the token of a request, or null when the request
+// carries no token. The EasyAuth principal is either in the StaticWebApps shape, listing its UserRoles, or in the
+// AppService shape, listing its roles as claims. The JWT bearer token lists the roles in its roles claim.
+const getPrincipalRoles = (lowerCaseHeaders) => {
+  if (lowerCaseHeaders['x-ms-client-principal']) {
+    const principal = JSON.parse(Buffer.from(lowerCaseHeaders['x-ms-client-principal'], 'base64').toString());
+    return principal.UserRoles || (principal.claims || [])
+      .filter(claim => claim.typ == (principal.role_typ || 'roles'))
+      .map(claim => claim.val);
+  }
+
+  const authorization = lowerCaseHeaders['authorization'] || '';
+  if (authorization.startsWith('Bearer ')) {
+    const payload = JSON.parse(Buffer.from(authorization.substring('Bearer '.length).split('.')[1], 'base64url').toString());
+    return [].concat(payload.roles || []);
+  }
+
+  return null;
+};
+
+// Checks whether the X-MS-API-ROLE header of a request names a role of the principal sending it, like
+// AuthorizationResolver.IsValidRoleContext of DAB: DAB fails the request with a 403 status code otherwise.
+// The anonymous and authenticated system roles are always valid for a request carrying a token. Requests without
+// token are accepted with any role, like the Simulator authentication provider treating every request as authenticated.
+export const isValidRoleContext = (headers = {}) => {
+  const lowerCaseHeaders = toLowerCaseHeaders(headers);
+  const role = lowerCaseHeaders['x-ms-api-role'];
+  const principalRoles = getPrincipalRoles(lowerCaseHeaders);
+  return !role || principalRoles == null || ['anonymous', 'authenticated'].includes(role) || principalRoles.includes(role);
+};
+
+// Gets the role of a request from its headers. Without X-MS-API-ROLE header, the request has the
+// authenticated system role when it carries a token and the anonymous system role otherwise.
+export const getClientRole = (headers = {}) => {
+  const lowerCaseHeaders = toLowerCaseHeaders(headers);
+
+  if (lowerCaseHeaders['x-ms-api-role']) {
+    return lowerCaseHeaders['x-ms-api-role'];
+  }
+
+  return lowerCaseHeaders['x-ms-client-principal'] || lowerCaseHeaders['authorization'] ? 'authenticated' : 'anonymous';
+};
+
+// Helper function to find the permission of the role for an action on the entity, or null when it is not allowed
+const findActionPermission = (definition, role, action) => {
+  const rolePermission = definition.permissions.find(permission => permission.role == role);
+  if (!rolePermission) {
+    return null;
+  }
+
+  return rolePermission.actions
+    .map(actionPermission => typeof actionPermission == 'string' ? { action: actionPermission } : actionPermission)
+    .find(actionPermission => actionPermission.action == action || actionPermission.action == '*') || null;
+};
+
+// Helper function to check whether the fields of the permission of an action include a field
+const isFieldAllowed = (actionPermission, field) => {
+  const fields = actionPermission.fields || {};
+  const include = fields.include || ['*'];
+  const exclude = fields.exclude || [];
+  return (include.includes('*') || include.includes(field)) && !exclude.includes('*') && !exclude.includes(field);
+};
+
+// Checks whether the role is allowed to perform the action on the given fields of the entity
+export const isAuthorized = (definition, role, action, fields = []) => {
+  if (!definition.permissions) {
+    return true;
+  }
+
+  const actionPermission = findActionPermission(definition, role, action);
+  return actionPermission != null && fields.every(field => isFieldAllowed(actionPermission, field));
+};
+
+// Authorizes the action of the role on the given fields of the entity, failing like DAB with a 403 status code
+export const authorize = (definition, role, action, fields = []) => {
+  if (!isAuthorized(definition, role, action, fields)) {
+    fail(errorCodes.AuthorizationCheckFailed, authorizationFailureMessage);
+  }
+};
+
+// Enforces the database policy of the create action of the role on the row to insert, failing like DAB with a 403
+// status code when the row does not satisfy the policy. The policy references the fields of the row as @item.<field>,
+// e.g. @item.title ne 'Test'.
+export const authorizeCreatePolicy = (definition, role, row) => {
+  const actionPermission = definition.permissions ? findActionPermission(definition, role, 'create') : null;
+  const policy = actionPermission && actionPermission.policy && actionPermission.policy.database;
+  if (policy && !matchesConditions(row, parseFilter(policy.replace(/@item\./g, '')))) {
+    fail(errorCodes.DatabasePolicyFailure, 'Could not insert row with given values.');
+  }
+};
+
+// Removes the fields the role is not allowed to read from a row returned by a request
+export const toReadableRow = (definition, role, row) => {
+  if (row == null || !definition.permissions) {
+    return row;
+  }
+
+  const actionPermission = findActionPermission(definition, role, 'read');
+  let readableRow = {};
+  Object.keys(row)
+    .filter(field => actionPermission != null && isFieldAllowed(actionPermission, field))
+    .forEach(field => {
+      readableRow[field] = row[field];
+    });
+  return readableRow;
+};
@@ -0,0 +1,477 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { DatabaseError, errorCodes, fail } from './InMemoryDatabase.mjs';
+import { encodeCursor, decodeCursor } from './RestHandler.mjs';
+import { isAuthorized, authorizeCreatePolicy, graphQLAuthorizationFailureMessage } from './Authorization.mjs';
+
+// Handles the GraphQL requests of the mock DAB server. The root fields generated by DAB for each entity are supported,
+// named after the singular and plural GraphQL names of the entity like DAB does:
+// <singular>_by_pk(<primary key fields>)   - Reads an item, e.g. book_by_pk(id: 1) or publisher_by_pk(id: 1234)
+// <plural>(first, after, filter, orderBy)  - Lists items as { items, endCursor, hasNextPage }, e.g. books(first: 2)
+// create<Singular>(item)                   - Creates an item, e.g. createbook(item: { ... }) or createPublisher(item: { ... })
+// create<Plural>(items)                    - Creates several items as { items }, e.g. createbooks(items: [{ ... }, { ... }])
+// update<Singular>(<primary key>, item)    - Updates an item, e.g. updateNotebook(id: 1, item: { color: "red" })
+// delete<Singular>(<primary key>)          - Deletes an item and returns it, or null when it does not exist
+// The items of the entities backed by a Cosmos DB container are addressed by their id along with the value of their
+// partition key, e.g. planet_by_pk(id: "Earth", _partitionKeyValue: "Earth"), like DAB does for Cosmos DB NoSQL:
+// update<Singular>(id, _partitionKeyValue, item) replaces the item, patch<Singular>(id, _partitionKeyValue, item)
+// updates the given fields of the item and delete<Singular>(id, _partitionKeyValue) returns null. Writing an item
+// which does not exist fails like the Cosmos DB NotFound error.
+// Filters support the eq, neq, gt, gte, lt and lte operators, e.g. filter: { id: { gt: 5 } }.
+// Errors are returned with a 200 status code as { "data": { "<field>": null }, "errors": [{ "message": "...", "extensions": { "code": "..." } }] }.
+// Fields are authorized for the role of the request, see Authorization.mjs: when the role is not allowed to perform the
+// operation or to access one of the selected fields, the field fails with the AUTH_NOT_AUTHORIZED error code.
+// The relationships of the entities can be selected, e.g. book_by_pk(id: 1) { publishers { name } authors { items { name } } },
+// and the items created by create<Singular> and create<Plural> can nest the items of their relationships, like the
+// multiple mutations of DAB: create<Singular>(item: { title: "...", publishers: { name: "..." }, authors: [{ name: "..." }] }).
+// Each mutation is atomic, so a nested create failing to insert one of its items leaves no item behind.
+// Fragments and directives are not supported.
+
+// Maps the operators of GraphQL filters to the operators of the in-memory database
+const filterOperators = { eq: 'eq', neq: 'ne', gt: 'gt', gte: 'ge', lt: 'lt', lte: 'le' };
+
+// Helper function to split a GraphQL document into tokens
+const tokenize = (document) => {
+  const tokenPattern = /\s+|,|#[^\n]*|(\.\.\.|[{}()[\]:!$=@|])|("(?:[^"\\]|\\.)*")|(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|([_A-Za-z][_0-9A-Za-z]*)/y;
+  let tokens = [];
+  let match;
+  while (tokenPattern.lastIndex < document.length) {
+    const position = tokenPattern.lastIndex;
+    match = tokenPattern.exec(document);
+    if (!match) {
+      fail(errorCodes.BadRequest, `Unexpected character '${document[position]}' at position ${position} of the GraphQL document.`);
+    }
+
+    if (match[1]) {
+      tokens.push({ kind: 'punctuator', value: match[1] });
+    } else if (match[2]) {
+      tokens.push({ kind: 'string', value: JSON.parse(match[2]) });
+    } else if (match[3]) {
+      tokens.push({ kind: 'number', value: Number(match[3]) });
+    } else if (match[4]) {
+      tokens.push({ kind: 'name', value: match[4] });
+    }
+  }
+
+  return tokens;
+};
+
+// Parses the operation of a GraphQL document into its operation type and its root fields.
+// Each field is parsed as { alias, name, arguments, selections } where the argument values
+// are resolved from the variables of the request.
+export const parseOperation = (document, variables = {}) => {
+  const tokens = tokenize(document);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => {
+    if (position >= tokens.length) {
+      fail(errorCodes.BadRequest, 'Unexpected end of the GraphQL document.');
+    }
+
+    return tokens[position++];
+  };
+  const expect = (value) => {
+    const token = next();
+    if (token.value !== value) {
+      fail(errorCodes.BadRequest, `Expected '${value}' but found '${token.value}' in the GraphQL document.`);
+    }
+  };
+  const isPunctuator = (value) => peek() && peek().kind == 'punctuator' && peek().value == value;
+
+  const parseValue = () => {
+    const token = next();
+    if (token.kind == 'punctuator' && token.value == '$') {
+      return variables[next().value];
+    }
+
+    if (token.kind == 'punctuator' && token.value == '{') {
+      let object = {};
+      while (!isPunctuator('}')) {
+        const name = next().value;
+        expect(':');
+        object[name] = parseValue();
+      }
+
+      expect('}');
+      return object;
+    }
+
+    if (token.kind == 'punctuator' && token.value == '[') {
+      let list = [];
+      while (!isPunctuator(']')) {
+        list.push(parseValue());
+      }
+
+      expect(']');
+      return list;
+    }
+
+    if (token.kind == 'name') {
+      return token.value == 'true' ? true : token.value == 'false' ? false : token.value == 'null' ? null : token.value;
+    }
+
+    return token.value;
+  };
+
+  const parseSelections = () => {
+    expect('{');
+    let selections = [];
+    while (!isPunctuator('}')) {
+      let name = next().value;
+      let alias = name;
+      if (isPunctuator(':')) {
+        next();
+        name = next().value;
+      }
+
+      let fieldArguments = {};
+      if (isPunctuator('(')) {
+        next();
+        while (!isPunctuator(')')) {
+          const argumentName = next().value;
+          expect(':');
+          fieldArguments[argumentName] = parseValue();
+        }
+
+        expect(')');
+      }
+
+      selections.push({ alias: alias, name: name, arguments: fieldArguments, selections: isPunctuator('{') ? parseSelections() : [] });
+    }
+
+    expect('}');
+    return selections;
+  };
+
+  let operationType = 'query';
+  if (peek() && peek().kind == 'name' && (peek().value == 'query' || peek().value == 'mutation')) {
+    operationType = next().value;
+    if (peek() && peek().kind == 'name') {
+      next();
+    }
+
+    // The variable definitions are skipped as the variables are resolved from the request
+    if (isPunctuator('(')) {
+      while (!isPunctuator(')')) {
+        next();
+      }
+
+      next();
+    }
+  }
+
+  return { operationType: operationType, fields: parseSelections() };
+};
+
+// Helper function to lower case the first character of a name, e.g. Publisher to publisher
+const toCamelCase = (name) => name.charAt(0).toLowerCase() + name.substring(1);
+
+// Helper function to build the conditions matching the rows whose toFields hold the values of the fromFields of a row
+const toJoinConditions = (fromFields, toFields, row) => {
+  return toFields.map((field, index) => ({ field: field, operator: 'eq', value: row[fromFields[index]] }));
+};
+
+// Helper function to find the rows related to a row through a relationship of its entity
+const findRelatedRows = (database, relationship, row) => {
+  if (!relationship.linkingEntity) {
+    return database.query(relationship.target, { filter: toJoinConditions(relationship.sourceFields, relationship.targetFields, row) }).rows;
+  }
+
+  return database.query(relationship.linkingEntity, { filter: toJoinConditions(relationship.sourceFields, relationship.linkingSourceFields, row) }).rows
+    .map(link => database.query(relationship.target, { filter: toJoinConditions(relationship.linkingTargetFields, relationship.targetFields, link) }).rows[0])
+    .filter(relatedRow => relatedRow != null);
+};
+
+// Helper function to project a connection, i.e. { items, endCursor, hasNextPage }, on the selections of a field
+const projectConnection = (database, definition, connection, selections) => {
+  let result = {};
+  selections.forEach(selection => {
+    result[selection.alias] = selection.name == 'items'
+      ? connection.items.map(row => project(database, definition, row, selection.selections))
+      : connection[selection.name];
+  });
+  return result;
+};
+
+// Helper function to project a row on the selections of a field. The selected relationships are resolved into
+// the related item for the relationships with cardinality one and into a connection of items otherwise.
+const project = (database, definition, row, selections) => {
+  if (row == null || !selections.length) {
+    return row;
+  }
+
+  const relationships = definition.relationships || {};
+  let projectedRow = {};
+  selections.forEach(selection => {
+    const relationship = relationships[selection.name];
+    if (!relationship) {
+      projectedRow[selection.alias] = row[selection.name] === undefined ? null : row[selection.name];
+      return;
+    }
+
+    const targetDefinition = database.getDefinition(relationship.target);
+    const relatedRows = findRelatedRows(database, relationship, row);
+    projectedRow[selection.alias] = relationship.cardinality == 'one'
+      ? project(database, targetDefinition, relatedRows[0] || null, selection.selections)
+      : projectConnection(database, targetDefinition, { items: relatedRows, endCursor: null, hasNextPage: false }, selection.selections);
+  });
+  return projectedRow;
+};
+
+// Helper function to get the primary key of an item from the arguments of a field
+const getPrimaryKey = (definition, fieldArguments) => {
+  let primaryKey = {};
+  definition.primaryKey.forEach(field => {
+    primaryKey[field] = fieldArguments[field];
+  });
+  return primaryKey;
+};
+
+// Helper function to check whether a row is in the partition given by the _partitionKeyValue argument of a field.
+// Only the items of the entities backed by a Cosmos DB container are partitioned.
+const isInPartition = (definition, row, fieldArguments) => {
+  return !definition.partitionKey || row[definition.partitionKey] === fieldArguments._partitionKeyValue;
+};
+
+// Helper function to find the item of a Cosmos DB container written by a mutation, failing like the
+// Cosmos DB NotFound error when the item does not exist in the partition given by the arguments of the field
+const findItemToWrite = (database, definition, fieldArguments) => {
+  const row = database.findByKey(definition.name, getPrimaryKey(definition, fieldArguments));
+  if (!row || !isInPartition(definition, row, fieldArguments)) {
+    fail(errorCodes.EntityNotFound, 'Response status code does not indicate success: NotFound (404). Entity with the specified id does not exist in the system.');
+  }
+
+  return row;
+};
+
+// Helper function to authorize the action of the role on the given fields of the entity along with
+// the selected fields of the item returned by the field
+const authorizeField = (definition, role, action, fields, selections) => {
+  if (!isAuthorized(definition, role, action, fields) || !isAuthorized(definition, role, 'read', selections.map(selection => selection.name))) {
+    fail(errorCodes.GraphQLNotAuthorized, graphQLAuthorizationFailureMessage);
+  }
+};
+
+// Helper function to convert a GraphQL filter, e.g. { id: { gt: 5 } }, to the conditions of the in-memory database
+const toConditions = (filter) => {
+  return Object.keys(filter || {}).reduce((conditions, field) => {
+    return conditions.concat(Object.keys(filter[field]).map(operator => {
+      if (!(operator in filterOperators)) {
+        fail(errorCodes.BadRequest, `Unsupported filter operator: ${operator}`);
+      }
+
+      return { field: field, operator: filterOperators[operator], value: filter[field][operator] };
+    }));
+  }, []);
+};
+
+// Helper function to resolve a list field into a connection of items
+const resolveList = (database, definition, field, role) => {
+  const fieldArguments = field.arguments;
+  const itemsSelection = field.selections.find(selection => selection.name == 'items');
+  authorizeField(definition, role, 'read', Object.keys(fieldArguments.filter || {}).concat(Object.keys(fieldArguments.orderBy || {})), itemsSelection ? itemsSelection.selections : []);
+
+  const page = database.query(definition.name, {
+    filter: toConditions(fieldArguments.filter),
+    orderBy: Object.keys(fieldArguments.orderBy || {}).map(sortField => ({ field: sortField, descending: fieldArguments.orderBy[sortField] == 'DESC' })),
+    first: fieldArguments.first == null ? null : fieldArguments.first,
+    after: fieldArguments.after == null ? null : decodeCursor(fieldArguments.after)
+  });
+
+  const connection = {
+    items: page.rows,
+    endCursor: page.cursor ? encodeCursor(page.cursor) : null,
+    hasNextPage: page.cursor != null
+  };
+
+  return projectConnection(database, definition, connection, field.selections);
+};
+
+// Helper function to split the fields of a nested item into the fields of its row and the items of its relationships
+const splitNestedItem = (definition, item) => {
+  const relationships = definition.relationships || {};
+  let row = {};
+  let nestedItems = {};
+  Object.keys(item).forEach(field => {
+    if (field in relationships) {
+      nestedItems[field] = item[field];
+    } else {
+      row[field] = item[field];
+    }
+  });
+  return { row: row, nestedItems: nestedItems };
+};
+
+// Helper function to insert an item along with the items it nests for the relationships of its entity.
+// The items of the relationships with cardinality one are inserted first so that the item references them,
+// while the items of the relationships with cardinality many are inserted once the item is, referencing it
+// or linked to it through the linking entity of the relationship.
+const insertNestedItem = (database, definition, role, item) => {
+  const relationships = definition.relationships || {};
+  const { row, nestedItems } = splitNestedItem(definition, item);
+  if (!isAuthorized(definition, role, 'create', Object.keys(row))) {
+    fail(errorCodes.GraphQLNotAuthorized, graphQLAuthorizationFailureMessage);
+  }
+
+  Object.keys(nestedItems).filter(field => relationships[field].cardinality == 'one').forEach(field => {
+    const relationship = relationships[field];
+    const relatedRow = insertNestedItem(database, database.getDefinition(relationship.target), role, nestedItems[field]);
+    relationship.sourceFields.forEach((sourceField, index) => {
+      row[sourceField] = relatedRow[relationship.targetFields[index]];
+    });
+  });
+
+  authorizeCreatePolicy(definition, role, row);
+  const insertedRow = database.insert(definition.name, row);
+
+  Object.keys(nestedItems).filter(field => relationships[field].cardinality == 'many').forEach(field => {
+    const relationship = relationships[field];
+    const targetDefinition = database.getDefinition(relationship.target);
+    nestedItems[field].forEach(relatedItem => {
+      if (!relationship.linkingEntity) {
+        let relatedFields = Object.assign({}, relatedItem);
+        relationship.targetFields.forEach((targetField, index) => {
+          relatedFields[targetField] = insertedRow[relationship.sourceFields[index]];
+        });
+        insertNestedItem(database, targetDefinition, role, relatedFields);
+        return;
+      }
+
+      // The fields of the linking entity, e.g. the royalty percentage of an author of a book, are written to the link
+      const linkingFields = relationship.linkingFields || [];
+      let relatedFields = {};
+      let link = {};
+      Object.keys(relatedItem).forEach(relatedField => {
+        (linkingFields.includes(relatedField) ? link : relatedFields)[relatedField] = relatedItem[relatedField];
+      });
+
+      const relatedRow = insertNestedItem(database, targetDefinition, role, relatedFields);
+      relationship.linkingSourceFields.forEach((linkingField, index) => {
+        link[linkingField] = insertedRow[relationship.sourceFields[index]];
+      });
+      relationship.linkingTargetFields.forEach((linkingField, index) => {
+        link[linkingField] = relatedRow[relationship.targetFields[index]];
+      });
+      database.insert(relationship.linkingEntity, link);
+    });
+  });
+
+  return insertedRow;
+};
+
+// Helper function to resolve a root field of an operation
+const resolveField = (database, operationType, field, role) => {
+  const definitions = database.getDefinitions().filter(definition => definition.graphQL !== false);
+  const findDefinition = (predicate) => definitions.find(predicate);
+
+  if (operationType == 'query') {
+    const readDefinition = findDefinition(definition => field.name == `${toCamelCase(definition.singular)}_by_pk`);
+    if (readDefinition) {
+      authorizeField(readDefinition, role, 'read', [], field.selections);
+      const row = database.findByKey(readDefinition.name, getPrimaryKey(readDefinition, field.arguments));
+      return project(database, readDefinition, row && isInPartition(readDefinition, row, field.arguments) ? row : null, field.selections);
+    }
+
+    const listDefinition = findDefinition(definition => field.name == toCamelCase(definition.plural));
+    if (listDefinition) {
+      return resolveList(database, listDefinition, field, role);
+    }
+  } else {
+    const createDefinition = findDefinition(definition => field.name == `create${definition.singular}`);
+    if (createDefinition) {
+      authorizeField(createDefinition, role, 'create', Object.keys(field.arguments.item || {}), field.selections);
+      const row = database.transaction(() => insertNestedItem(database, createDefinition, role, field.arguments.item || {}));
+      return project(database, createDefinition, row, field.selections);
+    }
+
+    const multipleCreateDefinition = findDefinition(definition => !definition.partitionKey && field.name == `create${definition.plural}`);
+    if (multipleCreateDefinition) {
+      const items = field.arguments.items || [];
+      const itemsSelection = field.selections.find(selection => selection.name == 'items');
+      authorizeField(multipleCreateDefinition, role, 'create', [].concat(...items.map(item => Object.keys(item))), itemsSelection ? itemsSelection.selections : []);
+      const rows = database.transaction(() => items.map(item => insertNestedItem(database, multipleCreateDefinition, role, item)));
+      return projectConnection(database, multipleCreateDefinition, { items: rows, endCursor: null, hasNextPage: false }, field.selections);
+    }
+
+    const updateDefinition = findDefinition(definition => field.name == `update${definition.singular}`);
+    if (updateDefinition) {
+      authorizeField(updateDefinition, role, 'update', Object.keys(field.arguments.item || {}), field.selections);
+      if (updateDefinition.partitionKey) {
+        findItemToWrite(database, updateDefinition, field.arguments);
+      }
+
+      const result = database.update(updateDefinition.name, getPrimaryKey(updateDefinition, field.arguments), field.arguments.item || {}, { replace: !!updateDefinition.partitionKey });
+      return project(database, updateDefinition, result.row, field.selections);
+    }
+
+    const patchDefinition = findDefinition(definition => definition.partitionKey && field.name == `patch${definition.singular}`);
+    if (patchDefinition) {
+      authorizeField(patchDefinition, role, 'update', Object.keys(field.arguments.item || {}), field.selections);
+      findItemToWrite(database, patchDefinition, field.arguments);
+      const result = database.update(patchDefinition.name, getPrimaryKey(patchDefinition, field.arguments), field.arguments.item || {});
+      return project(database, patchDefinition, result.row, field.selections);
+    }
+
+    const deleteDefinition = findDefinition(definition => field.name == `delete${definition.singular}`);
+    if (deleteDefinition) {
+      authorizeField(deleteDefinition, role, 'delete', [], field.selections);
+    }
+
+    if (deleteDefinition && deleteDefinition.partitionKey) {
+      findItemToWrite(database, deleteDefinition, field.arguments);
+      database.delete(deleteDefinition.name, getPrimaryKey(deleteDefinition, field.arguments));
+      return null;
+    }
+
+    if (deleteDefinition) {
+      return project(database, deleteDefinition, database.delete(deleteDefinition.name, getPrimaryKey(deleteDefinition, field.arguments)), field.selections);
+    }
+  }
+
+  fail(errorCodes.BadRequest, `The field \`${field.name}\` does not exist on the type \`${operationType == 'query' ? 'Query' : 'Mutation'}\`.`);
+};
+
+// Helper function to convert an error to a GraphQL error
+const toGraphQLError = (error) => {
+  if (!(error instanceof DatabaseError)) {
+    throw error;
+  }
+
+  return { message: error.message, extensions: { code: error.code } };
+};
+
+// Handles a GraphQL request whose body is { "query": "...", "variables": { ... } }.
+// The role is the role of the request resolved by getClientRole of Authorization.mjs.
+export const handleGraphQLRequest = (database, requestBody, role = 'anonymous') => {
+  let request;
+  let operation;
+  try {
+    request = JSON.parse(requestBody || '{}');
+    operation = parseOperation(request.query || '', request.variables || {});
+  }
+  catch (error) {
+    const graphQLError = error instanceof SyntaxError ? { message: error.message, extensions: { code: errorCodes.BadRequest.code } } : toGraphQLError(error);
+    return { status: 400, body: JSON.stringify({ errors: [graphQLError] }), headers: {} };
+  }
+
+  let data = {};
+  let errors = [];
+  operation.fields.forEach(field => {
+    try {
+      data[field.alias] = resolveField(database, operation.operationType, field, role);
+    }
+    catch (error) {
+      data[field.alias] = null;
+      errors.push(Object.assign(toGraphQLError(error), { path: [field.alias] }));
+    }
+  });
+
+  let body = { data: data };
+  if (errors.length) {
+    body.errors = errors;
+  }
+
+  return { status: 200, body: JSON.stringify(body), headers: {} };
+};
@@ -0,0 +1,318 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// In-memory store backing the mock DAB server. Each entity is described by its name, its
+// GraphQL names, its primary key fields and, when the primary key is generated by the
+// database, the seed of the identity column. Entities which are not exposed through GraphQL set graphQL to false
+// and entities which are not exposed through REST set rest to false.
+// { name: 'Publisher', singular: 'Publisher', plural: 'Publishers', primaryKey: ['id'], identitySeed: 5001, rows: [...] }
+// Entities backed by a Cosmos DB container also set the field holding the partition key of their items:
+// { name: 'PlanetAlias', singular: 'Planet', plural: 'Planets', primaryKey: ['id'], partitionKey: 'id', rest: false, rows: [...] }
+// Entities can restrict the roles allowed to act on them with the permissions of the DAB config, see Authorization.mjs,
+// and can list their fields, e.g. fields: ['id', 'name'], so that requests referencing other fields are rejected.
+// When the identity column is not the first field of the primary key, identityField names it.
+// Entities backed by a view selecting all the columns of the table of another entity set source to the name
+// of that entity instead of holding rows, e.g. { name: 'books_view_all', ..., primaryKey: ['id'], source: 'Book' },
+// so that the reads and writes through either entity act on the same rows.
+// The relationships of an entity follow the relationships of the DAB config. A relationship names its target entity,
+// its cardinality and the fields of the source and target entities it joins on, along with the linking entity,
+// its fields and the fields of the linking entity written by nested creates for many-to-many relationships:
+// relationships: {
+//   publishers: { target: 'Publisher', cardinality: 'one', sourceFields: ['publisher_id'], targetFields: ['id'] },
+//   authors: { target: 'Author', cardinality: 'many', sourceFields: ['id'], targetFields: ['id'], linkingEntity: 'book_author_link',
+//     linkingSourceFields: ['book_id'], linkingTargetFields: ['author_id'], linkingFields: ['royalty_percentage'] }
+// }
+// Operations fail with a DatabaseError carrying the status code and error code returned by DAB.
+
+export class DatabaseError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'DatabaseError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Error codes returned by DAB along with their status codes
+export const errorCodes = {
+  BadRequest: { status: 400, code: 'BadRequest' },
+  EntityNotFound: { status: 404, code: 'EntityNotFound' },
+  ItemNotFound: { status: 404, code: 'ItemNotFound' },
+  DatabaseOperationFailed: { status: 500, code: 'DatabaseOperationFailed' },
+  // Primary key violations are reported with the DatabaseOperationFailed code and a conflict status code
+  DuplicateKey: { status: 409, code: 'DatabaseOperationFailed' },
+  AuthorizationCheckFailed: { status: 403, code: 'AuthorizationCheckFailed' },
+  DatabasePolicyFailure: { status: 403, code: 'DatabasePolicyFailure' },
+  // Code of the GraphQL errors returned when the role is not allowed to access a field
+  GraphQLNotAuthorized: { status: 403, code: 'AUTH_NOT_AUTHORIZED' }
+};
+
+const comparisonOperators = {
+  eq: (left, right) => left === right,
+  ne: (left, right) => left !== right,
+  gt: (left, right) => left > right,
+  ge: (left, right) => left >= right,
+  lt: (left, right) => left < right,
+  le: (left, right) => left <= right
+};
+
+// Checks whether a row matches all the conditions of a filter, e.g. [{ field: 'id', operator: 'gt', value: 5 }]
+export const matchesConditions = (row, conditions) => {
+  return conditions.every(condition => comparisonOperators[condition.operator](row[condition.field], condition.value));
+};
+
+// Throws the DatabaseError of an error code
+export const fail = (errorCode, message) => {
+  throw new DatabaseError(errorCode.status, errorCode.code, message);
+};
+
+// Helper function to compare two values of a sort key, null values being sorted first
+const compareSortValues = (left, right) => {
+  if (left === right) {
+    return 0;
+  }
+
+  if (left == null) {
+    return -1;
+  }
+
+  if (right == null) {
+    return 1;
+  }
+
+  return left < right ? -1 : 1;
+};
+
+// Helper function to get the definition of an entity without its rows
+const toDefinition = (entity) => {
+  return {
+    name: entity.name,
+    singular: entity.singular,
+    plural: entity.plural,
+    primaryKey: entity.primaryKey,
+    identitySeed: entity.identitySeed,
+    identityField: entity.identityField,
+    partitionKey: entity.partitionKey,
+    graphQL: entity.graphQL,
+    rest: entity.rest,
+    permissions: entity.permissions,
+    fields: entity.fields,
+    relationships: entity.relationships
+  };
+};
+
+// Formats the primary key of an item like the error messages of DAB, e.g. <id: 1>
+export const formatKey = (key) => {
+  return `<${Object.keys(key).map(field => `${field}: ${key[field]}`).join(', ')}>`;
+};
+
+// Creates an in-memory database holding a copy of the rows of the given entities
+export const createInMemoryDatabase = (entityDefinitions) => {
+  const entities = new Map(entityDefinitions.map(entity => [entity.name, Object.assign({}, entity, {
+    rows: (entity.rows || []).map(row => Object.assign({}, row))
+  })]));
+
+  // Helper function to get an entity by its name
+  const getEntity = (entityName) => {
+    const entity = entities.get(entityName);
+    if (!entity) {
+      fail(errorCodes.EntityNotFound, `Entity ${entityName} is not found.`);
+    }
+
+    return entity;
+  };
+
+  // Helper function to get the entity storing the rows of an entity, which is the entity a view selects from
+  const getStoredEntity = (entityName) => {
+    const entity = getEntity(entityName);
+    return entity.source ? getEntity(entity.source) : entity;
+  };
+
+  // Helper function to validate that a key provides a value for each primary key field
+  const validateKey = (entity, key) => {
+    const missingFields = entity.primaryKey.filter(field => key[field] === undefined);
+    if (missingFields.length) {
+      fail(errorCodes.BadRequest, `Primary key field(s) ${missingFields.join(', ')} of ${entity.name} are not provided.`);
+    }
+  };
+
+  // Helper function to find the row of an entity matching a key
+  const findRow = (entity, key) => {
+    validateKey(entity, key);
+    return entity.rows.find(row => entity.primaryKey.every(field => row[field] === key[field]));
+  };
+
+  // Helper function to get the field of the identity column of an entity
+  const getIdentityField = (entity) => entity.identityField || entity.primaryKey[0];
+
+  // Helper function to generate the next value of the identity column of an entity.
+  // Like an identity column, the values of deleted rows are not reused.
+  const nextIdentity = (entity) => {
+    if (entity.lastIdentity == null) {
+      const field = getIdentityField(entity);
+      entity.lastIdentity = entity.rows.reduce((max, row) => Math.max(max, row[field]), entity.identitySeed - 1);
+    }
+
+    entity.lastIdentity++;
+    return entity.lastIdentity;
+  };
+
+  // Helper function to get the fields a list of rows is sorted by. The primary key fields
+  // are always appended so that the order is deterministic, which keyset pagination requires.
+  const getSortFields = (entity, orderBy) => {
+    const sortFields = (orderBy || []).slice();
+    entity.primaryKey
+      .filter(field => !sortFields.some(sortField => sortField.field == field))
+      .forEach(field => sortFields.push({ field: field, descending: false }));
+    return sortFields;
+  };
+
+  // Helper function to compare two rows by the given sort fields
+  const compareRows = (sortFields, left, right) => {
+    for (const sortField of sortFields) {
+      const comparison = compareSortValues(left[sortField.field], right[sortField.field]);
+      if (comparison != 0) {
+        return sortField.descending ? -comparison : comparison;
+      }
+    }
+
+    return 0;
+  };
+
+  return {
+    // Finds the row matching a key. Returns null when no row matches.
+    findByKey: (entityName, key) => {
+      const row = findRow(getStoredEntity(entityName), key);
+      return row ? Object.assign({}, row) : null;
+    },
+
+    // Lists the rows of an entity matching all the filter conditions, e.g. [{ field: 'id', operator: 'gt', value: 5 }],
+    // sorted by orderBy, e.g. [{ field: 'id', descending: true }]. When first is provided, a page of rows is returned
+    // along with the cursor of the next page. The cursor holds the sort values of the last row of the page, so a
+    // page starts after that row even when rows are inserted or deleted between the requests, like DAB's keyset pagination.
+    query: (entityName, { filter = [], orderBy = [], first = null, after = null } = {}) => {
+      const entity = getStoredEntity(entityName);
+      const sortFields = getSortFields(entity, orderBy);
+      filter.forEach(condition => {
+        if (!(condition.operator in comparisonOperators)) {
+          fail(errorCodes.BadRequest, `Unsupported filter operator: ${condition.operator}`);
+        }
+      });
+
+      let rows = entity.rows
+        .filter(row => matchesConditions(row, filter))
+        .sort((left, right) => compareRows(sortFields, left, right));
+
+      if (after != null) {
+        rows = rows.filter(row => compareRows(sortFields, row, after) > 0);
+      }
+
+      let cursor = null;
+      if (first != null && rows.length > first) {
+        rows = rows.slice(0, first);
+        const lastRow = rows[rows.length - 1];
+        cursor = {};
+        sortFields.forEach(sortField => {
+          cursor[sortField.field] = lastRow[sortField.field];
+        });
+      }
+
+      return { rows: rows.map(row => Object.assign({}, row)), cursor: cursor };
+    },
+
+    // Inserts a row. The primary key is generated when the entity has an identity column.
+    // Inserting a row whose primary key already exists fails like a primary key violation,
+    // or like a conflict of the item id for the entities backed by a Cosmos DB container.
+    insert: (entityName, item) => {
+      const entity = getStoredEntity(entityName);
+      let row = Object.assign({}, item);
+      if (entity.identitySeed != null) {
+        row[getIdentityField(entity)] = nextIdentity(entity);
+      }
+
+      if (findRow(entity, row)) {
+        fail(errorCodes.DuplicateKey, entity.partitionKey
+          ? 'Response status code does not indicate success: Conflict (409). Entity with the specified id already exists in the system.'
+          : `Violation of PRIMARY KEY constraint. Cannot insert duplicate key in object ${entity.name}.`);
+      }
+
+      entity.rows.push(row);
+      return Object.assign({}, row);
+    },
+
+    // Updates the fields of the row matching a key. When the row does not exist, it is inserted if upsert is set
+    // and the primary key is not generated by the database. Otherwise, the update fails with ItemNotFound.
+    // When replace is set, the fields which are not provided are set to null, like a PUT request.
+    update: (entityName, key, fields, { upsert = false, replace = false } = {}) => {
+      const entity = getStoredEntity(entityName);
+      const row = findRow(entity, key);
+      if (!row) {
+        if (!upsert) {
+          fail(errorCodes.ItemNotFound, `Could not find item with ${formatKey(key)}`);
+        }
+
+        if (entity.identitySeed != null) {
+          fail(errorCodes.ItemNotFound, `Cannot perform INSERT and could not find ${entity.name} with primary key ${formatKey(key)} to perform UPDATE on.`);
+        }
+
+        const insertedRow = Object.assign({}, fields, key);
+        entity.rows.push(insertedRow);
+        return { row: Object.assign({}, insertedRow), created: true };
+      }
+
+      if (replace) {
+        Object.keys(row)
+          .filter(field => !entity.primaryKey.includes(field))
+          .forEach(field => {
+            row[field] = null;
+          });
+      }
+
+      Object.keys(fields)
+        .filter(field => !entity.primaryKey.includes(field))
+        .forEach(field => {
+          row[field] = fields[field];
+        });
+
+      return { row: Object.assign({}, row), created: false };
+    },
+
+    // Deletes the row matching a key. Returns the deleted row or null when no row matches.
+    delete: (entityName, key) => {
+      const entity = getStoredEntity(entityName);
+      const row = findRow(entity, key);
+      if (!row) {
+        return null;
+      }
+
+      entity.rows.splice(entity.rows.indexOf(row), 1);
+      return row;
+    },
+
+    // Runs the operations of run as a transaction: when run throws, the rows of all the entities are restored
+    // to their state before the transaction and the error is rethrown. Returns the result of run.
+    transaction: (run) => {
+      const snapshot = Array.from(entities.values()).map(entity => ({
+        entity: entity,
+        rows: entity.rows.map(row => Object.assign({}, row))
+      }));
+
+      try {
+        return run();
+      }
+      catch (error) {
+        // Like an identity column, the identity values generated by the rolled back operations are not reused
+        snapshot.forEach(entitySnapshot => {
+          entitySnapshot.entity.rows = entitySnapshot.rows;
+        });
+        throw error;
+      }
+    },
+
+    // Gets the definition of an entity, without its rows
+    getDefinition: (entityName) => toDefinition(getEntity(entityName)),
+
+    // Lists the definitions of all the entities
+    getDefinitions: () => Array.from(entities.values()).map(toDefinition)
+  };
+};
@@ -0,0 +1,167 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import http from 'node:http';
+import { pathToFileURL } from 'node:url';
+import { createInMemoryDatabase } from './InMemoryDatabase.mjs';
+import { handleRestRequest } from './RestHandler.mjs';
+import { handleGraphQLRequest } from './GraphQLHandler.mjs';
+import { getClientRole, isValidRoleContext } from './Authorization.mjs';
+import { seedEntities, seedCosmosEntities } from './SeedData.mjs';
+
+// Lightweight stand-in for DAB serving the REST and GraphQL response shapes of DAB from an in-memory
+// database, so that the concurrency test harness can be developed and verified without a database.
+// Authentication is not enforced: requests are authorized for the role of their X-MS-API-ROLE header against
+// the permissions of the entities, see Authorization.mjs, without validating their tokens. Like DAB, the requests
+// whose X-MS-API-ROLE header names a role the principal of their token does not hold fail with a 403 status code.
+//
+// Start it with: node MockDab/MockDabServer.mjs
+// and point the test suite to it with: k6 run -e DAB_BASE_URL=http://localhost:5000 SqlTests/test.js
+//
+// The server is configured with the following environment variables:
+// MOCK_DAB_PORT            - Port to listen on. Defaults to 5000.
+// MOCK_DAB_DELAY_MS        - Delay before each request is processed, either a number of milliseconds or
+//                            a range such as 10-50 for a random delay. Defaults to 0.
+// MOCK_DAB_BATCH_WINDOW_MS - When set, the requests received within this window are held and processed one
+//                            after the other in the order set by MOCK_DAB_ORDER. Defaults to 0, which
+//                            processes each request as soon as it is received.
+// MOCK_DAB_ORDER           - Order in which the requests held by the batch window are processed:
+//                            arrival (default), reverse or random.
+// MOCK_DAB_DATABASE_TYPE   - Database type of the DAB instance the server stands in for: mssql (default), which serves
+//                            the entities of SqlTests, or cosmosdb_nosql, which serves the entities of CosmosTests.
+
+const orders = {
+  arrival: (requests) => requests,
+  reverse: (requests) => requests.slice().reverse(),
+  random: (requests) => requests
+    .map(request => ({ request: request, sortKey: Math.random() }))
+    .sort((left, right) => left.sortKey - right.sortKey)
+    .map(item => item.request)
+};
+
+// Parses a delay such as 20 or 10-50 into a function returning the delay of a request in milliseconds
+export const parseDelay = (delay) => {
+  const match = /^\s*(\d+)\s*(?:-\s*(\d+)\s*)?$/.exec(String(delay == null ? 0 : delay));
+  if (!match) {
+    throw new Error(`Invalid delay: ${delay}. Use a number of milliseconds or a range such as 10-50`);
+  }
+
+  const minimum = Number(match[1]);
+  const maximum = match[2] === undefined ? minimum : Number(match[2]);
+  return () => minimum + Math.floor(Math.random() * (maximum - minimum + 1));
+};
+
+// Entities served for each database type
+const entitiesPerDatabaseType = {
+  mssql: seedEntities,
+  cosmosdb_nosql: seedCosmosEntities
+};
+
+const sleep = (milliseconds) => new Promise(resolve => setTimeout(resolve, milliseconds));
+
+// Helper function to read the body of a request
+const readBody = (request) => new Promise((resolve, reject) => {
+  let chunks = [];
+  request.on('data', chunk => chunks.push(chunk));
+  request.on('end', () => resolve(Buffer.concat(chunks).toString()));
+  request.on('error', reject);
+});
+
+// Creates the mock DAB server. The returned server is not listening yet.
+// The in-memory database is exposed as server.database so that tests can inspect and prepare its state.
+// Options:
+// entities      - Entities served with their rows. Defaults to the seeded entities of SeedData.mjs.
+// delayMs       - Delay before each request is processed, see MOCK_DAB_DELAY_MS.
+// batchWindowMs - Window during which requests are held to be processed in the given order, see MOCK_DAB_BATCH_WINDOW_MS.
+// order         - Order of the requests held by the batch window: arrival, reverse or random.
+// restPath      - Path of the REST endpoint. Defaults to /api.
+// graphQLPath   - Path of the GraphQL endpoint. Defaults to /graphql.
+export const createMockDabServer = ({ entities = seedEntities(), delayMs = 0, batchWindowMs = 0, order = 'arrival', restPath = '/api', graphQLPath = '/graphql' } = {}) => {
+  if (!(order in orders)) {
+    throw new Error(`Unknown order: ${order}. Use arrival, reverse or random`);
+  }
+
+  const database = createInMemoryDatabase(entities);
+  const getDelay = parseDelay(delayMs);
+  let heldRequests = [];
+
+  // Processes a request against the in-memory database. Requests are processed synchronously, so each
+  // of them is atomic like a database transaction and racing requests are serialized in processing order.
+  const processRequest = (method, url, body, role) => {
+    if (url.pathname == graphQLPath || url.pathname == `${graphQLPath}/`) {
+      return handleGraphQLRequest(database, body, role);
+    }
+
+    if (url.pathname.startsWith(`${restPath}/`)) {
+      return handleRestRequest(database, method, url.pathname.substring(restPath.length), url, body, role);
+    }
+
+    return { status: 404, body: '', headers: {} };
+  };
+
+  // Processes the requests held by the batch window one after the other in the configured order
+  const processHeldRequests = async () => {
+    const requests = orders[order](heldRequests);
+    heldRequests = [];
+    for (const heldRequest of requests) {
+      await sleep(getDelay());
+      heldRequest.resolve(processRequest(heldRequest.method, heldRequest.url, heldRequest.body, heldRequest.role));
+    }
+  };
+
+  // Schedules a request according to the delay and the batch window
+  const scheduleRequest = (method, url, body, role) => {
+    if (batchWindowMs <= 0) {
+      return sleep(getDelay()).then(() => processRequest(method, url, body, role));
+    }
+
+    return new Promise(resolve => {
+      if (!heldRequests.length) {
+        setTimeout(processHeldRequests, batchWindowMs);
+      }
+
+      heldRequests.push({ method: method, url: url, body: body, role: role, resolve: resolve });
+    });
+  };
+
+  const server = http.createServer(async (request, response) => {
+    try {
+      const body = await readBody(request);
+      if (!isValidRoleContext(request.headers)) {
+        response.writeHead(403);
+        response.end();
+        return;
+      }
+
+      const url = new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+      const result = await scheduleRequest(request.method, url, body, getClientRole(request.headers));
+      const headers = Object.assign(result.body ? { 'Content-Type': 'application/json' } : {}, result.headers);
+      response.writeHead(result.status, headers);
+      response.end(result.body);
+    }
+    catch (error) {
+      response.writeHead(500, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify({ error: { code: 'UnexpectedError', message: error.message, status: 500 } }));
+    }
+  });
+
+  server.database = database;
+  return server;
+};
+
+// Starts the server when the module is run with node
+if (process.argv[1] && import.meta.url == pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.MOCK_DAB_PORT || 5000);
+  const databaseType = process.env.MOCK_DAB_DATABASE_TYPE || 'mssql';
+  if (!(databaseType in entitiesPerDatabaseType)) {
+    throw new Error(`Unknown database type: ${databaseType}. Use mssql or cosmosdb_nosql`);
+  }
+
+  const server = createMockDabServer({
+    entities: entitiesPerDatabaseType[databaseType](),
+    delayMs: process.env.MOCK_DAB_DELAY_MS || 0,
+    batchWindowMs: Number(process.env.MOCK_DAB_BATCH_WINDOW_MS || 0),
+    order: process.env.MOCK_DAB_ORDER || 'arrival'
+  });
+  server.listen(port, () => console.log(`Mock DAB server listening on http://localhost:${port}`));
+}
@@ -0,0 +1,45 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { errorCodes, fail } from './InMemoryDatabase.mjs';
+
+// Parses the subset of the OData filter expressions used by the test suite into the conditions of the
+// in-memory database: eq, ne, gt, ge, lt and le conditions joined by "and", e.g. id gt 5 and name eq 'Big Company'.
+// Both the $filter of the REST requests and the database policies of the permissions are OData filter expressions.
+
+// Helper function to parse a literal of a condition
+const parseLiteral = (literal) => {
+  if (/^'.*'$/.test(literal)) {
+    return literal.slice(1, -1).replace(/''/g, "'");
+  }
+
+  if (literal == 'null') {
+    return null;
+  }
+
+  if (literal == 'true' || literal == 'false') {
+    return literal == 'true';
+  }
+
+  if (isNaN(Number(literal))) {
+    fail(errorCodes.BadRequest, `Invalid literal in $filter: ${literal}`);
+  }
+
+  return Number(literal);
+};
+
+// Parses a filter expression such as id gt 5 and name eq 'Big Company' into a list of conditions
+export const parseFilter = (filter) => {
+  if (!filter) {
+    return [];
+  }
+
+  return filter.split(/\s+and\s+/i).map(condition => {
+    const match = /^\s*(\S+)\s+(eq|ne|gt|ge|lt|le)\s+(.+?)\s*$/.exec(condition);
+    if (!match) {
+      fail(errorCodes.BadRequest, `Unsupported $filter condition: ${condition}`);
+    }
+
+    return { field: match[1], operator: match[2], value: parseLiteral(match[3]) };
+  });
+};
@@ -0,0 +1,221 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { DatabaseError, errorCodes, fail, formatKey } from './InMemoryDatabase.mjs';
+import { authorize, authorizeCreatePolicy, toReadableRow } from './Authorization.mjs';
+import { parseFilter } from './ODataFilter.mjs';
+
+// Handles the REST requests of the mock DAB server, e.g. GET /api/Author/id/124 or PATCH /api/Broker/ID%20Number/1.
+// Responses follow the shapes returned by DAB: rows are wrapped in a "value" array, list responses
+// carry a "nextLink" when more rows are available and errors are returned as
+// { "error": { "code": "EntityNotFound", "message": "...", "status": 404 } }.
+// The subset of the OData query parameters used by the test suite is supported:
+// $filter with eq, ne, gt, ge, lt and le conditions joined by "and", $orderby, $select, $first and $after.
+// Requests are authorized for the role of the request, see Authorization.mjs: the fields a request selects, filters
+// or writes must be allowed for the role and the fields the role is not allowed to read are removed from the responses.
+// When the entity lists its fields, requests referencing other fields fail with a 400 status code, like DAB does
+// with request-body-strict enabled.
+
+// Helper function to convert a value of the url to a number when it is an integer
+const toKeyValue = (value) => {
+  return /^-?\d+$/.test(value) ? Number(value) : value;
+};
+
+// Helper function to parse an $orderby such as name desc, id
+const parseOrderBy = (orderBy) => {
+  if (!orderBy) {
+    return [];
+  }
+
+  return orderBy.split(',').map(sortField => {
+    const parts = sortField.trim().split(/\s+/);
+    return { field: parts[0], descending: (parts[1] || '').toLowerCase() == 'desc' };
+  });
+};
+
+// Encodes the cursor of the next page like the opaque $after values returned by DAB
+export const encodeCursor = (cursor) => {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64');
+};
+
+// Decodes a cursor encoded by encodeCursor
+export const decodeCursor = (after) => {
+  try {
+    return JSON.parse(Buffer.from(after, 'base64').toString());
+  }
+  catch (error) {
+    fail(errorCodes.BadRequest, `Invalid cursor: ${after}`);
+  }
+};
+
+// Helper function to project a row on the fields of $select
+const project = (row, select) => {
+  if (!select) {
+    return row;
+  }
+
+  let projectedRow = {};
+  select.split(',').map(field => field.trim()).forEach(field => {
+    projectedRow[field] = row[field];
+  });
+  return projectedRow;
+};
+
+// Helper function to list the fields of a $select
+const getSelectedFields = (select) => {
+  return select ? select.split(',').map(field => field.trim()) : [];
+};
+
+// Helper function to reject the fields of a request the entity does not have, when the entity lists its fields
+const validateFields = (definition, fields, message) => {
+  if (!definition.fields) {
+    return;
+  }
+
+  const unexpectedFields = fields.filter(field => !definition.fields.includes(field));
+  if (unexpectedFields.length) {
+    fail(errorCodes.BadRequest, `${message}: ${unexpectedFields.join(', ')}`);
+  }
+};
+
+// Helper function to build a response
+const toResponse = (status, body, headers = {}) => {
+  return { status: status, body: body == null ? '' : JSON.stringify(body), headers: headers };
+};
+
+// Converts an error to the error response of DAB
+export const toRestErrorResponse = (error) => {
+  if (!(error instanceof DatabaseError)) {
+    throw error;
+  }
+
+  return toResponse(error.status, { error: { code: error.code, message: error.message, status: error.status } });
+};
+
+// Helper function to parse the entity name and the primary key of a path such as /Broker/ID%20Number/1
+const parsePath = (path) => {
+  const segments = path.split('/').filter(segment => segment.length > 0).map(decodeURIComponent);
+  if (!segments.length || segments.length % 2 == 0) {
+    fail(errorCodes.BadRequest, `Invalid path: ${path}`);
+  }
+
+  let primaryKey = null;
+  for (let index = 1; index < segments.length; index += 2) {
+    primaryKey = primaryKey || {};
+    primaryKey[segments[index]] = toKeyValue(segments[index + 1]);
+  }
+
+  return { entityName: segments[0], primaryKey: primaryKey };
+};
+
+// Helper function to parse the JSON body of a request
+const parseBody = (requestBody) => {
+  if (!requestBody) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(requestBody);
+  }
+  catch (error) {
+    fail(errorCodes.BadRequest, `The request body is not valid JSON: ${error.message}`);
+  }
+};
+
+// Helper function to handle a GET request listing the rows of an entity
+const handleList = (database, entityName, url, role) => {
+  const parameters = url.searchParams;
+  const definition = database.getDefinition(entityName);
+  const first = parameters.has('$first') ? Number(parameters.get('$first')) : null;
+  const filter = parseFilter(parameters.get('$filter'));
+  const orderBy = parseOrderBy(parameters.get('$orderby'));
+  validateFields(definition, filter.map(condition => condition.field), 'Invalid field in $filter');
+  validateFields(definition, orderBy.map(sortField => sortField.field), 'Invalid field in $orderby');
+  validateFields(definition, getSelectedFields(parameters.get('$select')), 'Invalid field in $select');
+  authorize(definition, role, 'read', getSelectedFields(parameters.get('$select'))
+    .concat(filter.map(condition => condition.field), orderBy.map(sortField => sortField.field)));
+
+  const page = database.query(entityName, {
+    filter: filter,
+    orderBy: orderBy,
+    first: first,
+    after: parameters.has('$after') ? decodeCursor(parameters.get('$after')) : null
+  });
+
+  let body = { value: page.rows.map(row => project(toReadableRow(definition, role, row), parameters.get('$select'))) };
+  if (page.cursor) {
+    const nextUrl = new URL(url.toString());
+    nextUrl.searchParams.set('$after', encodeCursor(page.cursor));
+    body.nextLink = nextUrl.toString();
+  }
+
+  return toResponse(200, body);
+};
+
+// Handles a REST request. The path is relative to the REST path, e.g. /Author/id/124.
+// The url is used to read the query string and to build the nextLink of list responses.
+// The role is the role of the request resolved by getClientRole of Authorization.mjs.
+export const handleRestRequest = (database, method, path, url, requestBody, role = 'anonymous') => {
+  try {
+    const { entityName, primaryKey } = parsePath(path);
+    const definition = database.getDefinition(entityName);
+    if (definition.rest === false) {
+      fail(errorCodes.EntityNotFound, `Entity ${entityName} is not found.`);
+    }
+
+    const body = parseBody(requestBody);
+
+    switch (method) {
+      case 'GET': {
+        if (!primaryKey) {
+          return handleList(database, entityName, url, role);
+        }
+
+        validateFields(definition, getSelectedFields(url.searchParams.get('$select')), 'Invalid field in $select');
+        authorize(definition, role, 'read', getSelectedFields(url.searchParams.get('$select')));
+        const row = database.findByKey(entityName, primaryKey);
+        if (!row) {
+          fail(errorCodes.EntityNotFound, 'Not Found');
+        }
+
+        return toResponse(200, { value: [project(toReadableRow(definition, role, row), url.searchParams.get('$select'))] });
+      }
+      case 'POST': {
+        validateFields(definition, Object.keys(body), 'Invalid request body. Contained unexpected fields in body');
+        authorize(definition, role, 'create', Object.keys(body));
+        authorizeCreatePolicy(definition, role, body);
+        const row = database.insert(entityName, body);
+        const location = definition.primaryKey.map(field => `${encodeURIComponent(field)}/${encodeURIComponent(row[field])}`).join('/');
+        return toResponse(201, { value: [toReadableRow(definition, role, row)] }, { 'Location': `${entityName}/${location}` });
+      }
+      case 'PUT':
+      case 'PATCH': {
+        if (!primaryKey) {
+          fail(errorCodes.BadRequest, `Primary Key for ${method} requests is required.`);
+        }
+
+        validateFields(definition, Object.keys(body), 'Invalid request body. Contained unexpected fields in body');
+        authorize(definition, role, 'update', Object.keys(body));
+        const result = database.update(entityName, primaryKey, body, { upsert: true, replace: method == 'PUT' });
+        return toResponse(result.created ? 201 : 200, { value: [toReadableRow(definition, role, result.row)] });
+      }
+      case 'DELETE': {
+        if (!primaryKey) {
+          fail(errorCodes.BadRequest, 'Primary Key for DELETE requests is required.');
+        }
+
+        authorize(definition, role, 'delete');
+        if (!database.delete(entityName, primaryKey)) {
+          fail(errorCodes.ItemNotFound, `Could not find item with ${formatKey(primaryKey)}`);
+        }
+
+        return toResponse(204, null);
+      }
+      default:
+        fail(errorCodes.BadRequest, `Unsupported method: ${method}`);
+    }
+  }
+  catch (error) {
+    return toRestErrorResponse(error);
+  }
+};
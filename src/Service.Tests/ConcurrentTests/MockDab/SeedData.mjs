@@ -0,0 +1,198 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Entities served by the mock DAB server, seeded with the rows of DatabaseSchema-MsSql.sql
+// which the concurrency test cases act on. The entity names and the singular and plural GraphQL
+// names match the entities of dab-config.MsSql.json, where Broker is only exposed through REST.
+// The permissions of Book are the permissions of dab-config.MsSql.json for the roles the test cases use,
+// with the database policies of the create action only, as the other policies are not enforced by the mock DAB server.
+// The relationships of Book, Author, Publisher and Review are the relationships of dab-config.MsSql.json
+// the test cases traverse, where the authors of the books are linked through the book_author_link table.
+export const seedEntities = () => [
+  {
+    name: 'Book',
+    singular: 'book',
+    plural: 'books',
+    primaryKey: ['id'],
+    identitySeed: 5001,
+    fields: ['id', 'title', 'publisher_id'],
+    permissions: [
+      { role: 'anonymous', actions: ['*'] },
+      { role: 'authenticated', actions: ['*'] },
+      { role: 'test_role_with_noread', actions: ['create', 'update', 'delete'] },
+      { role: 'test_role_with_excluded_fields', actions: ['create', 'update', 'delete', { action: 'read', fields: { exclude: ['publisher_id'] } }] },
+      { role: 'role_multiple_create_policy_tester', actions: ['read', 'update', 'delete', { action: 'create', policy: { database: "@item.title ne 'Test'" } }] }
+    ],
+    relationships: {
+      publishers: { target: 'Publisher', cardinality: 'one', sourceFields: ['publisher_id'], targetFields: ['id'] },
+      reviews: { target: 'Review', cardinality: 'many', sourceFields: ['id'], targetFields: ['book_id'] },
+      authors: {
+        target: 'Author', cardinality: 'many', sourceFields: ['id'], targetFields: ['id'], linkingEntity: 'book_author_link',
+        linkingSourceFields: ['book_id'], linkingTargetFields: ['author_id'], linkingFields: ['royalty_percentage']
+      }
+    },
+    rows: [
+      { "id": 1, "title": "Awesome book", "publisher_id": 1234 },
+      { "id": 2, "title": "Also Awesome book", "publisher_id": 1234 },
+      { "id": 3, "title": "Great wall of china explained", "publisher_id": 2345 },
+      { "id": 4, "title": "US history in a nutshell", "publisher_id": 2345 },
+      { "id": 5, "title": "Chernobyl Diaries", "publisher_id": 2323 },
+      { "id": 6, "title": "The Palace Door", "publisher_id": 2324 },
+      { "id": 7, "title": "The Groovy Bar", "publisher_id": 2324 },
+      { "id": 8, "title": "Time to Eat", "publisher_id": 2324 },
+      { "id": 9, "title": "Policy-Test-01", "publisher_id": 1940 },
+      { "id": 10, "title": "Policy-Test-02", "publisher_id": 1940 },
+      { "id": 11, "title": "Policy-Test-04", "publisher_id": 1941 },
+      { "id": 12, "title": "Time to Eat 2", "publisher_id": 1941 },
+      { "id": 13, "title": "Before Sunrise", "publisher_id": 1234 },
+      { "id": 14, "title": "Before Sunset", "publisher_id": 1234 },
+      { "id": 15, "title": "SQL_CONN", "publisher_id": 1234 },
+      { "id": 16, "title": "SOME%CONN", "publisher_id": 1234 },
+      { "id": 17, "title": "CONN%_CONN", "publisher_id": 1234 },
+      { "id": 18, "title": "[Special Book]", "publisher_id": 1234 },
+      { "id": 19, "title": "ME\\YOU", "publisher_id": 1234 },
+      { "id": 20, "title": "C:\\\\LIFE", "publisher_id": 1234 },
+      { "id": 21, "title": "", "publisher_id": 1234 }
+    ]
+  },
+  {
+    name: 'Author',
+    singular: 'Author',
+    plural: 'Authors',
+    primaryKey: ['id'],
+    identitySeed: 5001,
+    relationships: {
+      books: {
+        target: 'Book', cardinality: 'many', sourceFields: ['id'], targetFields: ['id'], linkingEntity: 'book_author_link',
+        linkingSourceFields: ['author_id'], linkingTargetFields: ['book_id'], linkingFields: ['royalty_percentage']
+      }
+    },
+    rows: [
+      { "id": 123, "name": "Jelte", "birthdate": "2001-01-01" },
+      { "id": 124, "name": "Aniruddh", "birthdate": "2002-02-02" },
+      { "id": 125, "name": "Aniruddh", "birthdate": "2001-01-01" },
+      { "id": 126, "name": "Aaron", "birthdate": "2001-01-01" }
+    ]
+  },
+  {
+    name: 'Publisher',
+    singular: 'Publisher',
+    plural: 'Publishers',
+    primaryKey: ['id'],
+    identitySeed: 5001,
+    fields: ['id', 'name'],
+    relationships: {
+      books: { target: 'Book', cardinality: 'many', sourceFields: ['id'], targetFields: ['publisher_id'] }
+    },
+    rows: [
+      { "id": 1234, "name": "Big Company" },
+      { "id": 2345, "name": "Small Town Publisher" },
+      { "id": 2323, "name": "TBD Publishing One" },
+      { "id": 2324, "name": "TBD Publishing Two Ltd" }
+    ]
+  },
+  {
+    // View selecting all the columns of the books table
+    name: 'books_view_all',
+    singular: 'books_view_all',
+    plural: 'books_view_alls',
+    primaryKey: ['id'],
+    source: 'Book'
+  },
+  {
+    name: 'Review',
+    singular: 'review',
+    plural: 'reviews',
+    primaryKey: ['book_id', 'id'],
+    identitySeed: 5001,
+    identityField: 'id',
+    relationships: {
+      books: { target: 'Book', cardinality: 'one', sourceFields: ['book_id'], targetFields: ['id'] }
+    },
+    rows: [
+      { "id": 567, "book_id": 1, "content": "Indeed a great book" },
+      { "id": 568, "book_id": 1, "content": "I loved it" },
+      { "id": 569, "book_id": 1, "content": "best book I read in years" }
+    ]
+  },
+  {
+    // Linking table of the authors of the books, which is not exposed as an entity
+    name: 'book_author_link',
+    primaryKey: ['book_id', 'author_id'],
+    graphQL: false,
+    rest: false,
+    rows: [
+      { "book_id": 1, "author_id": 123 },
+      { "book_id": 2, "author_id": 124 },
+      { "book_id": 3, "author_id": 123 },
+      { "book_id": 3, "author_id": 124 },
+      { "book_id": 4, "author_id": 123 },
+      { "book_id": 4, "author_id": 124 },
+      { "book_id": 5, "author_id": 126 }
+    ]
+  },
+  {
+    name: 'Notebook',
+    singular: 'Notebook',
+    plural: 'Notebooks',
+    primaryKey: ['id'],
+    rows: [
+      { "id": 1, "notebookname": "Notebook1", "color": "red", "ownername": "Sean" },
+      { "id": 2, "notebookname": "Notebook2", "color": "green", "ownername": "Ani" },
+      { "id": 3, "notebookname": "Notebook3", "color": "blue", "ownername": "Jarupat" },
+      { "id": 4, "notebookname": "Notebook4", "color": "yellow", "ownername": "Aaron" }
+    ]
+  },
+  {
+    name: 'Comic',
+    singular: 'Comic',
+    plural: 'Comics',
+    primaryKey: ['id'],
+    rows: [
+      { "id": 1, "title": "Star Trek", "categoryName": "SciFi", "series_id": null },
+      { "id": 2, "title": "Cinderella", "categoryName": "Tales", "series_id": 3001 }
+    ]
+  },
+  {
+    name: 'Broker',
+    singular: 'Broker',
+    plural: 'Brokers',
+    primaryKey: ['ID Number'],
+    graphQL: false,
+    rows: [
+      { "ID Number": 1, "First Name": "Michael", "Last Name": "Burry" },
+      { "ID Number": 2, "First Name": "Jordan", "Last Name": "Belfort" }
+    ]
+  },
+  {
+    name: 'BookWebsitePlacement',
+    singular: 'BookWebsitePlacement',
+    plural: 'BookWebsitePlacements',
+    primaryKey: ['id'],
+    identitySeed: 5001,
+    rows: [
+      { "id": 1, "book_id": 1, "price": 100 },
+      { "id": 2, "book_id": 2, "price": 50 },
+      { "id": 3, "book_id": 3, "price": 23 },
+      { "id": 4, "book_id": 5, "price": 33 }
+    ]
+  }
+];
+
+// Entities served by the mock DAB server in place of DAB backed by Cosmos DB NoSQL. The entity name and the
+// singular and plural GraphQL names match the PlanetAlias entity of dab-config.CosmosDb_NoSql.json, whose
+// container is partitioned by the id of the items. Cosmos DB entities are only exposed through GraphQL.
+export const seedCosmosEntities = () => [
+  {
+    name: 'PlanetAlias',
+    singular: 'Planet',
+    plural: 'Planets',
+    primaryKey: ['id'],
+    partitionKey: 'id',
+    rest: false,
+    rows: [
+      { "id": "Earth", "name": "Earth", "age": 4543, "dimension": "space" },
+      { "id": "Mars", "name": "Mars", "age": 4603, "dimension": "space" }
+    ]
+  }
+];
@@ -0,0 +1,249 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+
+// Builds the machine-readable reports of a concurrency test run from the samples written by the k6 JSON output,
+// which keep the tags recorded by Reports.js:
+// <path>.xml  - JUnit XML report with one testcase per scenario and check. The failures hold the diagnostics
+//               of the failed checks, i.e. the mismatches found by the validators.
+// <path>.json - Results of each scenario: its checks along with their diagnostics and the number, the errors
+//               and the latency of its requests per request name and status code.
+// <path>.html - Self-contained HTML report of the same results.
+//
+// Run the test suite with the JSON output, then build the reports with node:
+//   k6 run --out json=concurrency-samples.json SqlTests/test.js
+//   node ReportBuilder.mjs concurrency-samples.json concurrency-results
+// The path of the reports defaults to concurrency-results.
+
+// Scenarios are the k6 scenarios of the test cases. The samples of setup() and teardown() are not reported.
+const lifecycleGroups = ['::setup', '::teardown'];
+
+// Parses the samples of the k6 JSON output, which holds a JSON object per line describing either a metric or a sample
+export const parseSamples = (content) => {
+  return content.split('\n')
+    .filter(line => line.trim().length > 0)
+    .map(line => JSON.parse(line))
+    .filter(entry => entry.type == 'Point')
+    .map(entry => ({ metric: entry.metric, time: entry.data.time, value: entry.data.value, tags: entry.data.tags || {} }));
+};
+
+// Helper function to compute a percentile of sorted values the way k6 does, interpolating between the closest values
+const percentile = (sortedValues, fraction) => {
+  const position = (sortedValues.length - 1) * fraction;
+  const lower = Math.floor(position);
+  const upper = Math.min(lower + 1, sortedValues.length - 1);
+  return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+};
+
+// Helper function to compute the latency statistics in milliseconds of the given durations
+const toLatencyStatistics = (durations) => {
+  if (!durations.length) {
+    return null;
+  }
+
+  const sortedDurations = durations.slice().sort((first, second) => first - second);
+  return {
+    min: sortedDurations[0],
+    avg: sortedDurations.reduce((sum, duration) => sum + duration, 0) / sortedDurations.length,
+    med: percentile(sortedDurations, 0.5),
+    'p(95)': percentile(sortedDurations, 0.95),
+    max: sortedDurations[sortedDurations.length - 1]
+  };
+};
+
+// Helper function to list the distinct values of a tag, in the order of the samples
+const getTagValues = (samples, tagName) => {
+  return Array.from(new Set(samples.map(sample => sample.tags[tagName]).filter(value => value !== undefined)));
+};
+
+// Helper function to collect the checks of a scenario along with the diagnostics of their failures
+const toCheckResults = (samples) => {
+  const checkSamples = samples.filter(sample => sample.metric == 'checks');
+  const failureSamples = samples.filter(sample => sample.metric == 'dab_check_failures');
+  return getTagValues(checkSamples, 'check').map(checkName => {
+    const results = checkSamples.filter(sample => sample.tags.check == checkName);
+    return {
+      name: checkName,
+      passes: results.filter(sample => sample.value > 0).length,
+      fails: results.filter(sample => sample.value == 0).length,
+      diagnostics: failureSamples.filter(sample => sample.tags.check == checkName).map(sample => JSON.parse(sample.tags.diagnostics))
+    };
+  });
+};
+
+// Helper function to collect the number, the errors and the latency statistics of the requests of a scenario
+// per request name and status code
+const toRequestResults = (samples) => {
+  const requestSamples = samples.filter(sample => sample.metric == 'dab_requests');
+  let requests = [];
+  getTagValues(requestSamples, 'request').forEach(requestName => {
+    const statuses = getTagValues(requestSamples.filter(sample => sample.tags.request == requestName), 'status');
+    statuses.forEach(status => {
+      const ofRequest = (metric) => samples.filter(sample => sample.metric == metric && sample.tags.request == requestName && sample.tags.status == status);
+      requests.push({
+        name: requestName,
+        status: Number(status),
+        count: ofRequest('dab_requests').reduce((sum, sample) => sum + sample.value, 0),
+        errors: ofRequest('dab_request_errors').reduce((sum, sample) => sum + sample.value, 0),
+        latencyMs: toLatencyStatistics(ofRequest('dab_request_duration').map(sample => sample.value))
+      });
+    });
+  });
+
+  return requests;
+};
+
+// Collects the results of the scenarios from the samples of a run. The scenarios are listed in the order their
+// first sample was recorded. A scenario without any check, e.g. as its test case threw an exception, is reported as failed.
+export const collectResults = (samples) => {
+  const scenarioSamples = samples.filter(sample => sample.tags.scenario !== undefined && !lifecycleGroups.includes(sample.tags.group));
+  const scenarios = getTagValues(scenarioSamples, 'scenario').map(scenarioName => {
+    const samplesOfScenario = scenarioSamples.filter(sample => sample.tags.scenario == scenarioName);
+    const checks = toCheckResults(samplesOfScenario);
+    return {
+      name: scenarioName,
+      passed: checks.length > 0 && checks.every(scenarioCheck => scenarioCheck.fails == 0),
+      checks: checks,
+      requests: toRequestResults(samplesOfScenario)
+    };
+  });
+
+  const times = samples.map(sample => Date.parse(sample.time)).filter(time => !isNaN(time));
+  return {
+    durationMs: times.length ? Math.max(...times) - Math.min(...times) : null,
+    passed: scenarios.length > 0 && scenarios.every(scenario => scenario.passed),
+    scenarios: scenarios
+  };
+};
+
+// Helper function to escape the special characters of XML and HTML
+const escapeMarkup = (text) => {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+};
+
+// Helper function to format the diagnostics of the failures of a check
+const formatDiagnostics = (scenarioCheck) => {
+  return scenarioCheck.diagnostics.map(diagnostics => JSON.stringify(diagnostics, null, 2)).join('\n');
+};
+
+// Helper function to count the testcases of a scenario in the JUnit XML report. A scenario without
+// any check is reported as a single failed testcase.
+const countTestCases = (scenario) => {
+  return Math.max(scenario.checks.length, 1);
+};
+
+// Helper function to count the failed testcases of a scenario in the JUnit XML report
+const countFailedTestCases = (scenario) => {
+  return scenario.checks.length ? scenario.checks.filter(scenarioCheck => scenarioCheck.fails > 0).length : 1;
+};
+
+// Builds the JUnit XML report with a testsuite per scenario and a testcase per check of the scenario
+export const toJUnitXml = (results) => {
+  let lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+  const failures = results.scenarios.reduce((count, scenario) => count + countFailedTestCases(scenario), 0);
+  const tests = results.scenarios.reduce((count, scenario) => count + countTestCases(scenario), 0);
+  lines.push(`<testsuites name="DAB concurrency tests" tests="${tests}" failures="${failures}" time="${(results.durationMs || 0) / 1000}">`);
+
+  results.scenarios.forEach(scenario => {
+    lines.push(`  <testsuite name="${escapeMarkup(scenario.name)}" tests="${countTestCases(scenario)}" failures="${countFailedTestCases(scenario)}">`);
+    if (!scenario.checks.length) {
+      lines.push(`    <testcase classname="${escapeMarkup(scenario.name)}" name="${escapeMarkup(scenario.name)}">`);
+      lines.push('      <failure message="The scenario registered no check"></failure>');
+      lines.push('    </testcase>');
+    }
+
+    scenario.checks.forEach(scenarioCheck => {
+      lines.push(`    <testcase classname="${escapeMarkup(scenario.name)}" name="${escapeMarkup(scenarioCheck.name)}">`);
+      if (scenarioCheck.fails > 0) {
+        lines.push(`      <failure message="${escapeMarkup(`${scenarioCheck.fails} of ${scenarioCheck.passes + scenarioCheck.fails} checks failed`)}">${escapeMarkup(formatDiagnostics(scenarioCheck))}</failure>`);
+      }
+      lines.push('    </testcase>');
+    });
+
+    lines.push('  </testsuite>');
+  });
+
+  lines.push('</testsuites>');
+  return lines.join('\n') + '\n';
+};
+
+// Helper function to format a latency in milliseconds
+const formatLatency = (latency) => {
+  return typeof latency == "number" ? `${latency.toFixed(2)}ms` : 'n/a';
+};
+
+// Builds the self-contained HTML report listing the checks and the requests of each scenario
+export const toHtmlReport = (results) => {
+  const sections = results.scenarios.map(scenario => {
+    const checkRows = scenario.checks.map(scenarioCheck => `
+      <tr class="${scenarioCheck.fails > 0 ? 'failed' : 'passed'}">
+        <td>${escapeMarkup(scenarioCheck.name)}</td><td>${scenarioCheck.passes}</td><td>${scenarioCheck.fails}</td>
+        <td>${scenarioCheck.diagnostics.length ? `<pre>${escapeMarkup(formatDiagnostics(scenarioCheck))}</pre>` : ''}</td>
+      </tr>`).join('');
+    const requestRows = scenario.requests.map(request => {
+      const latencyMs = request.latencyMs || {};
+      return `
+      <tr class="${request.errors > 0 ? 'failed' : 'passed'}">
+        <td>${escapeMarkup(request.name)}</td><td>${request.status}</td><td>${request.count}</td><td>${request.errors}</td>
+        <td>${formatLatency(latencyMs.min)}</td><td>${formatLatency(latencyMs.med)}</td><td>${formatLatency(latencyMs['p(95)'])}</td><td>${formatLatency(latencyMs.max)}</td>
+      </tr>`;
+    }).join('');
+
+    return `
+  <section class="${scenario.passed ? 'passed' : 'failed'}">
+    <h2>${escapeMarkup(scenario.name)}: ${scenario.passed ? 'passed' : 'failed'}</h2>
+    <table>
+      <tr><th>Check</th><th>Passes</th><th>Fails</th><th>Diagnostics</th></tr>${checkRows || '\n      <tr class="failed"><td colspan="4">The scenario registered no check</td></tr>'}
+    </table>
+    <table>
+      <tr><th>Request</th><th>Status</th><th>Count</th><th>Errors</th><th>Min</th><th>Median</th><th>p(95)</th><th>Max</th></tr>${requestRows}
+    </table>
+  </section>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>DAB concurrency tests</title>
+  <style>
+    body { font-family: sans-serif; margin: 2em; }
+    table { border-collapse: collapse; margin-bottom: 1em; width: 100%; }
+    th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+    pre { margin: 0; white-space: pre-wrap; }
+    h2 { font-size: 1.1em; }
+    section.failed h2, tr.failed td { color: #b00020; }
+    section.passed h2 { color: #1b5e20; }
+  </style>
+</head>
+<body>
+  <h1>DAB concurrency tests: ${results.passed ? 'passed' : 'failed'}</h1>
+  <p>${results.scenarios.filter(scenario => scenario.passed).length} of ${results.scenarios.length} scenarios passed in ${formatLatency(results.durationMs)}</p>${sections}
+</body>
+</html>
+`;
+};
+
+// Builds the JUnit XML, JSON and HTML reports of the results, keyed by the path of their file
+export const toReports = (results, reportPath = 'concurrency-results') => {
+  let reports = {};
+  reports[`${reportPath}.xml`] = toJUnitXml(results);
+  reports[`${reportPath}.json`] = JSON.stringify(results, null, 2);
+  reports[`${reportPath}.html`] = toHtmlReport(results);
+  return reports;
+};
+
+// Writes the reports of the samples file given on the command line when the module is run with node
+if (process.argv[1] && import.meta.url == pathToFileURL(process.argv[1]).href) {
+  const [samplesPath, reportPath = 'concurrency-results'] = process.argv.slice(2);
+  if (!samplesPath) {
+    throw new Error('Usage: node ReportBuilder.mjs <k6 JSON output> [report path]');
+  }
+
+  const results = collectResults(parseSamples(readFileSync(samplesPath, 'utf8')));
+  const reports = toReports(results, reportPath);
+  Object.keys(reports).forEach(path => writeFileSync(path, reports[path]));
+  console.log(`${results.scenarios.filter(scenario => scenario.passed).length} of ${results.scenarios.length} scenarios passed. Reports written to ${Object.keys(reports).join(', ')}`);
+}
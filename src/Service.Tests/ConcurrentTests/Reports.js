@@ -0,0 +1,98 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { group } from 'k6';
+import { Counter, Trend } from 'k6/metrics';
+import exec from 'k6/execution';
+
+// Records the results of the concurrency test runs in custom metrics, from which the JUnit XML, JSON and HTML
+// reports are built by ReportBuilder.mjs. handleSummary only receives the values of the metrics aggregated over
+// the run, so the reports are built from the samples written by the k6 JSON output instead, which keep their tags:
+//   k6 run --out json=concurrency-samples.json SqlTests/test.js
+//   node ReportBuilder.mjs concurrency-samples.json concurrency-results
+//
+// The results of the requests are tagged with the name of the request in its test case and its status code
+// on top of the scenario tag k6 adds to every sample. The diagnostics of a failed check, i.e. the mismatches
+// found by the validators, are recorded in a sample tagged with the name of the check and the diagnostics.
+// Only the failed checks record diagnostics, so the number of distinct tag values stays small.
+// Each test case runs in a k6 group named after its scenario, see runInScenarioGroup, so that the checks
+// are reported per scenario.
+
+// Number of requests validated by the checks, along with the number of failed requests
+const requestCount = new Counter('dab_requests');
+const requestErrorCount = new Counter('dab_request_errors');
+
+// Duration of the requests validated by the checks
+const requestDuration = new Trend('dab_request_duration', true);
+
+// Failed checks along with their diagnostics
+const checkFailures = new Counter('dab_check_failures');
+
+// Responses whose result is already recorded, as the same responses are usually validated by several checks
+const recordedResponses = new WeakSet();
+
+// Helper function to check whether a value is a k6 response
+const isResponse = (value) => {
+  return value != null && typeof value == "object" && typeof value.status == "number";
+};
+
+// Records the status code, the error and the latency of each response which is not recorded yet.
+// Values other than responses, e.g. the items validated by a check, are ignored.
+export const recordRequestResults = (responses) => {
+  Object.keys(responses || {}).forEach(name => {
+    const response = responses[name];
+    if (!isResponse(response) || recordedResponses.has(response)) {
+      return;
+    }
+
+    recordedResponses.add(response);
+    const tags = { request: name, status: String(response.status) };
+    requestCount.add(1, tags);
+    requestErrorCount.add(response.error ? 1 : 0, tags);
+    if (response.timings) {
+      requestDuration.add(response.timings.duration, tags);
+    }
+  });
+};
+
+// Records the diagnostics of a failed check, i.e. the mismatches found by the validators, for the reports
+// and logs them along with the name of the check and of its scenario
+export const recordDiagnostics = (checkName, diagnostics) => {
+  checkFailures.add(1, { check: checkName, diagnostics: JSON.stringify(diagnostics) });
+  console.error(JSON.stringify({ scenario: exec.scenario.name, check: checkName, diagnostics: diagnostics }, null, 2));
+};
+
+// Runs a test case in the k6 group of its scenario, so that its checks are reported under the scenario
+export const runInScenarioGroup = (scenarioName, run) => {
+  return group(scenarioName, run);
+};
+
+// Helper function to list the checks of a group and of its nested groups
+const getGroupChecks = (summaryGroup) => {
+  return (summaryGroup.checks || []).concat(...(summaryGroup.groups || []).map(getGroupChecks));
+};
+
+// Builds the result of handleSummary for a run of the given scenarios: a summary of the checks of each scenario
+// on the console. A scenario without any check, e.g. as its test case threw an exception, is reported as failed.
+export const toConsoleSummary = (data, scenarioNames) => {
+  const summaryGroups = (data.root_group || {}).groups || [];
+  let lines = [];
+  let passedCount = 0;
+  scenarioNames.forEach(scenarioName => {
+    const summaryGroup = summaryGroups.find(summaryGroup => summaryGroup.name == scenarioName);
+    const checks = summaryGroup ? getGroupChecks(summaryGroup) : [];
+    const failedChecks = checks.filter(groupCheck => groupCheck.fails > 0);
+    const passed = checks.length > 0 && !failedChecks.length;
+    passedCount += passed ? 1 : 0;
+
+    lines.push(`  ${passed ? 'passed' : 'FAILED'} ${scenarioName}`);
+    failedChecks.forEach(groupCheck => {
+      lines.push(`    ${groupCheck.name}: ${groupCheck.fails} of ${groupCheck.passes + groupCheck.fails} failed`);
+    });
+  });
+
+  return {
+    stdout: [`${passedCount} of ${scenarioNames.length} scenarios passed:`]
+      .concat(lines, ['The reports are built from the k6 JSON output by ReportBuilder.mjs']).join('\n') + '\n'
+  };
+};
@@ -0,0 +1,193 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { generateAuthHeader } from './Helper.js';
+import { graphQLEndPoint, getRestUrl } from './Endpoints.js';
+
+// Builders of the REST and GraphQL requests of DAB, following the urls and the GraphQL names DAB generates
+// for an entity. Each builder returns a request which can be sent with http.request or as a named request of http.batch:
+//
+// const requests = {
+//   'readUsingRest': rest.get('Book', { id: 1 }, null, { select: ['id', 'title'] }),
+//   'updateUsingRest': rest.patch('Broker', { "ID Number": 1 }, { "First Name": "Mike" }),
+//   'readUsingGraphQL': graphql.byPk(entities.Book, ['id', 'title'], { id: 1 }),
+//   'updateUsingGraphQL': graphql.update(entities.Notebook, ['id', 'color'], { id: 3, item: { "color": "cyan" } })
+// };
+// const responses = http.batch(requests);
+//
+// Composite primary keys list all their fields, e.g. { categoryid: 1, pieceid: 2 } => /api/Stock/categoryid/1/pieceid/2.
+// The requests are sent with the authenticated role unless the options give another role, or the params of the request.
+
+// GraphQL description of the entities of the test suite. singular and plural are the graphql.type of the entity
+// in the config and keyTypes lists the GraphQL types of the arguments identifying an item, which include the
+// _partitionKeyValue argument for the entities backed by a Cosmos DB container.
+export const entities = {
+  Book: { name: 'Book', singular: 'book', plural: 'books', keyTypes: { id: 'Int!' } },
+  Author: { name: 'Author', singular: 'Author', plural: 'Authors', keyTypes: { id: 'Int!' } },
+  Publisher: { name: 'Publisher', singular: 'Publisher', plural: 'Publishers', keyTypes: { id: 'Int!' } },
+  Notebook: { name: 'Notebook', singular: 'Notebook', plural: 'Notebooks', keyTypes: { id: 'Int!' } },
+  Comic: { name: 'Comic', singular: 'Comic', plural: 'Comics', keyTypes: { id: 'Int!' } },
+  BookWebsitePlacement: { name: 'BookWebsitePlacement', singular: 'BookWebsitePlacement', plural: 'BookWebsitePlacements', keyTypes: { id: 'Int!' } },
+  BooksViewAll: { name: 'books_view_all', singular: 'books_view_all', plural: 'books_view_alls', keyTypes: { id: 'Int!' } },
+  Planet: { name: 'PlanetAlias', singular: 'Planet', plural: 'Planets', keyTypes: { id: 'ID!', _partitionKeyValue: 'String!' } }
+};
+
+// Helper function to build the params of a request from the options of a builder
+const toParams = ({ role = 'authenticated', params = null } = {}) => {
+  return params || { headers: generateAuthHeader(role) };
+};
+
+// Helper function to get the name of an entity given either by its name or by its description in entities
+const getEntityName = (entity) => {
+  return typeof entity == "string" ? entity : entity.name;
+};
+
+// Helper function to build the OData query string of a REST request. $select and $orderby accept
+// either a list or a comma separated string, e.g. select: ['id', 'title'] or orderby: 'id desc'.
+const toQueryString = ({ filter = null, select = null, orderby = null, first = null, after = null } = {}) => {
+  const parameters = [
+    ['$filter', filter],
+    ['$select', Array.isArray(select) ? select.join(',') : select],
+    ['$orderby', Array.isArray(orderby) ? orderby.join(',') : orderby],
+    ['$first', first],
+    ['$after', after]
+  ];
+
+  return parameters.filter(([, value]) => value != null)
+    .map(([name, value]) => `${name}=${encodeURIComponent(value)}`)
+    .join('&');
+};
+
+// Helper function to build a REST request. The body is serialized to JSON unless it is already a string.
+const toRestRequest = (method, entity, key, body, options = {}) => {
+  const url = getRestUrl(getEntityName(entity), key);
+  const queryString = toQueryString(options);
+  return {
+    method: method,
+    url: queryString ? `${url}?${queryString}` : url,
+    body: body == null || typeof body == "string" ? body : JSON.stringify(body),
+    params: toParams(options)
+  };
+};
+
+// Builders of the REST requests on an entity. The key addresses an item and is omitted, i.e. null, to address the
+// entity as a whole, e.g. to list or to create items. The options hold the OData query parameters: filter, select,
+// orderby, first and after, along with the role or the params of the request.
+export const rest = {
+  get: (entity, key = null, body = null, options = {}) => toRestRequest('GET', entity, key, body, options),
+  post: (entity, key = null, body = null, options = {}) => toRestRequest('POST', entity, key, body, options),
+  put: (entity, key, body = null, options = {}) => toRestRequest('PUT', entity, key, body, options),
+  patch: (entity, key, body = null, options = {}) => toRestRequest('PATCH', entity, key, body, options),
+  delete: (entity, key, body = null, options = {}) => toRestRequest('DELETE', entity, key, body, options)
+};
+
+// Helper function to lower the first letter of a GraphQL name, as DAB does for the names of the query fields
+const toQueryFieldName = (name) => {
+  return name.charAt(0).toLowerCase() + name.slice(1);
+};
+
+// Helper function to build the selection of a GraphQL field. The fields are either a list of field names,
+// which can hold nested selections such as 'books { items { id } }', or a selection string.
+const toSelection = (fields) => {
+  return Array.isArray(fields) ? fields.join(' ') : fields;
+};
+
+// Helper function to build a GraphQL request executing a single field. The arguments of the field are sent as
+// variables of the operation, whose types are given by variableTypes.
+const toGraphQLRequest = (operationType, fieldName, variableTypes, fields, args, options) => {
+  const variableNames = Object.keys(variableTypes).filter(name => args[name] !== undefined);
+  const declarations = variableNames.map(name => `$${name}: ${variableTypes[name]}`).join(', ');
+  const fieldArguments = variableNames.map(name => `${name}: $${name}`).join(', ');
+
+  let variables = {};
+  variableNames.forEach(name => {
+    variables[name] = args[name];
+  });
+
+  const query = `${operationType} ${fieldName}${declarations ? `(${declarations})` : ''} {
+    ${fieldName}${fieldArguments ? `(${fieldArguments})` : ''} {
+      ${toSelection(fields)}
+    }
+  }`;
+
+  return {
+    method: 'POST',
+    url: graphQLEndPoint,
+    body: JSON.stringify({ query: query, variables: variables }),
+    params: toParams(options)
+  };
+};
+
+// Builders of the GraphQL requests on an entity described in entities. The fields are the fields selected on the
+// returned item, or on the page for list and createMultiple, e.g. ['items { id title }', 'endCursor', 'hasNextPage'].
+// The arguments hold the values of the arguments of the field:
+// byPk   - The key of the item, e.g. { id: 1 }, read by <singular>_by_pk.
+// list   - first, after, filter and orderBy of the page read by <plural>, e.g. { first: 10, orderBy: { id: 'ASC' } }.
+// create - The item to create, e.g. { item: { title: "..." } }, by create<singular>.
+// createMultiple - The items to create, e.g. { items: [{ title: "..." }] }, by create<plural>.
+// update - The key of the item along with the fields to update, e.g. { id: 1, item: { title: "..." } }, by update<singular>.
+// patch  - The key of the item along with the fields to update by patch<singular>, which only exists for the entities
+//          backed by a Cosmos DB container, whose update<singular> replaces the whole item.
+// delete - The key of the item to delete by delete<singular>.
+// The options give the role or the params of the request.
+export const graphql = {
+  byPk: (entity, fields, args, options = {}) =>
+    toGraphQLRequest('query', `${toQueryFieldName(entity.singular)}_by_pk`, entity.keyTypes, fields, args, options),
+  list: (entity, fields, args = {}, options = {}) =>
+    toGraphQLRequest('query', toQueryFieldName(entity.plural), {
+      first: 'Int',
+      after: 'String',
+      filter: `${entity.singular}FilterInput`,
+      orderBy: `${entity.singular}OrderByInput`
+    }, fields, args, options),
+  create: (entity, fields, args, options = {}) =>
+    toGraphQLRequest('mutation', `create${entity.singular}`, { item: `Create${entity.singular}Input!` }, fields, args, options),
+  createMultiple: (entity, fields, args, options = {}) =>
+    toGraphQLRequest('mutation', `create${entity.plural}`, { items: `[Create${entity.singular}Input!]!` }, fields, args, options),
+  update: (entity, fields, args, options = {}) =>
+    toGraphQLRequest('mutation', `update${entity.singular}`, Object.assign({}, entity.keyTypes, { item: `Update${entity.singular}Input!` }), fields, args, options),
+  patch: (entity, fields, args, options = {}) =>
+    toGraphQLRequest('mutation', `patch${entity.singular}`, Object.assign({}, entity.keyTypes, { item: `Patch${entity.singular}Input!` }), fields, args, options),
+  delete: (entity, fields, args, options = {}) =>
+    toGraphQLRequest('mutation', `delete${entity.singular}`, entity.keyTypes, fields, args, options)
+};
+
+// Gets the description in entities of the entity read by the given <singular>_by_pk query, e.g. notebook_by_pk
+export const getEntityOfByPkField = (fieldName) => {
+  const entity = Object.values(entities).find(entity => `${toQueryFieldName(entity.singular)}_by_pk` == fieldName);
+  if (!entity) {
+    throw new Error(`No entity of the request builders is read by the GraphQL query ${fieldName}`);
+  }
+
+  return entity;
+};
+
+// Builds the request executing a stored procedure through REST, i.e. /api/<entity>.
+// The parameters are sent in the query string for GET requests and in the request body otherwise,
+// following the methods configured in the rest.methods of the stored procedure entity.
+export const getStoredProcedureRestRequest = (entityName, method, parameters = {}, role = 'authenticated') => {
+  const params = toParams({ role: role });
+  if (method == 'GET') {
+    const queryString = Object.keys(parameters)
+      .map(name => `${encodeURIComponent(name)}=${encodeURIComponent(parameters[name])}`)
+      .join('&');
+    return { method: method, url: queryString ? `${getRestUrl(entityName)}?${queryString}` : getRestUrl(entityName), body: null, params: params };
+  }
+
+  return { method: method, url: getRestUrl(entityName), body: JSON.stringify(parameters), params: params };
+};
+
+// Builds the request executing a stored procedure through GraphQL, i.e. the execute<singular name>
+// field generated for the entity, e.g. executeUpdateBookTitle(id: 14, title: "...") { id title }.
+// The operation type is the graphql.operation of the stored procedure entity: query or mutation.
+// The selected fields are the columns of the first result set of the stored procedure.
+export const getStoredProcedureGraphQLRequest = (graphQLName, operationType, parameters = {}, fields = [], role = 'authenticated') => {
+  const procedureArguments = Object.keys(parameters).map(name => `${name}: ${JSON.stringify(parameters[name])}`).join(', ');
+  const field = `execute${graphQLName}${procedureArguments ? `(${procedureArguments})` : ''}`;
+  return {
+    method: 'POST',
+    url: graphQLEndPoint,
+    body: JSON.stringify({ query: `${operationType} { ${field} { ${fields.join(' ')} } }` }),
+    params: toParams({ role: role })
+  };
+};
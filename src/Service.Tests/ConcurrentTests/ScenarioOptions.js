@@ -0,0 +1,114 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Registers the test cases of a suite as k6 scenarios.
+// A test case is described by its name, the function running it and its tags:
+// { name: 'ParallelReadOperations', run: validateParallelReadOperations, tags: { protocols: 'graphql,rest', operations: 'read' } }
+// A test case depending on features only available for some databases also lists them, see DatabaseOptions.js:
+// { name: 'ParallelStoredProcedureUpdatesAndReads', ..., features: ['stored-procedures'] }
+// Tag values are comma separated lists of the protocols (rest, graphql) and the
+// operations (create, read, update, delete, execute for stored procedures) exercised by the test case.
+//
+// The test cases to run can be selected with the following environment variables:
+// DAB_SCENARIOS         - Comma separated names of the test cases to run, e.g. ParallelReadOperations,ParallelCRUDOperations
+// DAB_TAGS              - Comma separated tag values a test case must all have to run, e.g. graphql or graphql,delete
+// DAB_SCENARIO_DURATION - Time reserved for each test case. Defaults to 10s. The test cases run one after
+//                         the other as they act on the same database, so each one starts once the time
+//                         reserved for the previous one has elapsed.
+
+// Helper function to split a comma separated list, ignoring empty values and surrounding spaces
+const splitList = (list) => {
+  return (list || '').split(',').map(value => value.trim()).filter(value => value.length > 0);
+};
+
+// Helper function to get all the values of the tags of a test case
+const getTagValues = (testCase) => {
+  const tags = testCase.tags || {};
+  return Object.keys(tags).reduce((values, tagName) => values.concat(splitList(tags[tagName])), []);
+};
+
+// Helper function to parse a duration such as 10s or 2m into a number of seconds
+const toSeconds = (duration) => {
+  const match = /^(\d+)(s|m)$/.exec(duration);
+  if (!match) {
+    throw new Error(`Invalid scenario duration: ${duration}. Use a number of seconds or minutes, e.g. 10s or 2m`);
+  }
+
+  return Number(match[1]) * (match[2] == 'm' ? 60 : 1);
+};
+
+// Selects the test cases matching the DAB_SCENARIOS and DAB_TAGS environment variables.
+// All the test cases are selected when neither variable is set.
+// The test cases for which isSupported returns false, e.g. as they depend on features the database
+// under test does not support, are skipped. Naming one of them in DAB_SCENARIOS is an error.
+export const selectTestCases = (testCases, isSupported = () => true) => {
+  const names = splitList(__ENV.DAB_SCENARIOS);
+  const tags = splitList(__ENV.DAB_TAGS);
+
+  const unknownNames = names.filter(name => !testCases.some(testCase => testCase.name == name));
+  if (unknownNames.length) {
+    throw new Error(`Unknown test cases in DAB_SCENARIOS: ${unknownNames.join(', ')}`);
+  }
+
+  const unsupportedNames = names.filter(name => !isSupported(testCases.find(testCase => testCase.name == name)));
+  if (unsupportedNames.length) {
+    throw new Error(`Test cases in DAB_SCENARIOS not supported by the database under test: ${unsupportedNames.join(', ')}`);
+  }
+
+  const selectedTestCases = testCases.filter(testCase => {
+    const tagValues = getTagValues(testCase);
+    return isSupported(testCase)
+      && (!names.length || names.includes(testCase.name))
+      && tags.every(tag => tagValues.includes(tag));
+  });
+
+  if (!selectedTestCases.length) {
+    throw new Error(`No test case matches DAB_SCENARIOS '${__ENV.DAB_SCENARIOS || ''}' and DAB_TAGS '${__ENV.DAB_TAGS || ''}'`);
+  }
+
+  return selectedTestCases;
+};
+
+// Builds the k6 scenarios running each test case once. All the scenarios run the exported
+// function with the given name, which looks up the test case by the name of the current scenario.
+// An iteration running over the time reserved for its test case is interrupted without the default grace
+// period of k6, so that it does not race with the next test case on the same database.
+export const toScenarios = (testCases, execFunctionName) => {
+  const durationInSeconds = toSeconds(__ENV.DAB_SCENARIO_DURATION || '10s');
+  let scenarios = {};
+  testCases.forEach((testCase, index) => {
+    scenarios[testCase.name] = {
+      executor: 'per-vu-iterations',
+      vus: 1,
+      iterations: 1,
+      startTime: `${index * durationInSeconds}s`,
+      maxDuration: `${durationInSeconds}s`,
+      gracefulStop: '0s',
+      exec: execFunctionName,
+      tags: Object.assign({}, testCase.tags)
+    };
+  });
+
+  return scenarios;
+};
+
+// Builds the thresholds requiring all the checks of each test case to succeed.
+// Each test case has its own threshold so that the failing test cases are reported individually.
+export const toThresholds = (testCases) => {
+  let thresholds = {};
+  testCases.forEach(testCase => {
+    thresholds[`checks{scenario:${testCase.name}}`] = ['rate == 1.00'];
+  });
+
+  return thresholds;
+};
+
+// Finds the test case run by the current k6 scenario
+export const getTestCaseOfScenario = (testCases, scenarioName) => {
+  const testCase = testCases.find(testCase => testCase.name == scenarioName);
+  if (!testCase) {
+    throw new Error(`No test case is registered for the scenario ${scenarioName}`);
+  }
+
+  return testCase;
+};
@@ -0,0 +1,258 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import http from 'k6/http';
+import {
+  generateAuthHeader, createPrincipal, statusCodes, checkNoErrors, checkStatusCodes, checkResponseBodies, checkGraphQLResponses,
+  hasStatusCodeCount, allStatusCodesIn, valuesArePermutationOf, valuesAreDistinct, allOf
+} from './Helper.js';
+import { graphQLEndPoint } from './Endpoints.js';
+import { rest, graphql, entities } from './Requests.js';
+import { ignore, anything, anyNumber, anyString, matchesRegex, isoDate, unordered, ignoringPaths } from './Comparison.js';
+import { checkConsistency, keyOfWrittenRow } from './Consistency.js';
+
+// Runner for concurrency test scenarios described declaratively in JSON files.
+// A scenario lists named REST and GraphQL requests which are performed in parallel
+// and the acceptable outcomes of the race:
+//
+// {
+//   "name": "ParallelUpdatesOnSameBroker",
+//   "description": "Free text describing the race",
+//   "role": "authenticated",
+//   "tags": { "protocols": "rest,graphql", "operations": "read,update" },
+//   "requests": {
+//     "updateUsingRest": { "rest": { "method": "PATCH", "entity": "Broker", "primaryKey": { "ID Number": 1 }, "body": { ... } } },
+//     "readUsingGraphQL": { "graphql": { "operation": "byPk", "entity": "Notebook", "fields": ["id", "color"], "arguments": { "id": 3 } }, "role": "anonymous" }
+//   },
+//   "expectedStatusCodes": [ { "updateUsingRest": "Ok", "readUsingGraphQL": 200 } ],
+//   "expectedResponses": [ { "updateUsingRest": { ... }, "readUsingGraphQL": { ... } } ]
+// }
+//
+// REST requests and GraphQL requests with an "operation" are built by the request builders of Requests.js: the operation
+// is one of the graphql builders, e.g. byPk, list, create or update, on an entity of entities and the arguments are the
+// arguments of its field. The GraphQL requests the builders cannot express give the operation itself instead:
+//     "readUsingGraphQL": { "graphql": { "query": "query ...", "variables": { ... } } }
+// expectedStatusCodes and expectedResponses are lists of acceptable outcomes and the race is valid when
+// at least one of them is met. Status codes are numbers or names of the statusCodes in Helper.js.
+// An acceptable outcome can also be an invariant, written as an object with an "invariant" property:
+// { "invariant": "hasStatusCodeCount", "statusCode": "Created", "count": 1 }
+// { "invariant": "allStatusCodesIn", "statusCodes": ["Ok", "NotFound"] }
+// { "invariant": "valuesArePermutationOf", "select": "$.value[0].id", "values": [1, 2] }
+// { "invariant": "valuesAreDistinct", "select": { "queryName1": "$.value[0].id", "queryName2": "$.data.createX.id" } }
+// { "invariant": "allOf", "invariants": [ ... ] }
+// Expected responses can contain the matchers of Comparison.js, written as objects with a "$match" property:
+// { "$match": "ignore" }, { "$match": "anything" }, { "$match": "anyNumber" }, { "$match": "anyString" },
+// { "$match": "isoDate" }, { "$match": "regex", "pattern": "^Notebook" }, { "$match": "unordered", "items": [ ... ] },
+// { "$match": "ignoringPaths", "value": { ... }, "paths": ["$.nextLink"] }
+// Requests are sent with the scenario role unless they specify their own role and can specify
+// the principal sending them with a "principal" object, see createPrincipal in Helper.js.
+// Scenarios expecting error responses set "validateNoErrors": false as k6 reports 4xx and 5xx responses as errors.
+// The GraphQL responses with a 200 status code are expected to hold the data of every field without errors.
+// The fields which can be null, e.g. the field of a read racing with a delete of the item, are listed per request
+// in a "nullableFields" object, see getGraphQLMismatches in Helper.js:
+// "nullableFields": { "readUsingGraphQL": ["notebook_by_pk"] }
+// The writes whose persisted state is validated once the requests complete are listed in a "consistency" object,
+// see Consistency.js. The primary key of a created item is selected from the row returned by its write with "$fromWrittenRow":
+// "consistency": {
+//   "updateUsingRest": { "entity": "Broker", "primaryKey": { "ID Number": 1 }, "fields": { "First Name": "Mike" } },
+//   "createUsingGraphQL": { "entity": "Publisher", "primaryKey": { "$fromWrittenRow": ["id"] }, "graphQLField": "publisher_by_pk", "fields": { "name": "X" } }
+// }
+
+// Helper function to convert a status code name or number to the status code number
+const toStatusCode = (statusCode) => {
+  if (typeof statusCode == "number") {
+    return statusCode;
+  }
+
+  if (!(statusCode in statusCodes)) {
+    throw new Error(`Unknown status code: ${statusCode}`);
+  }
+
+  return statusCodes[statusCode];
+};
+
+// Helper function to select a value from a parsed response body using a path such as $.data.createPublisher.id
+export const selectPath = (json, path) => {
+  const segments = path.replace(/^\$/, '').match(/[^.[\]]+/g) || [];
+  return segments.reduce((value, segment) => value == null ? undefined : value[segment], json);
+};
+
+// Helper function to build the selector of a value invariant. The select property is either a
+// single path applied to all the responses or a map of query name to the path for that response.
+const toSelector = (select) => {
+  return (responseJson, queryName) => selectPath(responseJson, typeof select == "string" ? select : select[queryName]);
+};
+
+// Helper function to convert an invariant described in JSON to an invariant of Helper.js
+const toInvariant = (description) => {
+  switch (description.invariant) {
+    case 'hasStatusCodeCount':
+      return hasStatusCodeCount(toStatusCode(description.statusCode), description.count);
+    case 'allStatusCodesIn':
+      return allStatusCodesIn(...description.statusCodes.map(toStatusCode));
+    case 'valuesArePermutationOf':
+      return valuesArePermutationOf(description.values, toSelector(description.select));
+    case 'valuesAreDistinct':
+      return valuesAreDistinct(toSelector(description.select));
+    case 'allOf':
+      return allOf(...description.invariants.map(toInvariant));
+    default:
+      throw new Error(`Unknown invariant: ${description.invariant}`);
+  }
+};
+
+// Helper function to convert a matcher described in JSON to a matcher of Comparison.js
+const toMatcher = (description) => {
+  switch (description.$match) {
+    case 'ignore':
+      return ignore;
+    case 'anything':
+      return anything();
+    case 'anyNumber':
+      return anyNumber();
+    case 'anyString':
+      return anyString();
+    case 'isoDate':
+      return isoDate();
+    case 'regex':
+      return matchesRegex(new RegExp(description.pattern));
+    case 'unordered':
+      return unordered(toExpectedResponse(description.items));
+    case 'ignoringPaths':
+      return ignoringPaths(toExpectedResponse(description.value), ...description.paths);
+    default:
+      throw new Error(`Unknown matcher: ${description.$match}`);
+  }
+};
+
+// Helper function to replace the matchers described in JSON within an expected response
+const toExpectedResponse = (expected) => {
+  if (Array.isArray(expected)) {
+    return expected.map(toExpectedResponse);
+  }
+
+  if (expected != null && typeof expected == "object") {
+    if ('$match' in expected) {
+      return toMatcher(expected);
+    }
+
+    let converted = {};
+    Object.keys(expected).forEach(key => {
+      converted[key] = toExpectedResponse(expected[key]);
+    });
+    return converted;
+  }
+
+  return expected;
+};
+
+// Helper function to convert an acceptable outcome described in JSON.
+// Maps of expected values are converted with the given function and invariants are converted as is.
+const toAcceptableOutcome = (outcome, convertExpectedValue) => {
+  if ('invariant' in outcome) {
+    return toInvariant(outcome);
+  }
+
+  let converted = {};
+  Object.keys(outcome).forEach(queryName => {
+    converted[queryName] = convertExpectedValue(outcome[queryName]);
+  });
+  return converted;
+};
+
+// Helper function to convert the writes described in the consistency object of a scenario to the writes of Consistency.js
+const toConsistencyWrites = (consistency) => {
+  let writes = {};
+  Object.keys(consistency).forEach(queryName => {
+    const write = consistency[queryName];
+    writes[queryName] = Object.assign({}, write, {
+      primaryKey: '$fromWrittenRow' in write.primaryKey ? keyOfWrittenRow(...write.primaryKey.$fromWrittenRow) : write.primaryKey
+    });
+  });
+  return writes;
+};
+
+// Helper function to build the k6 request performing one of the requests of a scenario
+const toHttpRequest = (scenario, queryName, request) => {
+  const parameters = {
+    headers: generateAuthHeader(request.role || scenario.role || 'anonymous', createPrincipal(request.principal))
+  };
+
+  if (request.graphql && request.graphql.operation) {
+    const operation = request.graphql.operation;
+    if (!(operation in graphql) || !(request.graphql.entity in entities)) {
+      throw new Error(`Request ${queryName} of scenario ${scenario.name} has an unknown GraphQL operation or entity: ${operation} ${request.graphql.entity}`);
+    }
+
+    return graphql[operation](entities[request.graphql.entity], request.graphql.fields, request.graphql.arguments || {}, { params: parameters });
+  }
+
+  if (request.graphql) {
+    return {
+      method: 'POST',
+      url: graphQLEndPoint,
+      body: JSON.stringify({ query: request.graphql.query, variables: request.graphql.variables || {} }),
+      params: parameters
+    };
+  }
+
+  if (request.rest) {
+    return rest[request.rest.method.toLowerCase()](request.rest.entity, request.rest.primaryKey || null, request.rest.body || null, { params: parameters });
+  }
+
+  throw new Error(`Request ${queryName} of scenario ${scenario.name} must be either a rest or a graphql request`);
+};
+
+// Parses the JSON content of a scenario file and validates its structure.
+// The content must be read with open() in the init context of the test.
+export const parseScenario = (content) => {
+  const scenario = JSON.parse(content);
+  if (!scenario.name || !scenario.requests || !Object.keys(scenario.requests).length) {
+    throw new Error(`A scenario must have a name and at least one request: ${content}`);
+  }
+
+  const queryNames = Object.keys(scenario.requests);
+  let requests = {};
+  queryNames.forEach(queryName => {
+    requests[queryName] = toHttpRequest(scenario, queryName, scenario.requests[queryName]);
+  });
+
+  return {
+    name: scenario.name,
+    description: scenario.description,
+    tags: scenario.tags || {},
+    queryNames: queryNames,
+    requests: requests,
+    expectedStatusCodes: (scenario.expectedStatusCodes || []).map(outcome => toAcceptableOutcome(outcome, toStatusCode)),
+    expectedResponses: (scenario.expectedResponses || []).map(outcome => toAcceptableOutcome(outcome, toExpectedResponse)),
+    validateNoErrors: scenario.validateNoErrors !== false,
+    nullableFields: scenario.nullableFields || {},
+    consistencyWrites: scenario.consistency ? toConsistencyWrites(scenario.consistency) : null
+  };
+};
+
+// Performs all the requests of a parsed scenario in parallel and validates the responses
+// against the acceptable outcomes of the scenario
+export const runScenario = (scenario) => {
+  const responses = http.batch(scenario.requests);
+
+  if (scenario.validateNoErrors) {
+    checkNoErrors(scenario.queryNames, responses);
+  }
+
+  if (scenario.expectedStatusCodes.length) {
+    checkStatusCodes(scenario.queryNames, responses, ...scenario.expectedStatusCodes);
+  }
+
+  if (scenario.expectedResponses.length) {
+    checkResponseBodies(scenario.queryNames, responses, ...scenario.expectedResponses);
+  }
+
+  checkGraphQLResponses(scenario.queryNames, responses, scenario.nullableFields);
+
+  if (scenario.consistencyWrites) {
+    checkConsistency(responses, scenario.consistencyWrites);
+  }
+
+  return responses;
+};
@@ -0,0 +1,141 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { getResponseJson, statusCodes } from '../Helper.js';
+import { rest } from '../Requests.js';
+import http from 'k6/http';
+
+// The test cases expect the items they act on to be in the state seeded by DatabaseSchema-MsSql.sql.
+// The items mutated by the test cases are restored to that state through DAB's REST API, which
+// makes the suite idempotent and allows it to be rerun against the same database.
+// Items with auto-generated primary keys cannot be recreated with their original id once deleted.
+// So, the test cases deleting such items act on fresh items created before the run instead.
+
+// Items mutated by the test cases along with the request restoring each of them to its seeded state.
+// PATCH restores an item which is only updated, PUT recreates an item which can be deleted and
+// DELETE removes an item which is created by the test cases.
+export const seededItems = [
+  { entity: 'Author', primaryKey: { id: 124 }, method: 'PATCH', role: 'authenticated', body: { "name": "Aniruddh", "birthdate": "2002-02-02" } },
+  { entity: 'Publisher', primaryKey: { id: 1234 }, method: 'PATCH', role: 'authenticated', body: { "name": "Big Company" } },
+  { entity: 'Comic', primaryKey: { id: 1 }, method: 'PATCH', role: 'authenticated', body: { "title": "Star Trek" } },
+  { entity: 'Book', primaryKey: { id: 2 }, method: 'PATCH', role: 'authenticated', body: { "title": "Also Awesome book" } },
+  { entity: 'Book', primaryKey: { id: 3 }, method: 'PATCH', role: 'authenticated', body: { "title": "Great wall of china explained" } },
+  { entity: 'Book', primaryKey: { id: 14 }, method: 'PATCH', role: 'authenticated', body: { "title": "Before Sunset" } },
+  { entity: 'Notebook', primaryKey: { id: 3 }, method: 'PUT', role: 'anonymous', body: { "notebookname": "Notebook3", "color": "blue", "ownername": "Jarupat" } },
+  { entity: 'Notebook', primaryKey: { id: 4 }, method: 'PUT', role: 'anonymous', body: { "notebookname": "Notebook4", "color": "yellow", "ownername": "Aaron" } },
+  { entity: 'Broker', primaryKey: { "ID Number": 1 }, method: 'PATCH', role: 'authenticated', body: { "First Name": "Michael", "Last Name": "Burry" } },
+  { entity: 'Broker', primaryKey: { "ID Number": 3 }, method: 'DELETE', role: 'authenticated', body: null },
+  { entity: 'Broker', primaryKey: { "ID Number": 4 }, method: 'DELETE', role: 'authenticated', body: null },
+  { entity: 'Broker', primaryKey: { "ID Number": 5 }, method: 'DELETE', role: 'authenticated', body: null },
+  { entity: 'Broker', primaryKey: { "ID Number": 6 }, method: 'DELETE', role: 'authenticated', body: null },
+  { entity: 'Notebook', primaryKey: { id: 5 }, method: 'DELETE', role: 'anonymous', body: null }
+];
+
+// Seeded BookWebsitePlacement items deleted by the database policy test case. The items are identified
+// by their book id as the primary key is auto-generated and changes whenever an item is recreated.
+const bookWebsitePlacements = [
+  { "book_id": 3, "price": 23 },
+  { "book_id": 5, "price": 33 }
+];
+
+// Status codes accepted for each request preparing the database state. A DELETE of an item which
+// does not exist is accepted as the item is already in the expected state.
+const acceptedStatusCodesPerMethod = {
+  'PATCH': [statusCodes.Ok],
+  'PUT': [statusCodes.Ok, statusCodes.Created],
+  'POST': [statusCodes.Created],
+  'DELETE': [statusCodes.NoContent, statusCodes.NotFound]
+};
+
+// Helper function to send a request preparing the database state, built by the rest builders of Requests.js.
+// Failing to prepare the database state invalidates the test run, so an error is thrown in that case.
+const sendStateRequest = (request) => {
+  const response = http.request(request.method, request.url, request.body, request.params);
+
+  const acceptedStatusCodes = acceptedStatusCodesPerMethod[request.method] || [statusCodes.Ok];
+  if (!acceptedStatusCodes.includes(response.status)) {
+    throw new Error(`Failed to prepare the database state: ${request.method} ${request.url} returned ${response.status}. ${response.body}`);
+  }
+
+  return getResponseJson(response);
+};
+
+// Helper function to read all the items of an entity matching the OData query parameters of the options,
+// e.g. { filter: 'id gt 5', select: ['id'] }, following the nextLink of each page
+const readItems = (entity, options) => {
+  let items = [];
+  let request = rest.get(entity, null, null, Object.assign({ role: 'anonymous' }, options));
+  while (request) {
+    const responseJson = sendStateRequest(request);
+    items = items.concat(responseJson.value);
+    request = responseJson.nextLink ? Object.assign({}, request, { url: responseJson.nextLink }) : null;
+  }
+
+  return items;
+};
+
+// Helper function to read the largest primary key of an entity whose primary key is auto-generated.
+// Items with a larger primary key are created by the test run.
+const readMaxId = (entity) => {
+  const items = sendStateRequest(rest.get(entity, null, null, { orderby: 'id desc', first: 1, select: ['id'], role: 'anonymous' })).value;
+  return items.length ? items[0].id : 0;
+};
+
+// Restores all the seeded items mutated by the test cases to their seeded state
+export const restoreSeededItems = () => {
+  seededItems.forEach(item => {
+    sendStateRequest(rest[item.method.toLowerCase()](item.entity, item.primaryKey, item.body, { role: item.role }));
+  });
+};
+
+// Helper function to get the ids of the BookWebsitePlacement items deleted by the database policy
+// test case. The items deleted by a previous run are recreated and receive a new id.
+const prepareBookWebsitePlacements = () => {
+  return bookWebsitePlacements.map(placement => {
+    const existingPlacements = readItems('BookWebsitePlacement', { filter: `book_id eq ${placement.book_id}` });
+    if (existingPlacements.length) {
+      return existingPlacements[0].id;
+    }
+
+    return sendStateRequest(rest.post('BookWebsitePlacement', null, placement)).value[0].id;
+  });
+};
+
+// Prepares the database state for a test run. The seeded items are restored, the state of the
+// entities whose primary keys are generated by the database is captured and the fresh items
+// deleted by the test cases are created.
+// Returns the data passed to the test cases by k6, which is also used to clean up after the run.
+export const setupDatabaseState = () => {
+  restoreSeededItems();
+
+  const capturedState = {
+    maxAuthorId: readMaxId('Author'),
+    maxPublisherId: readMaxId('Publisher'),
+    maxBookId: readMaxId('Book')
+  };
+
+  const authorToDelete = sendStateRequest(rest.post('Author', null, { "name": "Author To Delete", "birthdate": "2001-01-01" }));
+
+  return Object.assign(capturedState, {
+    authorIdToDelete: authorToDelete.value[0].id,
+    bookWebsitePlacementIds: prepareBookWebsitePlacements()
+  });
+};
+
+// Cleans up after a test run. The authors, publishers and books created during the run are deleted
+// and the seeded items are restored so that the database is left in its seeded state.
+export const teardownDatabaseState = (data) => {
+  readItems('Author', { filter: `id gt ${data.maxAuthorId}`, select: ['id'] }).forEach(author => {
+    sendStateRequest(rest.delete('Author', { id: author.id }));
+  });
+
+  readItems('Publisher', { filter: `id gt ${data.maxPublisherId}`, select: ['id'] }).forEach(publisher => {
+    sendStateRequest(rest.delete('Publisher', { id: publisher.id }));
+  });
+
+  readItems('Book', { filter: `id gt ${data.maxBookId}`, select: ['id'] }).forEach(book => {
+    sendStateRequest(rest.delete('Book', { id: book.id }));
+  });
+
+  restoreSeededItems();
+};
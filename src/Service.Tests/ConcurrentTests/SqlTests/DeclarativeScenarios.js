@@ -0,0 +1,21 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { parseScenario, runScenario } from '../ScenarioRunner.js';
+
+// The scenario files to run are listed in Scenarios/index.json. Adding a race test
+// only requires adding its scenario file to the Scenarios folder and to the index.
+// See ScenarioRunner.js for the format of the scenario files.
+// Scenario files can only be read in the init context, so they are loaded when the module is imported.
+const scenarioFiles = JSON.parse(open('./Scenarios/index.json'));
+
+export const declarativeScenarios = scenarioFiles.map(scenarioFile => parseScenario(open(`./Scenarios/${scenarioFile}`)));
+
+// Each scenario described in a scenario file is registered as a test case of its own.
+// The requests of each scenario are performed in parallel and validated against the
+// acceptable outcomes described in the scenario file.
+export const declarativeTestCases = declarativeScenarios.map(scenario => ({
+  name: scenario.name,
+  run: () => runScenario(scenario),
+  tags: scenario.tags
+}));
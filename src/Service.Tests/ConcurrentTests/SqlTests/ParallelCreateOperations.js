@@ -1,28 +1,17 @@
 // Copyright (c) Microsoft Corporation.
 // Licensed under the MIT License.
 
-import { validateResponseBodies, generateEasyAuthHeader, graphQLEndPoint, statusCodes, validateStatusCode, validateNoErrorsInResponse, validateStatusCodes } from '../Helper.js';
+import { statusCodes, allOf, responseBodiesSatisfy, allStatusCodesIn, hasStatusCodeCount, valuesArePermutationOf, valuesAreDistinct, getResponseJson, describeInvariant, errorCodes, checkNoErrors, checkStatusCodes, checkResponseBodies, checkErrorContracts, checkGraphQLResponses } from '../Helper.js';
+import { rest, graphql, entities } from '../Requests.js';
+import { checkConsistency, keyOfWrittenRow } from '../Consistency.js';
+import { databaseProfile, isDuplicateKeyError } from '../DatabaseOptions.js';
 import http from 'k6/http';
-import { check } from 'k6';
 
 // This test performs create operations through GraphQL and REST
 // on the same entity in parallel and validates the responses
 // In the chosen entity, the primary keys are auto-generated
 // Response status codes and bodies are validated
-export const validateParallelCreateOperationsWhenPrimaryKeyIsAutogenerated = () => {
-
-  let headers = generateEasyAuthHeader('authenticated');
-
-  const parameters = {
-    headers: headers
-  }
-
-  let createPublisher = `mutation createPublisher($item: CreatePublisherInput!){
-    createPublisher(item: $item) {
-      id
-      name
-    }
-  }`;
+export const validateParallelCreateOperationsWhenPrimaryKeyIsAutogenerated = (data) => {
 
   let createPublisherVariable = {
     "item": {
@@ -30,11 +19,9 @@ export const validateParallelCreateOperationsWhenPrimaryKeyIsAutogenerated = ()
     }
   };
 
-  let createPublisherRestUrl = "https://localhost:5001/api/Publisher/";
-
-  let createPublisherRestRequestBody = `{
+  let createPublisherRestRequestBody = {
     "name": "Office Publisher"
-  }`;
+  };
 
   // Each REST or GraphQL request is created as a named request. Named requests are useful
   // for validating the responses.
@@ -45,128 +32,96 @@ export const validateParallelCreateOperationsWhenPrimaryKeyIsAutogenerated = ()
     'createPublisherUsingRest': statusCodes.Created
   };
 
-  const expectedResponse1 = {
-    'createPublisherUsingRest': {
-      "value": [
-        {
-          "id": 5001,
-          "name": "Office Publisher"
-        }
-      ]
-    },
-    'createPublisherUsingGraphQL': {
-      "data": {
-        "createPublisher": {
-          "id": 5002,
-          "name": "Office Publisher"
-        }
-      }
-    }
-
-  };
-
-  const expectedResponse2 = {
-    'createPublisherUsingRest': {
-      "value": [
-        {
-          "id": 5002,
-          "name": "Office Publisher"
-        }
-      ]
-    },
-    'createPublisherUsingGraphQL': {
-      "data": {
-        "createPublisher": {
-          "id": 5001,
-          "name": "Office Publisher"
-        }
-      }
-    }
-
-  };
+  // The ids generated for the publishers depend on the execution order of the requests and on the
+  // publishers created by previous runs. So, instead of listing every possible assignment of ids,
+  // the created publishers are expected to carry the requested name and to be assigned distinct ids,
+  // which are larger than the ids of the publishers which existed before the run when the database generates increasing ids.
+  const expectedResponse = allOf(
+    valuesAreDistinct((responseJson, queryName) => getCreatedPublisher(responseJson, queryName).id),
+    idsAreGreaterThan(data.maxPublisherId),
+    valuesArePermutationOf(["Office Publisher", "Office Publisher"], (responseJson, queryName) => getCreatedPublisher(responseJson, queryName).name)
+  );
 
   const requests = {
-    'createPublisherUsingGraphQL': {
-      method: 'POST',
-      url: graphQLEndPoint,
-      body: JSON.stringify({ query: createPublisher, variables: createPublisherVariable }),
-      params: parameters
-    },
-    'createPublisherUsingRest': {
-      method: 'POST',
-      url: createPublisherRestUrl,
-      body: createPublisherRestRequestBody,
-      params: parameters
-    }
+    'createPublisherUsingGraphQL': graphql.create(entities.Publisher, ['id', 'name'], createPublisherVariable),
+    'createPublisherUsingRest': rest.post('Publisher', null, createPublisherRestRequestBody)
   };
 
   // Performs all the GraphQL and REST requests in parallel
   const responses = http.batch(requests);
 
   // Validations for the API responses
-  check(responses, {
-    'Validate no errors': validateNoErrorsInResponse(queryNames, responses),
-    'Validate expected status code': validateStatusCode(queryNames, responses, expectedStatusCodes),
-    'Validate API response': validateResponseBodies(queryNames, responses, expectedResponse1, expectedResponse2)
+  checkNoErrors(queryNames, responses);
+  checkStatusCodes(queryNames, responses, expectedStatusCodes);
+  checkResponseBodies(queryNames, responses, expectedResponse);
+  checkGraphQLResponses(queryNames, responses);
+
+  // Each created publisher is re-read to validate that it holds the name of its own write
+  checkConsistency(responses, {
+    'createPublisherUsingGraphQL': { entity: 'Publisher', primaryKey: keyOfWrittenRow('id'), graphQLField: 'publisher_by_pk', fields: { "name": "Office Publisher" } },
+    'createPublisherUsingRest': { entity: 'Publisher', primaryKey: keyOfWrittenRow('id'), graphQLField: 'publisher_by_pk', fields: { "name": "Office Publisher" } }
   });
+};
 
+// Helper function to select the publisher created by a REST or GraphQL request from its response body
+const getCreatedPublisher = (responseJson, queryName) => {
+  const createdPublisher = queryName.endsWith('UsingRest')
+    ? (responseJson.value || [])[0]
+    : (responseJson.data || {}).createPublisher;
+  return createdPublisher || {};
 };
 
+// Invariant which is satisfied when the ids of all the created publishers are larger than the given id.
+// It is always satisfied for the databases which do not generate increasing ids.
+const idsAreGreaterThan = (id) => {
+  return describeInvariant(`created publisher ids greater than ${id}`, (queryNames, responses) => {
+    return !databaseProfile.idsIncrease
+      || queryNames.every(queryName => getCreatedPublisher(getResponseJson(responses[queryName]), queryName).id > id);
+  });
+};
+
+// Invariant which is satisfied when every failed create reports a duplicate key error
+const failedCreatesReportDuplicateKey = responseBodiesSatisfy('failed creates report a duplicate key error',
+  (responseJson) => responseJson.value != null || isDuplicateKeyError(responseJson));
+
 // This test performs create operations through REST on the same item in parallel
 // In the chosen entity, the primary keys are not auto-generated. So, only one of the
 // create operations is expected to be successful
 // Response status codes are validated
 export const valdiateParallelCreateOperationsWherePrimaryKeyIsNotAutogenerated = () => {
-  let headers = generateEasyAuthHeader('authenticated');
-
-  const parameters = {
-    headers: headers
-  }
-
-  let createBrokerRestUrl = "https://localhost:5001/api/Broker/";
-
-  let createBrokerRestRequestBody1 = `{
+  let createBrokerRestRequestBody1 = {
     "ID Number": 3,
     "First Name": "Shyam",
     "Last Name": "Sundar"
-  }`;
+  };
 
-  let createBrokerRestRequestBody2 = `{
+  let createBrokerRestRequestBody2 = {
     "ID Number": 3,
     "First Name": "Ayush",
     "Last Name": "Agarawal"
-  }`;
+  };
 
   // Each REST or GraphQL request is created as a named request. Named requests are useful
   // for validating the responses.
   const queryNames = ['createBroker1', 'createBroker2'];
 
   const requests = {
-    'createBroker1': {
-      method: 'POST',
-      url: createBrokerRestUrl,
-      body: createBrokerRestRequestBody1,
-      params: parameters
-    },
-    'createBroker2': {
-      method: 'POST',
-      url: createBrokerRestUrl,
-      body: createBrokerRestRequestBody2,
-      params: parameters
-    }
+    'createBroker1': rest.post('Broker', null, createBrokerRestRequestBody1),
+    'createBroker2': rest.post('Broker', null, createBrokerRestRequestBody2)
   };
 
   // Both the operations attempts to create an item with the same id. In the Broker entity, the primary
   // key is not auto-generated
   // Both the requests should not be successful as that would result in primary key constraint violation
-  // Hence, the expectation that one of the requests should fail
+  // Hence, the expectation that one of the requests should fail. The status code of the failure depends
+  // on the database, see DatabaseOptions.js
   const expectedStatusCodes1 = {
     'createBroker1': statusCodes.Created,
-    'createBroker2': statusCodes.InternalServerError
+    'createBroker2': databaseProfile.duplicateKeyStatusCode
   };
 
   const expectedStatusCodes2 = {
-    'createBroker1': statusCodes.InternalServerError,
+    'createBroker1': databaseProfile.duplicateKeyStatusCode,
     'createBroker2': statusCodes.Created
   };
 
@@ -174,5 +129,99 @@ export const valdiateParallelCreateOperationsWherePrimaryKeyIsNotAutogenerated =
   const responses = http.batch(requests);
 
   //Validate status codes of the responses
-  validateStatusCodes(queryNames, responses, expectedStatusCodes1, expectedStatusCodes2);
+  checkStatusCodes(queryNames, responses, expectedStatusCodes1, expectedStatusCodes2);
+  checkResponseBodies(queryNames, responses, failedCreatesReportDuplicateKey);
+  checkErrorContracts(queryNames, responses, toExpectedErrorCodes(queryNames, errorCodes.DatabaseOperationFailed));
+
+  // The broker is expected to hold the names written by the successful create operation.
+  // Broker is not exposed through GraphQL, so it is only re-read through REST.
+  checkConsistency(responses, {
+    'createBroker1': { entity: 'Broker', primaryKey: { "ID Number": 3 }, fields: { "First Name": "Shyam", "Last Name": "Sundar" } },
+    'createBroker2': { entity: 'Broker', primaryKey: { "ID Number": 3 }, fields: { "First Name": "Ayush", "Last Name": "Agarawal" } }
+  });
+};
+
+// Helper function to expect the same error code from each of the requests, should they fail
+const toExpectedErrorCodes = (queryNames, errorCode) => {
+  let expectedErrorCodes = {};
+  queryNames.forEach(queryName => {
+    expectedErrorCodes[queryName] = errorCode;
+  });
+  return expectedErrorCodes;
+};
+
+// Number of concurrent writers used by the tests that race many requests on the same entity
+const numberOfConcurrentWriters = 10;
+
+// This test performs many GraphQL create mutations on the same entity in parallel.
+// In the chosen entity, the primary keys are auto-generated. So, all the create
+// operations are expected to be successful and each of them is expected to be assigned a different id.
+export const validateParallelCreateOperationsWithManyWritersWhenPrimaryKeyIsAutogenerated = (data) => {
+
+  // Each REST or GraphQL request is created as a named request. Named requests are useful
+  // for validating the responses.
+  const queryNames = [];
+  const requests = {};
+  const writes = {};
+  for (let writer = 1; writer <= numberOfConcurrentWriters; writer++) {
+    const queryName = `createPublisherUsingGraphQL${writer}`;
+    queryNames.push(queryName);
+    writes[queryName] = { entity: 'Publisher', primaryKey: keyOfWrittenRow('id'), graphQLField: 'publisher_by_pk', fields: { "name": `Concurrent Publisher ${writer}` } };
+    requests[queryName] = graphql.create(entities.Publisher, ['id', 'name'], { item: { "name": `Concurrent Publisher ${writer}` } });
+  }
+
+  // Every writer is expected to succeed with a distinct id and its own name
+  const expectedResponse = allOf(
+    valuesAreDistinct((responseJson, queryName) => getCreatedPublisher(responseJson, queryName).id),
+    idsAreGreaterThan(data.maxPublisherId),
+    valuesArePermutationOf(
+      queryNames.map((queryName, index) => `Concurrent Publisher ${index + 1}`),
+      (responseJson, queryName) => getCreatedPublisher(responseJson, queryName).name)
+  );
+
+  // Performs all the GraphQL requests in parallel
+  const responses = http.batch(requests);
+
+  // Validations for the API responses
+  checkNoErrors(queryNames, responses);
+  checkStatusCodes(queryNames, responses, allStatusCodesIn(statusCodes.Ok));
+  checkResponseBodies(queryNames, responses, expectedResponse);
+  checkGraphQLResponses(queryNames, responses);
+
+  // Each created publisher is re-read to validate that it holds the name of its own write
+  checkConsistency(responses, writes);
+};
+
+// This test performs many REST create operations on the same item in parallel.
+// In the chosen entity, the primary keys are not auto-generated. So, irrespective of the
+// execution order, exactly one of the create operations is expected to be successful and
+// all the others are expected to fail with a primary key constraint violation.
+export const validateParallelCreateOperationsWithManyWritersWherePrimaryKeyIsNotAutogenerated = () => {
+  // Each REST or GraphQL request is created as a named request. Named requests are useful
+  // for validating the responses.
+  const queryNames = [];
+  const requests = {};
+  const writes = {};
+  for (let writer = 1; writer <= numberOfConcurrentWriters; writer++) {
+    const queryName = `createBroker${writer}`;
+    queryNames.push(queryName);
+    writes[queryName] = { entity: 'Broker', primaryKey: { "ID Number": 4 }, fields: { "First Name": `Broker ${writer}`, "Last Name": "Concurrent" } };
+    requests[queryName] = rest.post('Broker', null, { "ID Number": 4, "First Name": `Broker ${writer}`, "Last Name": "Concurrent" });
+  }
+
+  const expectedStatusCodes = allOf(
+    hasStatusCodeCount(statusCodes.Created, 1),
+    hasStatusCodeCount(databaseProfile.duplicateKeyStatusCode, numberOfConcurrentWriters - 1)
+  );
+
+  // Performs all the REST requests in parallel
+  const responses = http.batch(requests);
+
+  // Validations for the API responses
+  checkStatusCodes(queryNames, responses, expectedStatusCodes);
+  checkResponseBodies(queryNames, responses, failedCreatesReportDuplicateKey);
+  checkErrorContracts(queryNames, responses, toExpectedErrorCodes(queryNames, errorCodes.DatabaseOperationFailed));
+
+  // The broker is expected to hold the names written by the only successful create operation
+  checkConsistency(responses, writes);
 };
@@ -1,62 +1,46 @@
 // Copyright (c) Microsoft Corporation.
 // Licensed under the MIT License.
 
-import { validateResponses, generateEasyAuthHeader, graphQLEndPoint, statusCodes } from '../Helper.js';
+import { validateResponses, statusCodes } from '../Helper.js';
+import { rest, graphql, entities } from '../Requests.js';
+import { checkConsistency, keyOfWrittenRow } from '../Consistency.js';
+import { anyNumber } from '../Comparison.js';
 import http from 'k6/http';
 
 // This test performs all CRUD operations through GraphQL and REST 
 // on different items of the author entity in parallel 
 // and validates the responses.
 // Response status codes and bodies are validated. 
-export const validateParallelCRUDOperations = () => {
+// The data prepared by setupDatabaseState() provides the id of the author to delete.
+export const validateParallelCRUDOperations = (data) => {
 
-  let headers = generateEasyAuthHeader('authenticated');
-
-  const parameters = {
-    headers: headers
-  }
-
-  let createAuthor = `mutation createAuthor($author: CreateAuthorInput!) {
-        createAuthor(item: $author) {
-          name
-          birthdate
-        }
-      }
-      `;
   let createAuthorVariable = {
-    "author": {
+    "item": {
       "name": "JK Rowling",
       "birthdate": "1965-07-31"
     }
   };
 
-  let readAuthor = `query getAuthorById($id: Int!) {
-        author_by_pk(id: $id) {
-          id
-          name
-        }
-      }
-      `;
-
   let readAuthorVariable = { "id": 126 };
 
-  let updateAuthor = "https://localhost:5001/api/Author/id/124";
-
-  let updateAuthorRequestBody = `{
-        "name": "Dan Brown"
-    }`;
+  let updateAuthorRequestBody = {
+    "name": "Dan Brown"
+  };
 
-  let deleteAuthor = "https://localhost:5001/api/Author/id/125";
+  // The author to delete is created before the run as deleted authors cannot be recreated with the same id
+  let authorIdToDelete = data.authorIdToDelete;
 
   // Each REST or GraphQL request is created as a named request. Named requests are useful
   // for validating the responses.
   const queryNames = ['createAuthor', 'readAuthor', 'updateAuthor', 'deleteAuthor'];
 
   // Expected respone body for each request
+  // The id of the created author is generated by the database, so any number is accepted.
   const expectedResponses = {
     'createAuthor': {
       "data": {
         "createAuthor": {
+          "id": anyNumber(),
           "name": "JK Rowling",
           "birthdate": "1965-07-31"
         }
@@ -90,30 +74,10 @@ export const validateParallelCRUDOperations = () => {
   };
 
   const requests = {
-    'createAuthor': {
-      method: 'POST',
-      url: graphQLEndPoint,
-      body: JSON.stringify({ query: createAuthor, variables: createAuthorVariable }),
-      params: parameters
-    },
-    'readAuthor': {
-      method: 'POST',
-      url: graphQLEndPoint,
-      body: JSON.stringify({ query: readAuthor, variables: readAuthorVariable }),
-      params: parameters
-    },
-    'updateAuthor': {
-      method: 'PATCH',
-      url: updateAuthor,
-      body: updateAuthorRequestBody,
-      params: parameters
-    },
-    'deleteAuthor': {
-      method: 'DELETE',
-      url: deleteAuthor,
-      body: null,
-      params: parameters
-    }
+    'createAuthor': graphql.create(entities.Author, ['id', 'name', 'birthdate'], createAuthorVariable),
+    'readAuthor': graphql.byPk(entities.Author, ['id', 'name'], readAuthorVariable),
+    'updateAuthor': rest.patch('Author', { id: 124 }, updateAuthorRequestBody),
+    'deleteAuthor': rest.delete('Author', { id: authorIdToDelete })
   };
 
   // Performs all the GraphQL and REST requests in parallel
@@ -121,4 +85,10 @@ export const validateParallelCRUDOperations = () => {
 
   // Validations for the API responses
   validateResponses(queryNames, responses, expectedStatusCodes, expectedResponses);
+
+  // The created and the updated authors are re-read to validate that the writes are persisted
+  checkConsistency(responses, {
+    'createAuthor': { entity: 'Author', primaryKey: keyOfWrittenRow('id'), graphQLField: 'author_by_pk', fields: { "name": "JK Rowling", "birthdate": "1965-07-31" } },
+    'updateAuthor': { entity: 'Author', primaryKey: { id: 124 }, graphQLField: 'author_by_pk', fields: { "name": "Dan Brown" } }
+  });
 };
@@ -1,34 +1,18 @@
 // Copyright (c) Microsoft Corporation.
 // Licensed under the MIT License.
 
-import { generateEasyAuthHeader, validateStatusCodes, graphQLEndPoint, statusCodes } from '../Helper.js';
-import { check } from 'k6';
+import { statusCodes, errorCodes, restErrorResponse, checkStatusCodes, checkResponseBodies, checkErrorContracts, checkGraphQLResponses } from '../Helper.js';
+import { rest, graphql, entities } from '../Requests.js';
 import http from 'k6/http';
 
 // This test performs delete operations through GraphQL delete mutation and REST DELETE
 // on the same item in parallel. The responses for each request could be different depending
 // on the execution order. So, the response codes are checked against two sets of possible values.
+// When the REST request runs second, it fails with the ItemNotFound error code of DAB.
+// Exactly one of the requests deletes the notebook: either the GraphQL mutation returns the deleted notebook
+// and the REST request fails, or the REST request succeeds and the GraphQL mutation returns null without errors.
 export const validateParallelDeleteOperationsOnSameItem = () => {
 
-    let headers = generateEasyAuthHeader('authenticated');
-
-    const parameters = {
-        headers: headers
-    }
-
-    let deleteNotebookUsingGraphQLMutation = `mutation deleteNotebookById($id: Int!){
-        deleteNotebook (id: $id){
-          id
-          notebookname
-        }
-      }`;
-
-    let deleteNotebookMutationVariable = {
-        "id": 4
-    };
-
-    let deleteNotebookUsingRest = "https://localhost:5001/api/Notebook/id/4";
-
     // Each REST or GraphQL request is created as a named request. Named requests are useful
     // for validating the responses.
     const queryNames = ['deleteNotebookUsingGraphQLMutation', 'deleteNotebookUsingRest'];
@@ -45,26 +29,29 @@ export const validateParallelDeleteOperationsOnSameItem = () => {
         'deleteNotebookUsingRest': statusCodes.NotFound
     };
 
+    // Expected response bodies for each request when REST runs first
+    const expectedResponsesWhenRestDeleteExecutesFirst = {
+        'deleteNotebookUsingGraphQLMutation': { "data": { "deleteNotebook": null } },
+        'deleteNotebookUsingRest': {}
+    };
+
+    // Expected response bodies for each request when REST runs second
+    const expectedResponsesWhenGraphQLDeleteExecutesFirst = {
+        'deleteNotebookUsingGraphQLMutation': { "data": { "deleteNotebook": { "id": 4, "notebookname": "Notebook4" } } },
+        'deleteNotebookUsingRest': restErrorResponse(errorCodes.ItemNotFound, statusCodes.NotFound)
+    };
+
     const requests = {
-        'deleteNotebookUsingGraphQLMutation': {
-            method: 'POST',
-            url: graphQLEndPoint,
-            body: JSON.stringify({ query: deleteNotebookUsingGraphQLMutation, variables: deleteNotebookMutationVariable }),
-            params: parameters
-        },
-        'deleteNotebookUsingRest': {
-            method: 'DELETE',
-            url: deleteNotebookUsingRest,
-            body: null,
-            params: parameters
-        }
+        'deleteNotebookUsingGraphQLMutation': graphql.delete(entities.Notebook, ['id', 'notebookname'], { "id": 4 }),
+        'deleteNotebookUsingRest': rest.delete('Notebook', { id: 4 })
     };
 
     // Performs all the GraphQL and REST requests in parallel
     const responses = http.batch(requests);
 
     // Validations for the API responses
-    check(responses, {
-        'Validate expected status code': validateStatusCodes(queryNames, responses, expectedStatusCodesWhenRestDeleteExecutesFirst, expectedStatusCodesWhenGraphQLDeleteExecutesFirst)
-    });
+    checkStatusCodes(queryNames, responses, expectedStatusCodesWhenRestDeleteExecutesFirst, expectedStatusCodesWhenGraphQLDeleteExecutesFirst);
+    checkResponseBodies(queryNames, responses, expectedResponsesWhenRestDeleteExecutesFirst, expectedResponsesWhenGraphQLDeleteExecutesFirst);
+    checkErrorContracts(queryNames, responses, { 'deleteNotebookUsingRest': errorCodes.ItemNotFound });
+    checkGraphQLResponses(queryNames, responses, { 'deleteNotebookUsingGraphQLMutation': ['deleteNotebook'] });
 };
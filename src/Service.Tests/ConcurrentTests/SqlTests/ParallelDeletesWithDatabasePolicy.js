@@ -0,0 +1,74 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { generateAuthHeader, createPrincipal, statusCodes, checkStatusCodes } from '../Helper.js';
+import { rest } from '../Requests.js';
+import http from 'k6/http';
+
+// This test performs REST DELETE requests on the BookWebsitePlacement entity in parallel
+// on behalf of two different users. The delete action of the authenticated role is governed by the
+// database policy @claims.userId eq @item.id, so each user is only permitted to delete the
+// item whose id matches their user id.
+// Each user attempts to delete both items. Irrespective of the execution order, the request
+// on the item owned by the user deletes it and the request on the item owned by the other user
+// is filtered out by the policy and results in Not Found.
+export const validateParallelDeleteOperationsWithDatabasePolicy = (data) => {
+
+  // The items are prepared by setupDatabaseState() as their ids are generated by the database
+  const [firstUserItemId, secondUserItemId] = data.bookWebsitePlacementIds;
+
+  const firstUserParameters = {
+    headers: generateAuthHeader('authenticated', createPrincipal({ userId: firstUserItemId, userDetails: 'firstuser@contoso.com' }))
+  };
+
+  const secondUserParameters = {
+    headers: generateAuthHeader('authenticated', createPrincipal({ userId: secondUserItemId, userDetails: 'seconduser@contoso.com' }))
+  };
+
+  let firstUserItemKey = { id: firstUserItemId };
+  let secondUserItemKey = { id: secondUserItemId };
+
+  // Each REST or GraphQL request is created as a named request. Named requests are useful
+  // for validating the responses.
+  const queryNames = ['firstUserDeletesOwnItem', 'firstUserDeletesOtherItem', 'secondUserDeletesOwnItem', 'secondUserDeletesOtherItem'];
+
+  // Expected status codes for each request
+  const expectedStatusCodes = {
+    'firstUserDeletesOwnItem': statusCodes.NoContent,
+    'firstUserDeletesOtherItem': statusCodes.NotFound,
+    'secondUserDeletesOwnItem': statusCodes.NoContent,
+    'secondUserDeletesOtherItem': statusCodes.NotFound
+  };
+
+  const requests = {
+    'firstUserDeletesOwnItem': rest.delete('BookWebsitePlacement', firstUserItemKey, null, { params: firstUserParameters }),
+    'firstUserDeletesOtherItem': rest.delete('BookWebsitePlacement', secondUserItemKey, null, { params: firstUserParameters }),
+    'secondUserDeletesOwnItem': rest.delete('BookWebsitePlacement', secondUserItemKey, null, { params: secondUserParameters }),
+    'secondUserDeletesOtherItem': rest.delete('BookWebsitePlacement', firstUserItemKey, null, { params: secondUserParameters })
+  };
+
+  // Performs all the REST requests in parallel
+  const responses = http.batch(requests);
+
+  // Validations for the API responses
+  checkStatusCodes(queryNames, responses, expectedStatusCodes);
+
+  // Once all the deletes have completed, both the items are expected to be deleted by their owners.
+  const readQueryNames = ['readFirstUserItem', 'readSecondUserItem'];
+
+  const expectedReadStatusCodes = {
+    'readFirstUserItem': statusCodes.NotFound,
+    'readSecondUserItem': statusCodes.NotFound
+  };
+
+  const readRequests = {
+    'readFirstUserItem': rest.get('BookWebsitePlacement', firstUserItemKey, null, { role: 'anonymous' }),
+    'readSecondUserItem': rest.get('BookWebsitePlacement', secondUserItemKey, null, { role: 'anonymous' })
+  };
+
+  // Performs the REST reads in parallel once the deletes have completed
+  const readResponses = http.batch(readRequests);
+
+  // Validations for the read responses
+  checkStatusCodes(readQueryNames, readResponses, expectedReadStatusCodes);
+};
@@ -0,0 +1,129 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { statusCodes, errorCodes, restErrorResponse, graphQLErrorResponse, checkNoErrors, checkStatusCodes, checkResponseBodies, checkErrorContracts } from '../Helper.js';
+import { rest, graphql, entities } from '../Requests.js';
+import { checkConsistency, keyOfWrittenRow } from '../Consistency.js';
+import { anyNumber } from '../Comparison.js';
+import http from 'k6/http';
+
+// These tests send requests failing in parallel with requests succeeding on the same entities and validate
+// that each failure is reported with the error code of DAB for its cause, in the error envelope of its protocol:
+// REST   - { "error": { "code": "ItemNotFound", "message": "...", "status": 404 } } with the status code of the error.
+// GraphQL - { "data": { "<field>": null }, "errors": [{ "message": "...", "extensions": { "code": "ItemNotFound" } }] }
+// with a 200 status code. The errors are expected not to depend on the concurrent requests.
+
+// Id of the items which do not exist in any of the seeded tables
+const missingId = -1;
+
+// This test reads, updates and deletes items which do not exist through REST and GraphQL in parallel with
+// reads of existing items. The requests on the missing items are expected to fail with EntityNotFound for
+// REST reads and with ItemNotFound for the mutations, while the reads of the existing items succeed.
+export const validateParallelRequestsOnMissingItems = () => {
+
+  const allowedQueryNames = ['readExistingBookUsingRest', 'readExistingNotebookUsingRest'];
+  const queryNames = allowedQueryNames.concat(['readMissingBookUsingRest', 'deleteMissingNotebookUsingRest',
+    'updateMissingBookUsingRest', 'updateMissingBookUsingGraphQL']);
+
+  const requests = {
+    'readExistingBookUsingRest': rest.get('Book', { id: 1 }),
+    'readExistingNotebookUsingRest': rest.get('Notebook', { id: 1 }),
+    'readMissingBookUsingRest': rest.get('Book', { id: missingId }),
+    'deleteMissingNotebookUsingRest': rest.delete('Notebook', { id: missingId }),
+    'updateMissingBookUsingRest': rest.patch('Book', { id: missingId }, { "title": "Missing book" }),
+    'updateMissingBookUsingGraphQL': graphql.update(entities.Book, ['id', 'title'], { "id": missingId, "item": { "title": "Missing book" } })
+  };
+
+  // The PATCH of a missing book is an upsert, which cannot insert the book as its id is generated by the database
+  const expectedStatusCodes = {
+    'readExistingBookUsingRest': statusCodes.Ok,
+    'readExistingNotebookUsingRest': statusCodes.Ok,
+    'readMissingBookUsingRest': statusCodes.NotFound,
+    'deleteMissingNotebookUsingRest': statusCodes.NotFound,
+    'updateMissingBookUsingRest': statusCodes.NotFound,
+    'updateMissingBookUsingGraphQL': statusCodes.Ok
+  };
+
+  const expectedResponses = {
+    'readExistingBookUsingRest': { "value": [{ "id": 1, "title": "Awesome book", "publisher_id": 1234 }] },
+    'readExistingNotebookUsingRest': { "value": [{ "id": 1, "notebookname": "Notebook1", "color": "red", "ownername": "Sean" }] },
+    'readMissingBookUsingRest': restErrorResponse(errorCodes.EntityNotFound, statusCodes.NotFound, "Not Found"),
+    'deleteMissingNotebookUsingRest': restErrorResponse(errorCodes.ItemNotFound, statusCodes.NotFound, `Could not find item with <id: ${missingId}>`),
+    'updateMissingBookUsingRest': restErrorResponse(errorCodes.ItemNotFound, statusCodes.NotFound),
+    'updateMissingBookUsingGraphQL': graphQLErrorResponse('updatebook', errorCodes.ItemNotFound)
+  };
+
+  // Performs all the GraphQL and REST requests in parallel
+  const responses = http.batch(requests);
+
+  checkNoErrors(allowedQueryNames, responses);
+  checkStatusCodes(queryNames, responses, expectedStatusCodes);
+  checkResponseBodies(queryNames, responses, expectedResponses);
+  checkErrorContracts(queryNames, responses, {
+    'readMissingBookUsingRest': errorCodes.EntityNotFound,
+    'deleteMissingNotebookUsingRest': errorCodes.ItemNotFound,
+    'updateMissingBookUsingRest': errorCodes.ItemNotFound,
+    'updateMissingBookUsingGraphQL': errorCodes.ItemNotFound
+  });
+};
+
+// This test creates publishers through REST in parallel, some of them with a field the Publisher entity does not
+// have, while publishers are listed with a $filter on such a field. As the request body is validated strictly,
+// the creates with the unexpected field and the list are expected to fail with BadRequest while the other creates succeed.
+// Once the requests complete, no publisher is expected to be created by the rejected requests.
+export const validateParallelRequestsWithInvalidInput = () => {
+
+  const validNames = ["Valid Publisher 1", "Valid Publisher 2", "Valid Publisher 3"];
+  const rejectedNames = ["Rejected Publisher 1", "Rejected Publisher 2"];
+
+  const validQueryNames = validNames.map((name, index) => `createValidPublisher${index + 1}`);
+  const rejectedQueryNames = rejectedNames.map((name, index) => `createPublisherWithUnexpectedField${index + 1}`);
+  const queryNames = validQueryNames.concat(rejectedQueryNames, ['listPublishersFilteringUnknownField']);
+
+  let requests = {};
+  let expectedStatusCodes = {};
+  let expectedResponses = {};
+  let expectedErrorCodes = {};
+  let writes = {};
+
+  validNames.forEach((name, index) => {
+    const queryName = validQueryNames[index];
+    requests[queryName] = rest.post('Publisher', null, { "name": name });
+    expectedStatusCodes[queryName] = statusCodes.Created;
+    expectedResponses[queryName] = { "value": [{ "id": anyNumber(), "name": name }] };
+    writes[queryName] = { entity: 'Publisher', primaryKey: keyOfWrittenRow('id'), graphQLField: 'publisher_by_pk', fields: { "name": name } };
+  });
+
+  rejectedNames.forEach((name, index) => {
+    const queryName = rejectedQueryNames[index];
+    requests[queryName] = rest.post('Publisher', null, { "name": name, "founded": 1900 + index });
+    expectedStatusCodes[queryName] = statusCodes.BadRequest;
+    expectedResponses[queryName] = restErrorResponse(errorCodes.BadRequest, statusCodes.BadRequest);
+    expectedErrorCodes[queryName] = errorCodes.BadRequest;
+  });
+
+  requests['listPublishersFilteringUnknownField'] = rest.get('Publisher', null, null, { filter: 'founded gt 1900' });
+  expectedStatusCodes['listPublishersFilteringUnknownField'] = statusCodes.BadRequest;
+  expectedResponses['listPublishersFilteringUnknownField'] = restErrorResponse(errorCodes.BadRequest, statusCodes.BadRequest);
+  expectedErrorCodes['listPublishersFilteringUnknownField'] = errorCodes.BadRequest;
+
+  // Performs all the REST requests in parallel
+  const responses = http.batch(requests);
+
+  checkNoErrors(validQueryNames, responses);
+  checkStatusCodes(queryNames, responses, expectedStatusCodes);
+  checkResponseBodies(queryNames, responses, expectedResponses);
+  checkErrorContracts(queryNames, responses, expectedErrorCodes);
+  checkConsistency(responses, writes);
+
+  // The rejected creates are expected to leave no publisher behind
+  let rejectedRequests = {};
+  let expectedRejectedResponses = {};
+  rejectedNames.forEach((name, index) => {
+    rejectedRequests[rejectedQueryNames[index]] = rest.get('Publisher', null, null, { filter: `name eq '${name}'` });
+    expectedRejectedResponses[rejectedQueryNames[index]] = { "value": [] };
+  });
+
+  const rejectedResponses = http.batch(rejectedRequests);
+  checkResponseBodies(rejectedQueryNames, rejectedResponses, expectedRejectedResponses);
+};
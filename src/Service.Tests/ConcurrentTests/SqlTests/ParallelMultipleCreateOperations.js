@@ -0,0 +1,183 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { generateAuthHeader, createPrincipal, statusCodes, getResponseJson, checkNoErrors, checkStatusCodes, checkResponseBodies, checkGraphQLResponses, checkOutcomes } from '../Helper.js';
+import { rest, graphql, entities } from '../Requests.js';
+import { anyNumber, anything, unordered } from '../Comparison.js';
+import http from 'k6/http';
+
+// This test fires nested creates (createbook with its authors and reviews) and a multiple create (createbooks)
+// in parallel. All the created books share the seeded publisher 1234, while each of them creates its own
+// authors, linked through the book_author_link table, and its own reviews.
+// A nested create violating the create policy of the role_multiple_create_policy_tester role on Book races
+// with them. Its publisher is inserted before the book is rejected, so the whole mutation is expected to be rolled back.
+// The principal sending it holds the role, as DAB rejects with 403 the requests whose X-MS-API-ROLE header names
+// a role the principal does not hold, before the create policy is evaluated.
+// Once all the mutations complete, the relationships are re-queried to validate that each mutation is atomic:
+// every created book is linked to exactly the authors and reviews created with it, and the rejected
+// mutation leaves no publisher or book behind.
+// The created books and authors are deleted by teardownDatabaseState().
+export const validateParallelMultipleCreateOperationsWithSharedRelatedRows = (data) => {
+
+  const publisherId = 1234;
+  const rejectedPublisherName = "Nested Publisher Rejected";
+
+  // Books created by each successful mutation along with their authors and reviews
+  const createdBooks = {
+    'createBookUsingNestedCreate1': [
+      { "title": "Nested Book 1", "authors": ["Nested Author 1"], "reviews": ["Nested Book 1 - Review"] }
+    ],
+    'createBookUsingNestedCreate2': [
+      { "title": "Nested Book 2", "authors": ["Nested Author 2", "Nested Author 3"], "reviews": ["Nested Book 2 - Review"] }
+    ],
+    'createBooksUsingMultipleCreate': [
+      { "title": "Nested Book 3", "authors": ["Nested Author 4"], "reviews": [] },
+      { "title": "Nested Book 4", "authors": ["Nested Author 5"], "reviews": ["Nested Book 4 - Review 1", "Nested Book 4 - Review 2"] }
+    ]
+  };
+
+  const bookSelection = ['id', 'title', 'publisher_id', 'publishers { id }', 'authors { items { id name } }', 'reviews { items { id book_id content } }'];
+
+  // Helper function to build the input of a book created along with its authors and reviews
+  const toBookInput = (book) => {
+    let bookInput = {
+      "title": book.title,
+      "publisher_id": publisherId,
+      "authors": book.authors.map(name => ({ "name": name, "birthdate": "2000-01-01", "royalty_percentage": 100.0 / book.authors.length }))
+    };
+    if (book.reviews.length) {
+      bookInput["reviews"] = book.reviews.map(content => ({ "content": content }));
+    }
+
+    return bookInput;
+  };
+
+  // Helper function to build the expected book returned by a mutation
+  const toExpectedBook = (book) => ({
+    "id": anyNumber(),
+    "title": book.title,
+    "publisher_id": publisherId,
+    "publishers": { "id": publisherId },
+    "authors": { "items": unordered(book.authors.map(name => ({ "id": anyNumber(), "name": name }))) },
+    "reviews": { "items": unordered(book.reviews.map(content => ({ "id": anyNumber(), "book_id": anyNumber(), "content": content }))) }
+  });
+
+  const queryNames = ['createBookUsingNestedCreate1', 'createBookUsingNestedCreate2', 'createBooksUsingMultipleCreate', 'createBookRejectedByPolicy'];
+
+  // GraphQL reports the errors of the mutations with a 200 status code
+  const expectedStatusCodes = {
+    'createBookUsingNestedCreate1': statusCodes.Ok,
+    'createBookUsingNestedCreate2': statusCodes.Ok,
+    'createBooksUsingMultipleCreate': statusCodes.Ok,
+    'createBookRejectedByPolicy': statusCodes.Ok
+  };
+
+  const expectedResponses = {
+    'createBookUsingNestedCreate1': { "data": { "createbook": toExpectedBook(createdBooks['createBookUsingNestedCreate1'][0]) } },
+    'createBookUsingNestedCreate2': { "data": { "createbook": toExpectedBook(createdBooks['createBookUsingNestedCreate2'][0]) } },
+    'createBooksUsingMultipleCreate': { "data": { "createbooks": { "items": createdBooks['createBooksUsingMultipleCreate'].map(toExpectedBook) } } },
+    'createBookRejectedByPolicy': { "data": { "createbook": null }, "errors": anything() }
+  };
+
+  const policyTesterRole = 'role_multiple_create_policy_tester';
+
+  const requests = {
+    'createBookUsingNestedCreate1': graphql.create(entities.Book, bookSelection, { item: toBookInput(createdBooks['createBookUsingNestedCreate1'][0]) }),
+    'createBookUsingNestedCreate2': graphql.create(entities.Book, bookSelection, { item: toBookInput(createdBooks['createBookUsingNestedCreate2'][0]) }),
+    'createBooksUsingMultipleCreate': graphql.createMultiple(entities.Book, [`items { ${bookSelection.join(' ')} }`], { items: createdBooks['createBooksUsingMultipleCreate'].map(toBookInput) }),
+    'createBookRejectedByPolicy': graphql.create(entities.Book, ['id', 'title'], { item: { "title": "Test", "publishers": { "name": rejectedPublisherName } } }, {
+      params: { headers: generateAuthHeader(policyTesterRole, createPrincipal({ roles: ['anonymous', 'authenticated', policyTesterRole] })) }
+    })
+  };
+
+  // Performs all the nested and multiple creates in parallel
+  const responses = http.batch(requests);
+
+  checkNoErrors(queryNames, responses);
+  checkStatusCodes(queryNames, responses, expectedStatusCodes);
+  checkResponseBodies(queryNames, responses, expectedResponses);
+  // Apart from the create rejected by the policy, the creates return their books without errors
+  checkGraphQLResponses(Object.keys(createdBooks), responses);
+
+  checkOutcomes('Validate multiple create atomicity', responses,
+    [getAtomicityMismatches(getReturnedBooks(responses, Object.keys(createdBooks)), bookSelection, data, rejectedPublisherName)]);
+};
+
+// Helper function to get the books returned by the successful createbook and createbooks mutations
+const getReturnedBooks = (responses, queryNames) => {
+  let books = [];
+  queryNames.forEach(queryName => {
+    const responseData = getResponseJson(responses[queryName]).data || {};
+    if (responseData.createbook) {
+      books.push(responseData.createbook);
+    } else if (responseData.createbooks) {
+      books = books.concat(responseData.createbooks.items);
+    }
+  });
+
+  return books;
+};
+
+// Helper function to sort the values of a field of the related items of a book for comparison
+const sortedValues = (items, field) => items.map(item => item[field]).sort();
+
+// Helper function to re-query the relationships of the created books and authors, and the rows of the rejected
+// mutation, once all the mutations completed. Returns the mismatches showing a partially applied mutation.
+const getAtomicityMismatches = (returnedBooks, bookSelection, data, rejectedPublisherName) => {
+  const returnedAuthors = returnedBooks.reduce((authors, book) =>
+    authors.concat(book.authors.items.map(author => ({ id: author.id, bookId: book.id }))), []);
+
+  let requests = {};
+  returnedBooks.forEach(book => {
+    requests[`book${book.id}`] = graphql.byPk(entities.Book, bookSelection, { id: book.id });
+  });
+  returnedAuthors.forEach(author => {
+    requests[`author${author.id}`] = graphql.byPk(entities.Author, ['id', 'books { items { id } }'], { id: author.id });
+  });
+  requests['rejectedPublishers'] = rest.get('Publisher', null, null, { filter: `name eq '${rejectedPublisherName}'` });
+  requests['rejectedBooks'] = rest.get('Book', null, null, { filter: `title eq 'Test' and id gt ${data.maxBookId}` });
+
+  const readResponses = http.batch(requests);
+  let mismatches = [];
+
+  // Each created book holds the publisher, authors and reviews it was created with
+  returnedBooks.forEach(book => {
+    const storedBook = (getResponseJson(readResponses[`book${book.id}`]).data || {}).book_by_pk;
+    if (!storedBook) {
+      mismatches.push({ reason: 'The created book is not found', id: book.id });
+      return;
+    }
+
+    if (storedBook.title !== book.title || storedBook.publisher_id !== book.publisher_id || !storedBook.publishers) {
+      mismatches.push({ reason: 'The created book differs from the returned book', returned: book, stored: storedBook });
+    }
+
+    if (JSON.stringify(sortedValues(storedBook.authors.items, 'id')) != JSON.stringify(sortedValues(book.authors.items, 'id'))) {
+      mismatches.push({ reason: 'The book is not linked to exactly the authors created with it', id: book.id, returned: book.authors.items, stored: storedBook.authors.items });
+    }
+
+    if (JSON.stringify(sortedValues(storedBook.reviews.items, 'id')) != JSON.stringify(sortedValues(book.reviews.items, 'id'))
+      || storedBook.reviews.items.some(review => review.book_id !== book.id)) {
+      mismatches.push({ reason: 'The book does not own exactly the reviews created with it', id: book.id, returned: book.reviews.items, stored: storedBook.reviews.items });
+    }
+  });
+
+  // Each created author is only linked to the book it was created with, i.e. there are no orphaned or extra links
+  returnedAuthors.forEach(author => {
+    const storedAuthor = (getResponseJson(readResponses[`author${author.id}`]).data || {}).author_by_pk;
+    const linkedBookIds = storedAuthor ? storedAuthor.books.items.map(book => book.id) : null;
+    if (JSON.stringify(linkedBookIds) != JSON.stringify([author.bookId])) {
+      mismatches.push({ reason: 'The created author is not linked to exactly the book it was created with', id: author.id, bookId: author.bookId, linkedBookIds: linkedBookIds });
+    }
+  });
+
+  // The rejected mutation leaves neither its publisher nor its book behind
+  ['rejectedPublishers', 'rejectedBooks'].forEach(requestName => {
+    const rows = getResponseJson(readResponses[requestName]).value;
+    if (readResponses[requestName].status != statusCodes.Ok || rows.length) {
+      mismatches.push({ reason: 'The rejected mutation is partially applied', request: requestName, status: readResponses[requestName].status, rows: rows });
+    }
+  });
+
+  return mismatches;
+};
@@ -0,0 +1,201 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { statusCodes, getResponseJson, checkOutcomes, checkStatusCodes, checkGraphQLResponses } from '../Helper.js';
+import { rest, graphql, entities } from '../Requests.js';
+import http from 'k6/http';
+
+// These tests page through the books of a publisher through REST and GraphQL while books of the same
+// publisher are created and deleted in parallel with the read of each page. With keyset pagination,
+// the concurrent writes must not shift the items across pages:
+// - No item is returned on more than one page.
+// - Every item which exists for the whole run is returned on one of the pages.
+// - Every returned item matches the filter and the items are returned in the requested order.
+// The books created by the tests are allowed to show up on the pages or not, depending on the
+// order in which the database processes the requests.
+
+// Publisher whose books are paged through. The publisher has 11 seeded books.
+const publisherId = 1234;
+
+// Number of books read per page
+const pageSize = 3;
+
+// Maximum number of pages read before the pagination is considered not to terminate
+const maxPages = 20;
+
+// Helper function to read the ids of the books of the publisher before the run, following the nextLink of each page
+const readBookIdsOfPublisher = () => {
+  let ids = [];
+  let request = rest.get('Book', null, null, { filter: `publisher_id eq ${publisherId}`, select: ['id'] });
+  while (request) {
+    const responseJson = getResponseJson(http.request(request.method, request.url, request.body, request.params));
+    ids = ids.concat((responseJson.value || []).map(book => book.id));
+    request = responseJson.nextLink ? Object.assign({}, request, { url: responseJson.nextLink }) : null;
+  }
+
+  return ids;
+};
+
+// Helper function to find the mismatches of the items returned on the pages.
+// isOrdered tells whether an id may follow another id in the requested order.
+const getPaginationMismatches = (pages, stableIds, createdIds, isOrdered, completed) => {
+  let mismatches = [];
+  if (!completed) {
+    mismatches.push({ reason: `The pagination did not complete within ${maxPages} pages` });
+  }
+
+  let returnedIds = [];
+  pages.forEach((page, pageIndex) => {
+    page.forEach(book => {
+      if (returnedIds.includes(book.id)) {
+        mismatches.push({ reason: 'The item is returned on more than one page', page: pageIndex + 1, id: book.id });
+      } else if (returnedIds.length && !isOrdered(returnedIds[returnedIds.length - 1], book.id)) {
+        mismatches.push({ reason: 'The item is not returned in the requested order', page: pageIndex + 1, id: book.id, previousId: returnedIds[returnedIds.length - 1] });
+      }
+
+      if (book.publisher_id !== publisherId) {
+        mismatches.push({ reason: 'The item does not match the filter', page: pageIndex + 1, item: book });
+      }
+
+      if (!stableIds.includes(book.id) && !createdIds.includes(book.id)) {
+        mismatches.push({ reason: 'The item is neither seeded nor created by the test', page: pageIndex + 1, id: book.id });
+      }
+
+      returnedIds.push(book.id);
+    });
+  });
+
+  stableIds
+    .filter(id => !returnedIds.includes(id))
+    .forEach(id => mismatches.push({ reason: 'The item is skipped by the pagination', id: id }));
+
+  return mismatches;
+};
+
+// Helper function to page through the books while a book is created and the book created with the previous
+// page is deleted in parallel with the read of each page. The requests of each step are built by
+// getRequests(step, cursor, bookIdToDelete), the page is extracted from the read by readPage(responseJson),
+// which returns null when the response holds no page, and the id of the created book by getCreatedBookId(responseJson).
+// Returns the responses of all the steps, the pages and the ids of the created books.
+const pageWithConcurrentWrites = (getRequests, expectedStatusCodesPerRequest, readPage, getCreatedBookId) => {
+  let responses = {};
+  let expectedStatusCodes = {};
+  let pages = [];
+  let createdIds = [];
+  let cursor = null;
+  let bookIdToDelete = null;
+  let completed = false;
+
+  for (let step = 1; step <= maxPages && !completed; step++) {
+    const requests = getRequests(step, cursor, bookIdToDelete);
+    const stepResponses = http.batch(requests);
+    Object.keys(requests).forEach(requestName => {
+      responses[`page${step}_${requestName}`] = stepResponses[requestName];
+      expectedStatusCodes[`page${step}_${requestName}`] = expectedStatusCodesPerRequest[requestName];
+    });
+
+    // The book created with the page is deleted with the next page, or once the run stops
+    bookIdToDelete = getCreatedBookId(getResponseJson(stepResponses.createBook));
+    if (bookIdToDelete != null) {
+      createdIds.push(bookIdToDelete);
+    }
+
+    if (stepResponses.readPage.status != statusCodes.Ok) {
+      break;
+    }
+
+    const page = readPage(getResponseJson(stepResponses.readPage));
+    if (page == null) {
+      break;
+    }
+
+    pages.push(page.items);
+    cursor = page.cursor;
+    completed = cursor == null;
+  }
+
+  return { responses, expectedStatusCodes, pages, createdIds, completed, lastCreatedBookId: bookIdToDelete };
+};
+
+// Helper function to delete the book created with the last page, which is not deleted by the run.
+// The response of the delete is validated along with the responses of the run.
+const deleteLastCreatedBook = (run, request, expectedStatusCode) => {
+  if (run.lastCreatedBookId != null) {
+    run.responses['cleanup_deleteBook'] = http.batch({ 'deleteBook': request(run.lastCreatedBookId) })['deleteBook'];
+    run.expectedStatusCodes['cleanup_deleteBook'] = expectedStatusCode;
+  }
+};
+
+// Helper function to register the checks of a pagination run. The GraphQL responses of every step
+// are expected to hold their data without errors, so that a failed read is not taken for the last page.
+const checkPagination = (run, stableIds, isOrdered) => {
+  checkStatusCodes(Object.keys(run.responses), run.responses, run.expectedStatusCodes);
+  checkGraphQLResponses(Object.keys(run.responses), run.responses);
+  checkOutcomes('Validate pagination with concurrent inserts and deletes', run.responses,
+    [getPaginationMismatches(run.pages, stableIds, run.createdIds, isOrdered, run.completed)]);
+};
+
+// This test pages through the books of a publisher through REST using $first, $filter and $orderby and
+// following the nextLink of each page, while books of the publisher are created and deleted through REST.
+// The books are ordered by descending id, so the books created during the run precede the current page.
+export const validateParallelRestPaginationWithConcurrentInsertsAndDeletes = () => {
+  const stableIds = readBookIdsOfPublisher();
+  const firstPageRequest = rest.get('Book', null, null, { first: pageSize, filter: `publisher_id eq ${publisherId}`, orderby: 'id desc' });
+
+  const run = pageWithConcurrentWrites(
+    (step, nextLink, bookIdToDelete) => {
+      let requests = {
+        'readPage': nextLink ? Object.assign({}, firstPageRequest, { url: nextLink }) : firstPageRequest,
+        'createBook': rest.post('Book', null, { "title": `Paging Book ${step}`, "publisher_id": publisherId })
+      };
+
+      if (bookIdToDelete != null) {
+        requests['deleteBook'] = rest.delete('Book', { id: bookIdToDelete });
+      }
+
+      return requests;
+    },
+    { 'readPage': statusCodes.Ok, 'createBook': statusCodes.Created, 'deleteBook': statusCodes.NoContent },
+    (responseJson) => ({ items: responseJson.value || [], cursor: responseJson.nextLink || null }),
+    (responseJson) => responseJson.value ? responseJson.value[0].id : null);
+
+  deleteLastCreatedBook(run, id => rest.delete('Book', { id: id }), statusCodes.NoContent);
+
+  checkPagination(run, stableIds, (previousId, id) => id < previousId);
+};
+
+// This test pages through the books of a publisher through GraphQL using first, after, filter and orderBy,
+// while books of the publisher are created and deleted through GraphQL mutations.
+// The books are ordered by ascending id, so the books created during the run follow the current page.
+export const validateParallelGraphQLPaginationWithConcurrentInsertsAndDeletes = () => {
+  const stableIds = readBookIdsOfPublisher();
+
+  const run = pageWithConcurrentWrites(
+    (step, endCursor, bookIdToDelete) => {
+      let requests = {
+        'readPage': graphql.list(entities.Book, ['items { id title publisher_id }', 'endCursor', 'hasNextPage'], {
+          first: pageSize,
+          after: endCursor,
+          filter: { publisher_id: { eq: publisherId } },
+          orderBy: { id: 'ASC' }
+        }),
+        'createBook': graphql.create(entities.Book, ['id', 'title', 'publisher_id'], { item: { "title": `Paging Book ${step}`, "publisher_id": publisherId } })
+      };
+
+      if (bookIdToDelete != null) {
+        requests['deleteBook'] = graphql.delete(entities.Book, ['id'], { id: bookIdToDelete });
+      }
+
+      return requests;
+    },
+    { 'readPage': statusCodes.Ok, 'createBook': statusCodes.Ok, 'deleteBook': statusCodes.Ok },
+    (responseJson) => {
+      const connection = (responseJson.data || {}).books;
+      return connection ? { items: connection.items, cursor: connection.hasNextPage ? connection.endCursor : null } : null;
+    },
+    (responseJson) => responseJson.data && responseJson.data.createbook ? responseJson.data.createbook.id : null);
+
+  deleteLastCreatedBook(run, id => graphql.delete(entities.Book, ['id'], { id: id }), statusCodes.Ok);
+
+  checkPagination(run, stableIds, (previousId, id) => id > previousId);
+};
@@ -2,7 +2,8 @@
 // Licensed under the MIT License.
 
 import http from 'k6/http';
-import { validateResponses, graphQLEndPoint, statusCodes } from '../Helper.js';
+import { validateResponses, statusCodes } from '../Helper.js';
+import { rest, graphql, entities } from '../Requests.js';
 
 // This test performs graphQL queries and REST GET requests in parallel on different items
 // The response status and bodies for each request are validated.
@@ -16,24 +17,6 @@ export const validateParallelReadOperations = () => {
     headers: headers
   }
 
-  let bookQuery = `
-    query getBookById($id: Int!){
-      book_by_pk(id: $id) {
-        id
-        title
-      }
-    }
-    `;
-
-  let authorQuery = `
-        query getAuthorById($id : Int!){
-          author_by_pk(id: $id) {
-            id
-            name
-          }
-        }
-      `;
-
   // Each REST or GraphQL request is created as a named request. Named requests are useful
   // for validating the responses.
   const queryNames = ['bookQuery1', 'bookQuery2', 'notebookQuery', 'authorQueryUsingRequestBody', 'authorQueryUsingUrl'];
@@ -56,37 +39,13 @@ export const validateParallelReadOperations = () => {
     'authorQueryUsingUrl': statusCodes.Ok
   };
 
+  // The requests are sent without any role header, i.e. by the anonymous role
   const requests = {
-    'bookQuery1': {
-      method: 'POST',
-      url: graphQLEndPoint,
-      body: JSON.stringify({ query: bookQuery, variables: { "id": 1 } }),
-      params: parameters
-    },
-    'bookQuery2': {
-      method: 'POST',
-      url: graphQLEndPoint,
-      body: JSON.stringify({ query: bookQuery, variables: { "id": 2 } }),
-      params: parameters
-    },
-    'notebookQuery': {
-      method: 'GET',
-      url: 'https://localhost:5001/api/Notebook/id/2',
-      body: null,
-      params: parameters
-    },
-    'authorQueryUsingRequestBody': {
-      method: 'POST',
-      url: graphQLEndPoint,
-      body: JSON.stringify({ query: authorQuery, variables: { "id": 124 } }),
-      params: parameters
-    },
-    'authorQueryUsingUrl': {
-      method: 'GET',
-      url: 'https://localhost:5001/api/Author/id/125',
-      body: null,
-      params: parameters
-    }
+    'bookQuery1': graphql.byPk(entities.Book, ['id', 'title'], { id: 1 }, { params: parameters }),
+    'bookQuery2': graphql.byPk(entities.Book, ['id', 'title'], { id: 2 }, { params: parameters }),
+    'notebookQuery': rest.get('Notebook', { id: 2 }, null, { params: parameters }),
+    'authorQueryUsingRequestBody': graphql.byPk(entities.Author, ['id', 'name'], { id: 124 }, { params: parameters }),
+    'authorQueryUsingUrl': rest.get('Author', { id: 125 }, null, { params: parameters })
   };
 
   // Performs all the GraphQL and REST requests in parallel
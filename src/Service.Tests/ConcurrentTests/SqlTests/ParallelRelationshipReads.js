@@ -0,0 +1,141 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { statusCodes, getResponseJson, checkNoErrors, checkStatusCodes, checkResponseBodies, checkGraphQLResponses, checkOutcomes, responseBodiesSatisfy } from '../Helper.js';
+import { rest, graphql, entities } from '../Requests.js';
+import http from 'k6/http';
+
+// Relationship traversal reads racing with mutations of the related rows. The publisher and the books whose
+// one-to-many relationship is traversed are created by the test through REST, so that deleting them does not
+// alter the seeded data. As DAB exposes no entity for the book_author_link table, books cannot be linked to their
+// authors through REST, so the many-to-many relationship is traversed on the seeded author 124 and its seeded books.
+
+// Names written by the REST updates racing with the reads. The name of the seeded author is restored by restoreSeededItems.
+const publisherNames = ["Relationship Publisher", "Relationship Publisher Renamed"];
+const authorNames = ["Aniruddh", "Aniruddh Renamed"];
+
+// Seeded author whose name is updated by the test and the seeded books it is linked to
+const seededAuthorId = 124;
+const seededAuthorBookIds = [2, 3, 4];
+
+const bookSelection = ['id', 'title', 'publisher_id', 'publishers { id name books { items { id } } }'];
+
+// Helper function to create an item through REST and to return the created item, or null when the creation fails
+const createItem = (entity, item) => {
+  const response = http.batch({ 'create': rest.post(entity, null, item) })['create'];
+  return response.status == statusCodes.Created ? getResponseJson(response).value[0] : null;
+};
+
+// Helper function to check whether the items of a relationship include an item with the given id
+const includesId = (connection, id) => connection != null && connection.items.some(item => item.id === id);
+
+// Helper function to validate the publisher of a book read with bookSelection
+const isConsistentBook = (book) => {
+  if (book == null) {
+    return false;
+  }
+
+  const publisher = book.publishers;
+  return publisher != null
+    && publisher.id === book.publisher_id
+    && publisherNames.includes(publisher.name)
+    && includesId(publisher.books, book.id);
+};
+
+// Helper function to validate the relationships of a publisher read with its books.
+// expectedBookCounts lists the numbers of books the publisher has before and after the racing delete.
+const isConsistentPublisher = (publisher, expectedBookCounts) => {
+  return publisher != null
+    && publisherNames.includes(publisher.name)
+    && expectedBookCounts.includes(publisher.books.items.length)
+    && publisher.books.items.every(book => book.publisher_id === publisher.id);
+};
+
+// Helper function to validate the many-to-many relationships of the seeded author read with its books and their authors
+const isConsistentAuthor = (author) => {
+  return author != null
+    && authorNames.includes(author.name)
+    && author.books.items.map(book => book.id).sort((a, b) => a - b).join(',') == seededAuthorBookIds.join(',')
+    && author.books.items.every(book => includesId(book.authors, author.id));
+};
+
+// Helper function to validate a seeded book read with its authors and their books
+const isConsistentSeededBook = (book) => {
+  return book != null
+    && includesId(book.authors, seededAuthorId)
+    && book.authors.items.every(author => includesId(author.books, book.id)
+      && (author.id !== seededAuthorId || authorNames.includes(author.name)));
+};
+
+// This test reads books, publishers and authors along with their relationships through GraphQL while
+// the related publisher and author are updated and a book is deleted through REST in parallel. The related rows
+// are a publisher with two books created by the test, and the seeded author 124 which wrote the seeded books 2, 3 and 4.
+// The exact nested values depend on the order in which the database processes the requests, so instead
+// of listing every possible response, each nested response is validated to be internally consistent:
+// - The publisher of a book is the row referenced by its publisher_id and lists the book among its books.
+// - The authors of a book list the book among their books, and the books of an author list the author.
+// - The number of related items and their names match one of the states before or after the mutations.
+export const validateParallelRelationshipReadsWithConcurrentMutations = () => {
+
+  const publisher = createItem('Publisher', { "name": publisherNames[0] });
+  const firstBook = publisher && createItem('Book', { "title": "Relationship Book 1", "publisher_id": publisher.id });
+  const secondBook = firstBook && createItem('Book', { "title": "Relationship Book 2", "publisher_id": publisher.id });
+
+  if (!checkOutcomes('Prepare the related rows', { publisher, firstBook, secondBook }, [secondBook ? [] : [{ publisher: publisher, firstBook: firstBook, secondBook: secondBook }]])) {
+    return;
+  }
+
+  const readNames = ['readFirstBookWithRelationships', 'readSecondBookWithRelationships', 'readPublisherWithBooks',
+    'readAuthorWithBooksAndAuthors', 'readSeededBookWithAuthors'];
+  const mutationNames = ['updatePublisherUsingRest', 'updateAuthorUsingRest', 'deleteSecondBookUsingRest'];
+  const queryNames = readNames.concat(mutationNames);
+
+  const expectedStatusCodes = {
+    'readFirstBookWithRelationships': statusCodes.Ok,
+    'readSecondBookWithRelationships': statusCodes.Ok,
+    'readPublisherWithBooks': statusCodes.Ok,
+    'readAuthorWithBooksAndAuthors': statusCodes.Ok,
+    'readSeededBookWithAuthors': statusCodes.Ok,
+    'updatePublisherUsingRest': statusCodes.Ok,
+    'updateAuthorUsingRest': statusCodes.Ok,
+    'deleteSecondBookUsingRest': statusCodes.NoContent
+  };
+
+  // The second book is deleted in parallel with its read, so it is either read with consistent relationships or not found
+  const nestedResponsesAreConsistent = responseBodiesSatisfy('nested responses are internally consistent', (responseJson, queryName) => {
+    const responseData = responseJson.data || {};
+    switch (queryName) {
+      case 'readFirstBookWithRelationships':
+        return isConsistentBook(responseData.book_by_pk);
+      case 'readSecondBookWithRelationships':
+        return responseData.book_by_pk === null || isConsistentBook(responseData.book_by_pk);
+      case 'readPublisherWithBooks':
+        return isConsistentPublisher(responseData.publisher_by_pk, [1, 2]);
+      case 'readAuthorWithBooksAndAuthors':
+        return isConsistentAuthor(responseData.author_by_pk);
+      case 'readSeededBookWithAuthors':
+        return isConsistentSeededBook(responseData.book_by_pk);
+      default:
+        return false;
+    }
+  });
+
+  const requests = {
+    'readFirstBookWithRelationships': graphql.byPk(entities.Book, bookSelection, { id: firstBook.id }),
+    'readSecondBookWithRelationships': graphql.byPk(entities.Book, bookSelection, { id: secondBook.id }),
+    'readPublisherWithBooks': graphql.byPk(entities.Publisher, ['id', 'name', 'books { items { id publisher_id } }'], { id: publisher.id }),
+    'readAuthorWithBooksAndAuthors': graphql.byPk(entities.Author, ['id', 'name', 'books { items { id authors { items { id } } } }'], { id: seededAuthorId }),
+    'readSeededBookWithAuthors': graphql.byPk(entities.Book, ['id', 'authors { items { id name books { items { id } } } }'], { id: seededAuthorBookIds[0] }),
+    'updatePublisherUsingRest': rest.patch('Publisher', { id: publisher.id }, { "name": publisherNames[1] }),
+    'updateAuthorUsingRest': rest.patch('Author', { id: seededAuthorId }, { "name": authorNames[1] }),
+    'deleteSecondBookUsingRest': rest.delete('Book', { id: secondBook.id })
+  };
+
+  // Performs all the GraphQL reads and REST mutations in parallel
+  const responses = http.batch(requests);
+
+  checkNoErrors(queryNames, responses);
+  checkStatusCodes(queryNames, responses, expectedStatusCodes);
+  checkResponseBodies(readNames, responses, nestedResponsesAreConsistent);
+  checkGraphQLResponses(queryNames, responses, { 'readSecondBookWithRelationships': ['book_by_pk'] });
+};
@@ -0,0 +1,169 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { generateAuthHeader, createPrincipal, statusCodes, errorCodes, restErrorResponse, graphQLErrorResponse, checkNoErrors, checkStatusCodes, checkResponseBodies, checkErrorContracts, checkGraphQLResponses } from '../Helper.js';
+import { rest, graphql, entities } from '../Requests.js';
+import { checkConsistency } from '../Consistency.js';
+import { satisfies } from '../Comparison.js';
+import http from 'k6/http';
+
+// These tests send requests in parallel on the same book under different roles and validate that each
+// response holds exactly the fields and the status code the permissions of its role allow, so that
+// authorization state leaking from one request to a concurrent one is detected. The roles of the Book entity are:
+// anonymous and authenticated                - Read all the fields.
+// test_role_with_excluded_fields             - Reads all the fields but publisher_id, i.e. fields.exclude of the read action.
+// test_role_with_noread                      - Creates, updates and deletes books but does not read them.
+// Requests under a role without read action or reading excluded fields fail with a 403 status code through REST
+// and with an AUTH_NOT_AUTHORIZED error through GraphQL, where the field is null as publisher_id is not nullable.
+
+const excludedFieldsRole = 'test_role_with_excluded_fields';
+const noReadRole = 'test_role_with_noread';
+
+// Error returned by DAB when a REST request is not allowed for the role
+const restAuthorizationError = restErrorResponse(errorCodes.AuthorizationCheckFailed, statusCodes.Forbidden, "Authorization Failure: Access Not Allowed.");
+
+// Error returned by DAB when a GraphQL request reads a field the role is not allowed to read
+const graphQLAuthorizationError = graphQLErrorResponse('book_by_pk', errorCodes.GraphQLNotAuthorized);
+
+// Helper function to get the parameters of a request sent under the given role. Anonymous requests are sent
+// without token, while custom roles are added to the roles of the principal so that DAB accepts the role header.
+const getRoleParameters = (role) => {
+  if (role == 'anonymous') {
+    return { headers: { 'content-type': 'application/json' } };
+  }
+
+  return { headers: generateAuthHeader(role, createPrincipal({ roles: ['anonymous', 'authenticated', role] })) };
+};
+
+// Helper function to build a REST request reading a book, optionally selecting the given fields
+const getRestReadRequest = (id, role, select = null) => {
+  return rest.get('Book', { id: id }, null, { select: select, params: getRoleParameters(role) });
+};
+
+// Helper function to build a GraphQL request reading the given fields of a book
+const getGraphQLReadRequest = (id, role, fields) => {
+  return graphql.byPk(entities.Book, fields, { id: id }, { params: getRoleParameters(role) });
+};
+
+// Helper function to build a matcher accepting any of the given titles
+const isOneOfTitles = (titles) => satisfies(`one of ${titles.join(', ')}`, title => titles.includes(title));
+
+// This test reads the same book in parallel through REST and GraphQL under each role, selecting either the
+// default fields or fields the role is not allowed to read. The requests of each role are expected to
+// return exactly the fields of the book their role reads or to fail, irrespective of the concurrent requests.
+export const validateParallelReadsUnderDifferentRoles = () => {
+
+  const bookId = 1;
+  const book = { "id": bookId, "title": "Awesome book", "publisher_id": 1234 };
+
+  const allowedQueryNames = ['readUsingRestAsAnonymous', 'readUsingRestAsAuthenticated', 'readUsingRestWithExcludedFields',
+    'readUsingGraphQLAsAnonymous', 'readUsingGraphQLWithExcludedFields'];
+  const deniedRestQueryNames = ['readExcludedFieldUsingRest', 'readUsingRestWithNoRead'];
+  const deniedGraphQLQueryNames = ['readExcludedFieldUsingGraphQL', 'readUsingGraphQLWithNoRead'];
+  const queryNames = allowedQueryNames.concat(deniedRestQueryNames, deniedGraphQLQueryNames);
+
+  const requests = {
+    'readUsingRestAsAnonymous': getRestReadRequest(bookId, 'anonymous'),
+    'readUsingRestAsAuthenticated': getRestReadRequest(bookId, 'authenticated'),
+    'readUsingRestWithExcludedFields': getRestReadRequest(bookId, excludedFieldsRole),
+    'readExcludedFieldUsingRest': getRestReadRequest(bookId, excludedFieldsRole, ['id', 'publisher_id']),
+    'readUsingRestWithNoRead': getRestReadRequest(bookId, noReadRole),
+    'readUsingGraphQLAsAnonymous': getGraphQLReadRequest(bookId, 'anonymous', ['id', 'title', 'publisher_id']),
+    'readUsingGraphQLWithExcludedFields': getGraphQLReadRequest(bookId, excludedFieldsRole, ['id', 'title']),
+    'readExcludedFieldUsingGraphQL': getGraphQLReadRequest(bookId, excludedFieldsRole, ['id', 'publisher_id']),
+    'readUsingGraphQLWithNoRead': getGraphQLReadRequest(bookId, noReadRole, ['id', 'title'])
+  };
+
+  const expectedStatusCodes = {
+    'readUsingRestAsAnonymous': statusCodes.Ok,
+    'readUsingRestAsAuthenticated': statusCodes.Ok,
+    'readUsingRestWithExcludedFields': statusCodes.Ok,
+    'readExcludedFieldUsingRest': statusCodes.Forbidden,
+    'readUsingRestWithNoRead': statusCodes.Forbidden,
+    'readUsingGraphQLAsAnonymous': statusCodes.Ok,
+    'readUsingGraphQLWithExcludedFields': statusCodes.Ok,
+    'readExcludedFieldUsingGraphQL': statusCodes.Ok,
+    'readUsingGraphQLWithNoRead': statusCodes.Ok
+  };
+
+  const expectedResponses = {
+    'readUsingRestAsAnonymous': { "value": [book] },
+    'readUsingRestAsAuthenticated': { "value": [book] },
+    'readUsingRestWithExcludedFields': { "value": [{ "id": bookId, "title": book.title }] },
+    'readExcludedFieldUsingRest': restAuthorizationError,
+    'readUsingRestWithNoRead': restAuthorizationError,
+    'readUsingGraphQLAsAnonymous': { "data": { "book_by_pk": book } },
+    'readUsingGraphQLWithExcludedFields': { "data": { "book_by_pk": { "id": bookId, "title": book.title } } },
+    'readExcludedFieldUsingGraphQL': graphQLAuthorizationError,
+    'readUsingGraphQLWithNoRead': graphQLAuthorizationError
+  };
+
+  // Performs all the GraphQL and REST requests in parallel
+  const responses = http.batch(requests);
+
+  checkNoErrors(allowedQueryNames, responses);
+  checkStatusCodes(queryNames, responses, expectedStatusCodes);
+  checkResponseBodies(queryNames, responses, expectedResponses);
+  checkErrorContracts(queryNames, responses);
+  checkGraphQLResponses(allowedQueryNames, responses);
+};
+
+// This test updates the title of the same book through REST and GraphQL under the role excluding publisher_id
+// from its read action, while the book is read under each role. The updates are expected to succeed and to return
+// the fields the role reads only, while each read returns the title before the updates or a title written by one of them
+// along with exactly the fields its role reads. Once the updates complete, the book holds the title of the last update.
+export const validateParallelUpdatesAndReadsUnderDifferentRoles = () => {
+
+  const bookId = 14;
+  const titles = ["Before Sunset, role based edition", "Before Sunset, excluded fields edition"];
+  const readableTitles = ["Before Sunset"].concat(titles);
+
+  const allowedQueryNames = ['updateUsingRestWithExcludedFields', 'updateUsingGraphQLWithExcludedFields',
+    'readUsingRestAsAnonymous', 'readUsingRestWithExcludedFields', 'readUsingGraphQLAsAuthenticated'];
+  const queryNames = allowedQueryNames.concat(['readUsingRestWithNoRead', 'readExcludedFieldUsingGraphQL']);
+
+  const requests = {
+    'updateUsingRestWithExcludedFields': rest.patch('Book', { id: bookId }, { "title": titles[0] }, { params: getRoleParameters(excludedFieldsRole) }),
+    'updateUsingGraphQLWithExcludedFields': graphql.update(entities.Book, ['id', 'title'], { id: bookId, item: { "title": titles[1] } }, { params: getRoleParameters(excludedFieldsRole) }),
+    'readUsingRestAsAnonymous': getRestReadRequest(bookId, 'anonymous'),
+    'readUsingRestWithExcludedFields': getRestReadRequest(bookId, excludedFieldsRole),
+    'readUsingRestWithNoRead': getRestReadRequest(bookId, noReadRole),
+    'readUsingGraphQLAsAuthenticated': getGraphQLReadRequest(bookId, 'authenticated', ['id', 'title', 'publisher_id']),
+    'readExcludedFieldUsingGraphQL': getGraphQLReadRequest(bookId, excludedFieldsRole, ['id', 'title', 'publisher_id'])
+  };
+
+  const expectedStatusCodes = {
+    'updateUsingRestWithExcludedFields': statusCodes.Ok,
+    'updateUsingGraphQLWithExcludedFields': statusCodes.Ok,
+    'readUsingRestAsAnonymous': statusCodes.Ok,
+    'readUsingRestWithExcludedFields': statusCodes.Ok,
+    'readUsingRestWithNoRead': statusCodes.Forbidden,
+    'readUsingGraphQLAsAuthenticated': statusCodes.Ok,
+    'readExcludedFieldUsingGraphQL': statusCodes.Ok
+  };
+
+  const expectedResponses = {
+    'updateUsingRestWithExcludedFields': { "value": [{ "id": bookId, "title": titles[0] }] },
+    'updateUsingGraphQLWithExcludedFields': { "data": { "updatebook": { "id": bookId, "title": titles[1] } } },
+    'readUsingRestAsAnonymous': { "value": [{ "id": bookId, "title": isOneOfTitles(readableTitles), "publisher_id": 1234 }] },
+    'readUsingRestWithExcludedFields': { "value": [{ "id": bookId, "title": isOneOfTitles(readableTitles) }] },
+    'readUsingRestWithNoRead': restAuthorizationError,
+    'readUsingGraphQLAsAuthenticated': { "data": { "book_by_pk": { "id": bookId, "title": isOneOfTitles(readableTitles), "publisher_id": 1234 } } },
+    'readExcludedFieldUsingGraphQL': graphQLAuthorizationError
+  };
+
+  // Performs all the GraphQL and REST requests in parallel
+  const responses = http.batch(requests);
+
+  checkNoErrors(allowedQueryNames, responses);
+  checkStatusCodes(queryNames, responses, expectedStatusCodes);
+  checkResponseBodies(queryNames, responses, expectedResponses);
+  checkErrorContracts(queryNames, responses);
+  checkGraphQLResponses(allowedQueryNames, responses);
+
+  // The updates do not return publisher_id, which is left unchanged by both of them
+  checkConsistency(responses, {
+    'updateUsingRestWithExcludedFields': { entity: 'Book', primaryKey: { id: bookId }, graphQLField: 'book_by_pk', fields: { "title": titles[0] } },
+    'updateUsingGraphQLWithExcludedFields': { entity: 'Book', primaryKey: { id: bookId }, graphQLField: 'book_by_pk', fields: { "title": titles[1] } }
+  });
+};
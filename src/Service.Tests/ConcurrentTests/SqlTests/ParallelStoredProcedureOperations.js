@@ -0,0 +1,150 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { statusCodes, getResponseJson, checkNoErrors, checkStatusCodes, checkResponseBodies, checkGraphQLResponses } from '../Helper.js';
+import { rest, graphql, entities, getStoredProcedureRestRequest, getStoredProcedureGraphQLRequest } from '../Requests.js';
+import { checkConsistency } from '../Consistency.js';
+import { satisfies } from '../Comparison.js';
+import http from 'k6/http';
+
+// This test executes the UpdateBookTitle stored procedure through REST and GraphQL on the same book
+// in parallel with reads of the book through the GetBook stored procedure and through the Book entity.
+// Each execution returns the row it updated, so it is expected to return the title it wrote,
+// while each read returns the title before the updates or the title written by one of them.
+// The final title of the book is validated to be the title written by one of the executions.
+export const validateParallelStoredProcedureUpdatesAndReads = () => {
+
+  const bookId = 14;
+  const seededTitle = "Before Sunset";
+  const titles = ["Before Midnight", "Before Dawn"];
+  const readableTitles = [seededTitle].concat(titles);
+  const isReadableTitle = satisfies(`one of ${readableTitles.join(', ')}`, title => readableTitles.includes(title));
+
+  const queryNames = ['updateBookTitleUsingRest', 'updateBookTitleUsingGraphQL', 'readBookUsingStoredProcedure', 'readBookUsingRest', 'readBookUsingGraphQL'];
+
+  const expectedStatusCodes = {
+    'updateBookTitleUsingRest': statusCodes.Created,
+    'updateBookTitleUsingGraphQL': statusCodes.Ok,
+    'readBookUsingStoredProcedure': statusCodes.Ok,
+    'readBookUsingRest': statusCodes.Ok,
+    'readBookUsingGraphQL': statusCodes.Ok
+  };
+
+  // The stored procedure executions return the first result set of the procedure, which is
+  // the updated row. REST returns it in the value array and GraphQL as a list.
+  const expectedResponses = {
+    'updateBookTitleUsingRest': {
+      "value": [{ "id": bookId, "title": titles[0], "publisher_id": 1234 }]
+    },
+    'updateBookTitleUsingGraphQL': {
+      "data": {
+        "executeUpdateBookTitle": [{ "id": bookId, "title": titles[1], "publisher_id": 1234 }]
+      }
+    },
+    'readBookUsingStoredProcedure': {
+      "value": [{ "id": bookId, "title": isReadableTitle, "publisher_id": 1234 }]
+    },
+    'readBookUsingRest': {
+      "value": [{ "id": bookId, "title": isReadableTitle, "publisher_id": 1234 }]
+    },
+    'readBookUsingGraphQL': {
+      "data": {
+        "book_by_pk": { "id": bookId, "title": isReadableTitle }
+      }
+    }
+  };
+
+  const requests = {
+    'updateBookTitleUsingRest': getStoredProcedureRestRequest('UpdateBookTitle', 'POST', { "id": bookId, "title": titles[0] }),
+    'updateBookTitleUsingGraphQL': getStoredProcedureGraphQLRequest('UpdateBookTitle', 'mutation', { "id": bookId, "title": titles[1] }, ['id', 'title', 'publisher_id']),
+    'readBookUsingStoredProcedure': getStoredProcedureRestRequest('GetBook', 'GET', { "id": bookId }),
+    'readBookUsingRest': rest.get('Book', { id: bookId }),
+    'readBookUsingGraphQL': graphql.byPk(entities.Book, ['id', 'title'], { id: bookId })
+  };
+
+  // Performs all the stored procedure executions and reads in parallel
+  const responses = http.batch(requests);
+
+  checkNoErrors(queryNames, responses);
+  checkStatusCodes(queryNames, responses, expectedStatusCodes);
+  checkResponseBodies(queryNames, responses, expectedResponses);
+  checkGraphQLResponses(queryNames, responses);
+
+  checkConsistency(responses, {
+    'updateBookTitleUsingRest': { entity: 'Book', primaryKey: { id: bookId }, graphQLField: 'book_by_pk', fields: { "title": titles[0] } },
+    'updateBookTitleUsingGraphQL': { entity: 'Book', primaryKey: { id: bookId }, graphQLField: 'book_by_pk', fields: { "title": titles[1] } }
+  });
+};
+
+// Helper function to count the books through the CountBooks stored procedure
+const countBooks = () => {
+  const request = getStoredProcedureRestRequest('CountBooks', 'POST');
+  const responseJson = getResponseJson(http.request(request.method, request.url, request.body, request.params));
+  return responseJson.value ? responseJson.value[0].total_books : null;
+};
+
+// This test executes the InsertBook stored procedure through REST and GraphQL in parallel with
+// executions of the CountBooks and GetBooks stored procedures reading the same table.
+// InsertBook does not return a result set, so its executions return an empty list of rows.
+// Each count and read observes some of the racing inserts, and once all of them complete,
+// the count is expected to include every insert.
+// The inserted books are deleted by teardownDatabaseState() as their ids are generated by the database.
+export const validateParallelStoredProcedureInsertsAndReads = () => {
+
+  const insertCount = 4;
+  const initialCount = countBooks();
+  const isObservedCount = (count) => typeof count == "number" && count >= initialCount && count <= initialCount + insertCount;
+  const observedCount = satisfies(`number between ${initialCount} and ${initialCount + insertCount}`, isObservedCount);
+
+  const insertNames = ['insertBookUsingRest1', 'insertBookUsingRest2', 'insertBookUsingGraphQL1', 'insertBookUsingGraphQL2'];
+  const readNames = ['countBooksUsingRest', 'countBooksUsingGraphQL', 'readBooksUsingGraphQL'];
+  const queryNames = insertNames.concat(readNames);
+
+  const expectedStatusCodes = {
+    'insertBookUsingRest1': statusCodes.Created,
+    'insertBookUsingRest2': statusCodes.Created,
+    'insertBookUsingGraphQL1': statusCodes.Ok,
+    'insertBookUsingGraphQL2': statusCodes.Ok,
+    'countBooksUsingRest': statusCodes.Created,
+    'countBooksUsingGraphQL': statusCodes.Ok,
+    'readBooksUsingGraphQL': statusCodes.Ok
+  };
+
+  const expectedResponses = {
+    'insertBookUsingRest1': { "value": [] },
+    'insertBookUsingRest2': { "value": [] },
+    'insertBookUsingGraphQL1': { "data": { "executeInsertBook": [] } },
+    'insertBookUsingGraphQL2': { "data": { "executeInsertBook": [] } },
+    'countBooksUsingRest': { "value": [{ "total_books": observedCount }] },
+    'countBooksUsingGraphQL': { "data": { "executeCountBooks": [{ "total_books": observedCount }] } },
+    'readBooksUsingGraphQL': {
+      "data": {
+        "executeGetBooks": satisfies(`list of between ${initialCount} and ${initialCount + insertCount} books`,
+          books => Array.isArray(books) && isObservedCount(books.length))
+      }
+    }
+  };
+
+  const requests = {
+    'insertBookUsingRest1': getStoredProcedureRestRequest('InsertBook', 'POST', { "title": "Procedure Book 1", "publisher_id": 1234 }),
+    'insertBookUsingRest2': getStoredProcedureRestRequest('InsertBook', 'POST', { "title": "Procedure Book 2", "publisher_id": 1234 }),
+    'insertBookUsingGraphQL1': getStoredProcedureGraphQLRequest('InsertBook', 'mutation', { "title": "Procedure Book 3", "publisher_id": 1234 }, ['result']),
+    'insertBookUsingGraphQL2': getStoredProcedureGraphQLRequest('InsertBook', 'mutation', { "title": "Procedure Book 4", "publisher_id": 1234 }, ['result']),
+    'countBooksUsingRest': getStoredProcedureRestRequest('CountBooks', 'POST'),
+    'countBooksUsingGraphQL': getStoredProcedureGraphQLRequest('CountBooks', 'mutation', {}, ['total_books']),
+    'readBooksUsingGraphQL': getStoredProcedureGraphQLRequest('GetBooks', 'query', {}, ['id'])
+  };
+
+  // Performs all the stored procedure executions in parallel
+  const responses = http.batch(requests);
+
+  checkNoErrors(queryNames, responses);
+  checkStatusCodes(queryNames, responses, expectedStatusCodes);
+  checkResponseBodies(queryNames, responses, expectedResponses);
+  checkGraphQLResponses(queryNames, responses);
+
+  // Once all the inserts completed, every one of them is counted
+  const finalCountRequest = getStoredProcedureRestRequest('CountBooks', 'POST');
+  const finalResponses = { 'countBooksAfterInserts': http.request(finalCountRequest.method, finalCountRequest.url, finalCountRequest.body, finalCountRequest.params) };
+  checkResponseBodies(['countBooksAfterInserts'], finalResponses, { 'countBooksAfterInserts': { "value": [{ "total_books": initialCount + insertCount }] } });
+};
@@ -1,8 +1,9 @@
 // Copyright (c) Microsoft Corporation.
 // Licensed under the MIT License.
 
-import { generateEasyAuthHeader, validateResponseBodies, validateStatusCode, validateNoErrorsInResponse, graphQLEndPoint, statusCodes } from '../Helper.js';
-import { check } from 'k6';
+import { statusCodes, checkNoErrors, checkStatusCodes, checkResponseBodies, checkGraphQLResponses } from '../Helper.js';
+import { rest, graphql, entities } from '../Requests.js';
+import { checkConsistency } from '../Consistency.js';
 import http from 'k6/http';
 
 // This test performs an update mutation and read query that act on the same item
@@ -10,31 +11,10 @@ import http from 'k6/http';
 // So, the responses are validated against two sets of possible responses.
 export const validateParallelUpdateAndReadOperationsOnSameItemUsingGraphQL = () => {
 
-  let headers = generateEasyAuthHeader('authenticated');
-
-  const parameters = {
-    headers: headers
-  }
-
-  let comicQuery = `query getComicById($id: Int!) {
-        comic_by_pk(id: $id) {
-          id
-          title
-        }
-      }
-      `;
-
   let comicQueryVariable = {
     "id": 1
   };
 
-  let updateComicMutation = `mutation updateComicById($id: Int!, $item: UpdateComicInput!){
-        updateComic (id: $id, item: $item){
-          id
-          title
-        }
-      }`;
-
   let updateComicMutationVariable = {
     "id": 1,
     "item": {
@@ -95,28 +75,22 @@ export const validateParallelUpdateAndReadOperationsOnSameItemUsingGraphQL = ()
   };
 
   const requests = {
-    'comicQuery': {
-      method: 'POST',
-      url: graphQLEndPoint,
-      body: JSON.stringify({ query: comicQuery, variables: comicQueryVariable }),
-      params: parameters
-    },
-    'updateComicMutation': {
-      method: 'POST',
-      url: graphQLEndPoint,
-      body: JSON.stringify({ query: updateComicMutation, variables: updateComicMutationVariable }),
-      params: parameters
-    }
+    'comicQuery': graphql.byPk(entities.Comic, ['id', 'title'], comicQueryVariable),
+    'updateComicMutation': graphql.update(entities.Comic, ['id', 'title'], updateComicMutationVariable)
   };
 
   // Performs all the GraphQL and REST requests in parallel
   const responses = http.batch(requests);
 
   // Validations for the API responses
-  check(responses, {
-    'Validate no errors': validateNoErrorsInResponse(queryNames, responses),
-    'Validate expected status code': validateStatusCode(queryNames, responses, expectedStatusCodes),
-    'Validate API response': validateResponseBodies(queryNames, responses, expectedResponse1, expectedResponse2)
+  checkNoErrors(queryNames, responses);
+  checkStatusCodes(queryNames, responses, expectedStatusCodes);
+  checkResponseBodies(queryNames, responses, expectedResponse1, expectedResponse2);
+  checkGraphQLResponses(queryNames, responses);
+
+  // The comic re-read through REST and GraphQL is expected to hold the title written by the mutation
+  checkConsistency(responses, {
+    'updateComicMutation': { entity: 'Comic', primaryKey: { id: 1 }, graphQLField: 'comic_by_pk', fields: { "title": "Star Wars" } }
   });
 };
 
@@ -124,25 +98,9 @@ export const validateParallelUpdateAndReadOperationsOnSameItemUsingGraphQL = ()
 // The response for these requests depends on the execution order of the requests.
 // So, the responses are validated against two sets of possible responses.
 export const validateParallelUpdateAndReadOperationsOnSameItemUsingRest = () => {
-  let headers = generateEasyAuthHeader('authenticated');
-
-  const parameters = {
-    headers: headers
-  }
-
-  let updatePublisherRestUrl = 'https://localhost:5001/api/Publisher/id/1234';
-
-  let updatePublisherRequestBody = `{
+  let updatePublisherRequestBody = {
     "name": "Huge Company"
-  }`;
-
-  let publisherQuery = `query getPublisherById($id: Int!) {
-    publisher_by_pk(id: $id) {
-      id
-      name
-    }
-  }
-  `;
+  };
 
   let publisherQueryVariable = {
     "id": 1234
@@ -201,28 +159,21 @@ export const validateParallelUpdateAndReadOperationsOnSameItemUsingRest = () =>
   };
 
   const requests = {
-    'publisherQuery': {
-      method: 'POST',
-      url: graphQLEndPoint,
-      body: JSON.stringify({ query: publisherQuery, variables: publisherQueryVariable }),
-      params: parameters
-    },
-    'updatePublisherUsingRest': {
-      method: 'PATCH',
-      url: updatePublisherRestUrl,
-      body: updatePublisherRequestBody,
-      params: parameters
-    }
+    'publisherQuery': graphql.byPk(entities.Publisher, ['id', 'name'], publisherQueryVariable),
+    'updatePublisherUsingRest': rest.patch('Publisher', { id: 1234 }, updatePublisherRequestBody)
   };
 
   // Performs all the GraphQL and REST requests in parallel
   const responses = http.batch(requests);
 
   // Validations for the API responses
-  check(responses, {
-    'Validate no errors': validateNoErrorsInResponse(queryNames, responses),
-    'Validate expected status code': validateStatusCode(queryNames, responses, expectedStatusCodes),
-    'Validate API response': validateResponseBodies(queryNames, responses, expectedResponse1, expectedResponse2)
+  checkNoErrors(queryNames, responses);
+  checkStatusCodes(queryNames, responses, expectedStatusCodes);
+  checkResponseBodies(queryNames, responses, expectedResponse1, expectedResponse2);
+  checkGraphQLResponses(queryNames, responses);
+
+  // The publisher re-read through REST and GraphQL is expected to hold the name written by the update
+  checkConsistency(responses, {
+    'updatePublisherUsingRest': { entity: 'Publisher', primaryKey: { id: 1234 }, graphQLField: 'publisher_by_pk', fields: { "name": "Huge Company" } }
   });
-
 };
@@ -0,0 +1,137 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { statusCodes, checkNoErrors, checkStatusCodes, checkResponseBodies, checkGraphQLResponses } from '../Helper.js';
+import { rest, graphql, entities } from '../Requests.js';
+import { checkConsistency } from '../Consistency.js';
+import { satisfies } from '../Comparison.js';
+import http from 'k6/http';
+
+// These tests act on the books_view_all entity, which is backed by a view selecting all the columns of
+// the books table and is keyed by the id of the book. Reads and writes through the view entity are
+// performed in parallel with writes through the Book entity on the same book.
+
+// Fields selected on the books read and written through GraphQL
+const bookFields = ['id', 'title', 'publisher_id'];
+
+// Helper function to build a matcher accepting any of the given titles
+const isOneOfTitles = (titles) => satisfies(`one of ${titles.join(', ')}`, title => titles.includes(title));
+
+// This test updates the title of a book through REST and GraphQL on the Book entity while the book is read
+// through REST and GraphQL on the books_view_all entity. Each read through the view returns the title
+// before the updates or a title written by one of them, i.e. only committed data.
+// Once the updates complete, the book re-read through the view holds the title of the last update.
+export const validateParallelViewReadsWithBaseTableUpdates = () => {
+
+  const bookId = 2;
+  const titles = ["Awesome book revisited", "Also Awesome book, second edition"];
+  const readableTitles = ["Also Awesome book"].concat(titles);
+
+  const queryNames = ['updateBookUsingRest', 'updateBookUsingGraphQL', 'readViewUsingRest', 'readViewUsingGraphQL'];
+
+  const expectedStatusCodes = {
+    'updateBookUsingRest': statusCodes.Ok,
+    'updateBookUsingGraphQL': statusCodes.Ok,
+    'readViewUsingRest': statusCodes.Ok,
+    'readViewUsingGraphQL': statusCodes.Ok
+  };
+
+  const expectedResponses = {
+    'updateBookUsingRest': {
+      "value": [{ "id": bookId, "title": titles[0], "publisher_id": 1234 }]
+    },
+    'updateBookUsingGraphQL': {
+      "data": {
+        "updatebook": { "id": bookId, "title": titles[1], "publisher_id": 1234 }
+      }
+    },
+    'readViewUsingRest': {
+      "value": [{ "id": bookId, "title": isOneOfTitles(readableTitles), "publisher_id": 1234 }]
+    },
+    'readViewUsingGraphQL': {
+      "data": {
+        "books_view_all_by_pk": { "id": bookId, "title": isOneOfTitles(readableTitles), "publisher_id": 1234 }
+      }
+    }
+  };
+
+  const requests = {
+    'updateBookUsingRest': rest.patch('Book', { id: bookId }, { "title": titles[0] }),
+    'updateBookUsingGraphQL': graphql.update(entities.Book, bookFields, { "id": bookId, "item": { "title": titles[1] } }),
+    'readViewUsingRest': rest.get('books_view_all', { id: bookId }),
+    'readViewUsingGraphQL': graphql.byPk(entities.BooksViewAll, bookFields, { "id": bookId })
+  };
+
+  // Performs all the GraphQL and REST requests in parallel
+  const responses = http.batch(requests);
+
+  checkNoErrors(queryNames, responses);
+  checkStatusCodes(queryNames, responses, expectedStatusCodes);
+  checkResponseBodies(queryNames, responses, expectedResponses);
+  checkGraphQLResponses(queryNames, responses);
+
+  // The updates are applied to the books table and re-read through the view
+  checkConsistency(responses, {
+    'updateBookUsingRest': { entity: 'books_view_all', primaryKey: { id: bookId }, graphQLField: 'books_view_all_by_pk', fields: { "title": titles[0] } },
+    'updateBookUsingGraphQL': { entity: 'books_view_all', primaryKey: { id: bookId }, graphQLField: 'books_view_all_by_pk', fields: { "title": titles[1] } }
+  });
+};
+
+// This test updates the title of the same book through REST and GraphQL on the updatable books_view_all
+// entity and through REST on the Book entity, while the book is read through the view.
+// Each update is expected to succeed and to return the title it wrote, the read returns committed data only
+// and, once the updates complete, the book re-read through the Book entity holds the title of the last update.
+export const validateParallelUpdatesThroughViewAndBaseTable = () => {
+
+  const bookId = 3;
+  const titles = ["Great wall of china revisited", "Great wall of china, second edition", "Great wall of china illustrated"];
+  const readableTitles = ["Great wall of china explained"].concat(titles);
+
+  const queryNames = ['updateViewUsingRest', 'updateViewUsingGraphQL', 'updateBookUsingRest', 'readViewUsingRest'];
+
+  const expectedStatusCodes = {
+    'updateViewUsingRest': statusCodes.Ok,
+    'updateViewUsingGraphQL': statusCodes.Ok,
+    'updateBookUsingRest': statusCodes.Ok,
+    'readViewUsingRest': statusCodes.Ok
+  };
+
+  const expectedResponses = {
+    'updateViewUsingRest': {
+      "value": [{ "id": bookId, "title": titles[0], "publisher_id": 2345 }]
+    },
+    'updateViewUsingGraphQL': {
+      "data": {
+        "updatebooks_view_all": { "id": bookId, "title": titles[1], "publisher_id": 2345 }
+      }
+    },
+    'updateBookUsingRest': {
+      "value": [{ "id": bookId, "title": titles[2], "publisher_id": 2345 }]
+    },
+    'readViewUsingRest': {
+      "value": [{ "id": bookId, "title": isOneOfTitles(readableTitles), "publisher_id": 2345 }]
+    }
+  };
+
+  const requests = {
+    'updateViewUsingRest': rest.patch('books_view_all', { id: bookId }, { "title": titles[0] }),
+    'updateViewUsingGraphQL': graphql.update(entities.BooksViewAll, bookFields, { "id": bookId, "item": { "title": titles[1] } }),
+    'updateBookUsingRest': rest.patch('Book', { id: bookId }, { "title": titles[2] }),
+    'readViewUsingRest': rest.get('books_view_all', { id: bookId })
+  };
+
+  // Performs all the GraphQL and REST requests in parallel
+  const responses = http.batch(requests);
+
+  checkNoErrors(queryNames, responses);
+  checkStatusCodes(queryNames, responses, expectedStatusCodes);
+  checkResponseBodies(queryNames, responses, expectedResponses);
+  checkGraphQLResponses(queryNames, responses);
+
+  // The updates through the view are applied to the books table, which is re-read through the Book entity
+  checkConsistency(responses, {
+    'updateViewUsingRest': { entity: 'Book', primaryKey: { id: bookId }, graphQLField: 'book_by_pk', fields: { "title": titles[0] } },
+    'updateViewUsingGraphQL': { entity: 'Book', primaryKey: { id: bookId }, graphQLField: 'book_by_pk', fields: { "title": titles[1] } },
+    'updateBookUsingRest': { entity: 'Book', primaryKey: { id: bookId }, graphQLField: 'book_by_pk', fields: { "title": titles[2] } }
+  });
+};
@@ -0,0 +1,87 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import http from 'k6/http';
+import { check } from 'k6';
+import { validateStatusCode, statusCodes } from '../Helper.js';
+import { rest, graphql, entities } from '../Requests.js';
+import { endpointTypeTag, endpointTypes, toLoadScenarios, toLatencyThresholds, toLoadSummary } from '../LoadOptions.js';
+import { setupDatabaseState, teardownDatabaseState } from './DatabaseState.js';
+
+// Load test measuring the latency of DAB while the workload below is sent by many virtual users.
+// Unlike test.js, which validates the correctness of racing requests, this test only validates
+// the status codes of the responses and constrains the latency of each endpoint type.
+// See LoadOptions.js for the environment variables configuring the load.
+//
+// DAB_LOAD_BASELINE - Path of the baseline the latencies are compared against. Defaults to LoadBaseline.json.
+// DAB_LOAD_SUMMARY  - Path of the summary written at the end of the run. Defaults to load-summary.json.
+//                     The summary can be copied over the baseline to accept the measured latencies.
+
+// The baseline can only be read in the init context, so it is loaded when the test is initialized
+const baseline = JSON.parse(open(__ENV.DAB_LOAD_BASELINE || './LoadBaseline.json'));
+
+// The batch and batchPerHost options allow all the requests of the workload to run in parallel.
+// The p(95) and p(99) trend stats are required to compare the latencies against the baseline.
+export const options = {
+  batch: 6,
+  batchPerHost: 6,
+  scenarios: toLoadScenarios('runWorkload'),
+  thresholds: toLatencyThresholds(baseline),
+  summaryTrendStats: ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'p(99)']
+};
+
+// Helper function to tag a request of the workload with its endpoint type
+const toWorkloadRequest = (request, endpointType) => {
+  let tags = {};
+  tags[endpointTypeTag] = endpointType;
+  request.params.tags = tags;
+  return request;
+};
+
+// The workload mixes reads and mutations through REST and GraphQL. The mutations either create
+// publishers, which are deleted by teardown(), or write the seeded value of an item, so that
+// the database is left in its seeded state.
+const queryNames = ['bookQuery', 'authorQuery', 'authorQueryUsingUrl', 'notebookQueryUsingUrl', 'createPublisher', 'updatePublisherUsingRest'];
+
+const requests = {
+  'bookQuery': toWorkloadRequest(graphql.byPk(entities.Book, ['id', 'title'], { "id": 1 }), endpointTypes.GraphQLRead),
+  'authorQuery': toWorkloadRequest(graphql.byPk(entities.Author, ['id', 'name'], { "id": 124 }), endpointTypes.GraphQLRead),
+  'authorQueryUsingUrl': toWorkloadRequest(rest.get('Author', { id: 125 }), endpointTypes.RestRead),
+  'notebookQueryUsingUrl': toWorkloadRequest(rest.get('Notebook', { id: 2 }, null, { role: 'anonymous' }), endpointTypes.RestRead),
+  'createPublisher': toWorkloadRequest(graphql.create(entities.Publisher, ['id', 'name'], { "item": { "name": "Load Publisher" } }), endpointTypes.GraphQLMutation),
+  'updatePublisherUsingRest': toWorkloadRequest(rest.patch('Publisher', { id: 1234 }, { "name": "Big Company" }), endpointTypes.RestMutation)
+};
+
+const expectedStatusCodes = {
+  'bookQuery': statusCodes.Ok,
+  'authorQuery': statusCodes.Ok,
+  'authorQueryUsingUrl': statusCodes.Ok,
+  'notebookQueryUsingUrl': statusCodes.Ok,
+  'createPublisher': statusCodes.Ok,
+  'updatePublisherUsingRest': statusCodes.Ok
+};
+
+// Restores the seeded items and captures the state of the database so that
+// the publishers created by the workload can be deleted by teardown()
+export function setup() {
+  return setupDatabaseState();
+}
+
+// Sends all the requests of the workload in parallel. The failed checks are not logged as a
+// diagnostic would be printed for each iteration, the failure rate is reported by the summary instead.
+export function runWorkload() {
+  const responses = http.batch(requests);
+  check(responses, {
+    'Validate expected status code': (responses) => validateStatusCode(queryNames, responses, expectedStatusCodes)
+  });
+}
+
+// Deletes the publishers created by the workload and restores the seeded items
+export function teardown(data) {
+  teardownDatabaseState(data);
+}
+
+// Reports the latency of each endpoint type compared against the baseline
+export function handleSummary(data) {
+  return toLoadSummary(data, baseline, __ENV.DAB_LOAD_SUMMARY || 'load-summary.json');
+}
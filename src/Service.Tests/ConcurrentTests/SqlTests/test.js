@@ -4,32 +4,90 @@
 import { validateParallelReadOperations } from './ParallelReadsTestCase.js';
 import { validateParallelCRUDOperations } from './ParallelCrudOperationsTestCase.js';
 import { validateParallelDeleteOperationsOnSameItem } from './ParallelDeleteOnSameItem.js';
-import { validateParallelUpdateOperationsOnSameItem } from './ParallelUpdatesOnSameItem.js';
 import { validateParallelUpdateAndReadOperationsOnSameItemUsingGraphQL, validateParallelUpdateAndReadOperationsOnSameItemUsingRest } from './ParallelUpdateAndReadOnSameItem.js';
-import { validateParallelCreateOperationsWhenPrimaryKeyIsAutogenerated, valdiateParallelCreateOperationsWherePrimaryKeyIsNotAutogenerated } from './ParallelCreateOperations.js';
+import { validateParallelCreateOperationsWhenPrimaryKeyIsAutogenerated, valdiateParallelCreateOperationsWherePrimaryKeyIsNotAutogenerated, validateParallelCreateOperationsWithManyWritersWhenPrimaryKeyIsAutogenerated, validateParallelCreateOperationsWithManyWritersWherePrimaryKeyIsNotAutogenerated } from './ParallelCreateOperations.js';
+import { validateParallelDeleteOperationsWithDatabasePolicy } from './ParallelDeletesWithDatabasePolicy.js';
+import { validateParallelStoredProcedureUpdatesAndReads, validateParallelStoredProcedureInsertsAndReads } from './ParallelStoredProcedureOperations.js';
+import { validateParallelMultipleCreateOperationsWithSharedRelatedRows } from './ParallelMultipleCreateOperations.js';
+import { validateParallelRelationshipReadsWithConcurrentMutations } from './ParallelRelationshipReads.js';
+import { validateParallelViewReadsWithBaseTableUpdates, validateParallelUpdatesThroughViewAndBaseTable } from './ParallelViewOperations.js';
+import { validateParallelRestPaginationWithConcurrentInsertsAndDeletes, validateParallelGraphQLPaginationWithConcurrentInsertsAndDeletes } from './ParallelPaginationOperations.js';
+import { validateParallelReadsUnderDifferentRoles, validateParallelUpdatesAndReadsUnderDifferentRoles } from './ParallelRoleBasedOperations.js';
+import { validateParallelRequestsOnMissingItems, validateParallelRequestsWithInvalidInput } from './ParallelErrorResponses.js';
+import { declarativeTestCases } from './DeclarativeScenarios.js';
+import { setupDatabaseState, teardownDatabaseState, restoreSeededItems } from './DatabaseState.js';
+import { selectTestCases, toScenarios, toThresholds, getTestCaseOfScenario } from '../ScenarioOptions.js';
+import { databaseFeatures, isSupportedByDatabase } from '../DatabaseOptions.js';
+import { runInScenarioGroup, toConsoleSummary } from '../Reports.js';
+import exec from 'k6/execution';
+
+// Each test case runs as a k6 scenario of its own, named after the test case and tagged with the
+// protocols and operations it exercises. The test cases to run can be selected by name or by tag,
+// see ScenarioOptions.js for the supported environment variables. The test cases depending on features
+// the database under test does not support are skipped, see DatabaseOptions.js.
+const testCases = [
+  { name: 'ParallelReadOperations', run: validateParallelReadOperations, tags: { protocols: 'graphql,rest', operations: 'read' } },
+  { name: 'ParallelCRUDOperations', run: validateParallelCRUDOperations, tags: { protocols: 'graphql,rest', operations: 'create,read,update,delete' } },
+  { name: 'ParallelUpdateAndReadOnSameItemUsingGraphQL', run: validateParallelUpdateAndReadOperationsOnSameItemUsingGraphQL, tags: { protocols: 'graphql', operations: 'read,update' } },
+  { name: 'ParallelUpdateAndReadOnSameItemUsingRest', run: validateParallelUpdateAndReadOperationsOnSameItemUsingRest, tags: { protocols: 'graphql,rest', operations: 'read,update' } },
+  { name: 'ParallelCreateOperationsWhenPrimaryKeyIsAutogenerated', run: validateParallelCreateOperationsWhenPrimaryKeyIsAutogenerated, tags: { protocols: 'graphql,rest', operations: 'create' } },
+  { name: 'ParallelCreateOperationsWherePrimaryKeyIsNotAutogenerated', run: valdiateParallelCreateOperationsWherePrimaryKeyIsNotAutogenerated, tags: { protocols: 'rest', operations: 'create' } },
+  { name: 'ParallelCreateOperationsWithManyWritersWhenPrimaryKeyIsAutogenerated', run: validateParallelCreateOperationsWithManyWritersWhenPrimaryKeyIsAutogenerated, tags: { protocols: 'graphql', operations: 'create' } },
+  { name: 'ParallelCreateOperationsWithManyWritersWherePrimaryKeyIsNotAutogenerated', run: validateParallelCreateOperationsWithManyWritersWherePrimaryKeyIsNotAutogenerated, tags: { protocols: 'rest', operations: 'create' } },
+  { name: 'ParallelDeleteOperationsOnSameItem', run: validateParallelDeleteOperationsOnSameItem, tags: { protocols: 'graphql,rest', operations: 'delete' } },
+  { name: 'ParallelDeleteOperationsWithDatabasePolicy', run: validateParallelDeleteOperationsWithDatabasePolicy, tags: { protocols: 'rest', operations: 'read,delete' } },
+  { name: 'ParallelRestPaginationWithConcurrentInsertsAndDeletes', run: validateParallelRestPaginationWithConcurrentInsertsAndDeletes, tags: { protocols: 'rest', operations: 'read,create,delete' } },
+  { name: 'ParallelGraphQLPaginationWithConcurrentInsertsAndDeletes', run: validateParallelGraphQLPaginationWithConcurrentInsertsAndDeletes, tags: { protocols: 'graphql', operations: 'read,create,delete' } },
+  { name: 'ParallelStoredProcedureUpdatesAndReads', run: validateParallelStoredProcedureUpdatesAndReads, tags: { protocols: 'graphql,rest', operations: 'execute,read' }, features: [databaseFeatures.StoredProcedures] },
+  { name: 'ParallelStoredProcedureInsertsAndReads', run: validateParallelStoredProcedureInsertsAndReads, tags: { protocols: 'graphql,rest', operations: 'execute,read' }, features: [databaseFeatures.StoredProcedures] },
+  { name: 'ParallelViewReadsWithBaseTableUpdates', run: validateParallelViewReadsWithBaseTableUpdates, tags: { protocols: 'graphql,rest', operations: 'read,update' } },
+  { name: 'ParallelUpdatesThroughViewAndBaseTable', run: validateParallelUpdatesThroughViewAndBaseTable, tags: { protocols: 'graphql,rest', operations: 'read,update' } },
+  { name: 'ParallelMultipleCreateOperationsWithSharedRelatedRows', run: validateParallelMultipleCreateOperationsWithSharedRelatedRows, tags: { protocols: 'graphql', operations: 'create,read' }, features: [databaseFeatures.MultipleCreate] },
+  { name: 'ParallelRelationshipReadsWithConcurrentMutations', run: validateParallelRelationshipReadsWithConcurrentMutations, tags: { protocols: 'graphql,rest', operations: 'read,update,delete' } },
+  { name: 'ParallelReadsUnderDifferentRoles', run: validateParallelReadsUnderDifferentRoles, tags: { protocols: 'graphql,rest', operations: 'read' } },
+  { name: 'ParallelUpdatesAndReadsUnderDifferentRoles', run: validateParallelUpdatesAndReadsUnderDifferentRoles, tags: { protocols: 'graphql,rest', operations: 'read,update' } },
+  { name: 'ParallelRequestsOnMissingItems', run: validateParallelRequestsOnMissingItems, tags: { protocols: 'graphql,rest', operations: 'read,update,delete' } },
+  { name: 'ParallelRequestsWithInvalidInput', run: validateParallelRequestsWithInvalidInput, tags: { protocols: 'rest', operations: 'create,read' } }
+].concat(declarativeTestCases);
+
+const selectedTestCases = selectTestCases(testCases, isSupportedByDatabase);
 
 // The batch and batchPerHost options is used to configure the 
 // number of parallel requests and connections respectively
-// To ensure all the requests run in parallel, the value is set to number of requests performed.
+// To ensure all the requests run in parallel, the value is set to the largest number of requests performed in a batch.
 // The thresholds property declares the condition to determine success or failure of the test.
 // As this test is intended to validate the correctness of API responses, 
-// all the checks must succeed to declare the test successful.
+// all the checks of each test case must succeed to declare the test successful.
 export const options = {
-  batch: 5,
-  batchPerHost: 5,
-  thresholds: {
-    checks: ['rate == 1.00']
-  }
+  batch: 10,
+  batchPerHost: 10,
+  scenarios: toScenarios(selectedTestCases, 'runTestCase'),
+  thresholds: toThresholds(selectedTestCases)
+}
+
+// Restores the items mutated by the test cases and captures the state
+// of the database before the test cases run
+export function setup() {
+  return setupDatabaseState();
+}
+
+// Runs the test case of the current scenario. Each test case receives the data
+// returned by setup() describing the database state prepared for the run.
+export function runTestCase(data) {
+  const testCase = getTestCaseOfScenario(selectedTestCases, exec.scenario.name);
+
+  // The seeded items are restored before each test case so that
+  // the test cases do not depend on the order in which they run.
+  restoreSeededItems();
+  runInScenarioGroup(testCase.name, () => testCase.run(data));
 }
 
-export default function () {
-  validateParallelReadOperations();
-  validateParallelCRUDOperations();
-  validateParallelUpdateOperationsOnSameItem();
-  validateParallelUpdateAndReadOperationsOnSameItemUsingGraphQL();
-  validateParallelUpdateAndReadOperationsOnSameItemUsingRest();
-  validateParallelCreateOperationsWhenPrimaryKeyIsAutogenerated();
-  valdiateParallelCreateOperationsWherePrimaryKeyIsNotAutogenerated();
-  validateParallelDeleteOperationsOnSameItem();
-
-};
+// Deletes the items created by the test cases and restores the seeded items
+export function teardown(data) {
+  teardownDatabaseState(data);
+}
+
+// Summarizes the checks of each test case. The reports are built from the k6 JSON output, see Reports.js
+export function handleSummary(data) {
+  return toConsoleSummary(data, selectedTestCases.map(testCase => testCase.name));
+}
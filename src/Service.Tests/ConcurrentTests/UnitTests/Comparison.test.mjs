@@ -0,0 +1,62 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isDeepEqual, findFirstMismatch, ignore, anyNumber, anyString, isoDate, matchesRegex, unordered, ignoringPaths } from '../Comparison.js';
+
+describe('isDeepEqual', () => {
+  it('matches equal nested objects', () => {
+    assert.ok(isDeepEqual({ "value": [{ "id": 1, "name": "Big Company" }] }, { "value": [{ "id": 1, "name": "Big Company" }] }));
+  });
+
+  it('compares values with strict typing', () => {
+    assert.ok(!isDeepEqual({ "id": 1 }, { "id": "1" }));
+    assert.ok(!isDeepEqual({ "id": null }, { "id": 0 }));
+  });
+
+  it('rejects missing and extra fields', () => {
+    assert.ok(!isDeepEqual({ "id": 1, "name": "Big Company" }, { "id": 1 }));
+    assert.ok(!isDeepEqual({ "id": 1 }, { "id": 1, "name": "Big Company" }));
+  });
+
+  it('compares arrays in order unless they are unordered', () => {
+    assert.ok(!isDeepEqual([1, 2], [2, 1]));
+    assert.ok(isDeepEqual(unordered([1, 2]), [2, 1]));
+    assert.ok(isDeepEqual({ "value": [1, 2] }, { "value": [2, 1] }, { unorderedArrays: true }));
+  });
+
+  it('matches unordered items accepted by several expected items', () => {
+    assert.ok(isDeepEqual(unordered([anyNumber(), 1]), [1, 2]));
+    assert.ok(isDeepEqual(unordered([{ "id": anyNumber() }, { "id": 1 }, { "id": anyNumber() }]), [{ "id": 1 }, { "id": 2 }, { "id": 3 }]));
+    assert.ok(!isDeepEqual(unordered([anyNumber(), 1, 1]), [1, 2, 3]));
+    assert.equal(findFirstMismatch(unordered([anyNumber(), 1, 1]), [1, 2, 3]).path, '$[2]');
+  });
+
+  it('validates generated fields with matchers', () => {
+    const expected = { "id": anyNumber(), "name": anyString(), "birthdate": isoDate(), "title": matchesRegex(/^Notebook/), "nextLink": ignore };
+    assert.ok(isDeepEqual(expected, { "id": 5001, "name": "JK Rowling", "birthdate": "1965-07-31", "title": "Notebook1" }));
+    assert.ok(!isDeepEqual(expected, { "id": "5001", "name": "JK Rowling", "birthdate": "1965-07-31", "title": "Notebook1" }));
+  });
+});
+
+describe('findFirstMismatch', () => {
+  it('returns null when the values are equal', () => {
+    assert.equal(findFirstMismatch({ "id": 1 }, { "id": 1 }), null);
+  });
+
+  it('reports the path of the first mismatching field', () => {
+    assert.deepEqual(
+      findFirstMismatch({ "value": [{ "ID Number": 1, "First Name": "Mike" }] }, { "value": [{ "ID Number": 1, "First Name": "Michael" }] }),
+      { path: '$.value[0]["First Name"]', expected: "Mike", actual: "Michael" });
+  });
+
+  it('reports arrays of different lengths', () => {
+    assert.deepEqual(findFirstMismatch({ "value": [1] }, { "value": [1, 2] }), { path: '$.value', expectedLength: 1, actualLength: 2 });
+  });
+
+  it('skips the ignored paths', () => {
+    assert.equal(findFirstMismatch({ "value": [{ "id": 1 }] }, { "value": [{ "id": 2 }] }, { ignorePaths: ['$.value[*].id'] }), null);
+    assert.equal(findFirstMismatch(ignoringPaths({ "value": [] }, '$.nextLink'), { "value": [], "nextLink": "http://localhost" }), null);
+  });
+});
@@ -0,0 +1,100 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setRequestHandler } from 'k6/http';
+import { checkResults } from 'k6';
+import { findSerialization, checkConsistency, getWrittenRow, keyOfWrittenRow } from '../Consistency.js';
+
+const brokerWrites = {
+  'updateBrokerFirstName': { entity: 'Broker', primaryKey: { "ID Number": 1 }, fields: { "First Name": "Mike" } },
+  'updateBrokerLastName': { entity: 'Broker', primaryKey: { "ID Number": 1 }, fields: { "Last Name": "Burrows" } }
+};
+
+const notebookWrites = {
+  'updateToCyan': { entity: 'Notebook', primaryKey: { id: 3 }, graphQLField: 'notebook_by_pk', fields: { "color": "cyan" } },
+  'updateToMagenta': { entity: 'Notebook', primaryKey: { id: 3 }, graphQLField: 'notebook_by_pk', fields: { "color": "magenta" } }
+};
+
+// Helper function to build a k6 response
+const toResponse = (status, body) => ({ status: status, body: JSON.stringify(body), error: '' });
+
+// Helper function to get the result of the last check registered with the given name
+const lastCheckResult = (name) => checkResults.filter(checkResult => checkResult.name == name).pop().result;
+
+describe('findSerialization', () => {
+  it('orders writes of different fields when both are applied', () => {
+    assert.ok(findSerialization(Object.keys(brokerWrites), brokerWrites, { "ID Number": 1, "First Name": "Mike", "Last Name": "Burrows" }));
+  });
+
+  it('detects a lost update', () => {
+    assert.equal(findSerialization(Object.keys(brokerWrites), brokerWrites, { "ID Number": 1, "First Name": "Michael", "Last Name": "Burrows" }), null);
+  });
+
+  it('puts the last writer of a field last', () => {
+    assert.deepEqual(findSerialization(Object.keys(notebookWrites), notebookWrites, { "id": 3, "color": "cyan" }), ['updateToMagenta', 'updateToCyan']);
+  });
+
+  it('detects contradicting last writers', () => {
+    const writes = {
+      'first': { fields: { "a": 1, "b": 1 } },
+      'second': { fields: { "a": 2, "b": 2 } }
+    };
+    assert.equal(findSerialization(['first', 'second'], writes, { "a": 1, "b": 2 }), null);
+    assert.deepEqual(findSerialization(['first', 'second'], writes, { "a": 2, "b": 2 }), ['first', 'second']);
+  });
+});
+
+describe('getWrittenRow', () => {
+  it('selects the row of REST and GraphQL responses', () => {
+    assert.deepEqual(getWrittenRow({ "value": [{ "id": 1 }] }), { "id": 1 });
+    assert.deepEqual(getWrittenRow({ "data": { "createPublisher": { "id": 5001 } } }), { "id": 5001 });
+    assert.deepEqual(getWrittenRow({ "data": { "executeUpdateBookTitle": [{ "id": 14 }] } }), { "id": 14 });
+    assert.deepEqual(keyOfWrittenRow('id')({ "id": 5001, "name": "X" }), { "id": 5001 });
+  });
+});
+
+describe('checkConsistency', () => {
+  afterEach(() => setRequestHandler(() => ({ status: 200, body: '' })));
+
+  it('succeeds when the final state is read consistently through REST and GraphQL', () => {
+    setRequestHandler((request) => request.method == 'GET'
+      ? toResponse(200, { "value": [{ "id": 3, "color": "magenta" }] })
+      : toResponse(200, { "data": { "notebook_by_pk": { "id": 3, "color": "magenta" } } }));
+
+    const responses = {
+      'updateToCyan': toResponse(200, { "data": { "updateNotebook": { "id": 3, "color": "cyan" } } }),
+      'updateToMagenta': toResponse(200, { "data": { "updateNotebook": { "id": 3, "color": "magenta" } } })
+    };
+
+    assert.ok(checkConsistency(responses, notebookWrites));
+  });
+
+  it('fails when a writer does not see its own write', () => {
+    setRequestHandler(() => toResponse(200, { "value": [{ "ID Number": 1, "First Name": "Mike", "Last Name": "Burrows" }] }));
+    const responses = {
+      'updateBrokerFirstName': toResponse(200, { "value": [{ "ID Number": 1, "First Name": "Michael", "Last Name": "Burry" }] }),
+      'updateBrokerLastName': toResponse(200, { "value": [{ "ID Number": 1, "First Name": "Mike", "Last Name": "Burrows" }] })
+    };
+
+    assert.ok(!checkConsistency(responses, brokerWrites));
+    assert.equal(lastCheckResult('Validate read your writes'), false);
+    assert.equal(lastCheckResult('Validate serializable final state'), true);
+  });
+
+  it('ignores failed writes and fails when REST and GraphQL disagree', () => {
+    setRequestHandler((request) => request.method == 'GET'
+      ? toResponse(200, { "value": [{ "id": 3, "color": "cyan" }] })
+      : toResponse(200, { "data": { "notebook_by_pk": { "id": 3, "color": "magenta" } } }));
+
+    const responses = {
+      'updateToCyan': toResponse(200, { "data": { "updateNotebook": { "id": 3, "color": "cyan" } } }),
+      'updateToMagenta': toResponse(500, { "error": { "code": "DatabaseOperationFailed", "message": "", "status": 500 } })
+    };
+
+    assert.ok(!checkConsistency(responses, notebookWrites));
+    assert.equal(lastCheckResult('Validate read your writes'), true);
+    assert.equal(lastCheckResult('Validate serializable final state'), false);
+  });
+});
@@ -0,0 +1,39 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setRequestHandler } from 'k6/http';
+import { checkResults } from 'k6';
+import { validateParallelCreateOperationsOnSameItem, validateParallelUpdateOperationsOnSameItem, validateParallelDeleteOperationsOnSameItem } from '../CosmosTests/ParallelOperationsOnSameItem.js';
+import { restorePlanets, removePlanets, planets } from '../CosmosTests/ContainerState.js';
+import { createInMemoryDatabase } from '../MockDab/InMemoryDatabase.mjs';
+import { seedCosmosEntities } from '../MockDab/SeedData.mjs';
+import { serveWithMockDab } from './serveWithMockDab.mjs';
+
+describe('Cosmos DB NoSQL test cases', () => {
+  let database;
+
+  beforeEach(() => {
+    checkResults.length = 0;
+    database = createInMemoryDatabase(seedCosmosEntities());
+    serveWithMockDab(database);
+    restorePlanets();
+  });
+
+  afterEach(() => setRequestHandler(() => ({ status: 200, body: '' })));
+
+  [validateParallelCreateOperationsOnSameItem, validateParallelUpdateOperationsOnSameItem, validateParallelDeleteOperationsOnSameItem].forEach(testCase => {
+    it(`${testCase.name} passes against the mock DAB server`, () => {
+      testCase();
+      assert.deepEqual(checkResults.filter(checkResult => !checkResult.result), []);
+      assert.ok(checkResults.length > 0);
+    });
+  });
+
+  it('removes the planets the test cases act on', () => {
+    removePlanets();
+    planets.forEach(planet => assert.equal(database.findByKey('PlanetAlias', { id: planet.id }), null));
+    assert.ok(database.findByKey('PlanetAlias', { id: 'Earth' }));
+  });
+});
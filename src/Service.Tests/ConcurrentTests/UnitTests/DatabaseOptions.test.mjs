@@ -0,0 +1,49 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getDatabaseProfile, isSupportedByDatabase, isDuplicateKeyError, databaseFeatures } from '../DatabaseOptions.js';
+
+describe('getDatabaseProfile', () => {
+  it('returns the duplicate key status code of each database', () => {
+    assert.equal(getDatabaseProfile('mssql').duplicateKeyStatusCode, 409);
+    assert.equal(getDatabaseProfile('mysql').duplicateKeyStatusCode, 409);
+    assert.equal(getDatabaseProfile('postgresql').duplicateKeyStatusCode, 409);
+  });
+
+  it('fails for an unsupported database type', () => {
+    assert.throws(() => getDatabaseProfile('cosmosdb_nosql'), /Unsupported database type in DAB_DATABASE_TYPE: cosmosdb_nosql/);
+  });
+});
+
+describe('isSupportedByDatabase', () => {
+  const storedProcedureTestCase = { name: 'ParallelStoredProcedureUpdatesAndReads', features: [databaseFeatures.StoredProcedures] };
+
+  it('supports the test cases which do not depend on any feature', () => {
+    assert.ok(isSupportedByDatabase({ name: 'ParallelReadOperations' }, getDatabaseProfile('postgresql')));
+  });
+
+  it('supports the test cases only for the databases supporting their features', () => {
+    assert.ok(isSupportedByDatabase(storedProcedureTestCase, getDatabaseProfile('mssql')));
+    assert.ok(!isSupportedByDatabase(storedProcedureTestCase, getDatabaseProfile('mysql')));
+  });
+});
+
+describe('isDuplicateKeyError', () => {
+  const toErrorResponse = (message) => ({ "error": { "code": "DatabaseOperationFailed", "message": message, "status": 409 } });
+
+  it('matches the error message of the database', () => {
+    assert.ok(isDuplicateKeyError(toErrorResponse("Duplicate entry '4' for key 'brokers.PRIMARY'"), getDatabaseProfile('mysql')));
+    assert.ok(isDuplicateKeyError(toErrorResponse('23505: duplicate key value violates unique constraint "brokers_pkey"'), getDatabaseProfile('postgresql')));
+    assert.ok(!isDuplicateKeyError(toErrorResponse("Duplicate entry '4' for key 'brokers.PRIMARY'"), getDatabaseProfile('postgresql')));
+  });
+
+  it('matches the generic error message returned in production mode', () => {
+    assert.ok(isDuplicateKeyError(toErrorResponse('While processing your request the database ran into an error.'), getDatabaseProfile('mssql')));
+  });
+
+  it('does not match a response without error', () => {
+    assert.ok(!isDuplicateKeyError({ "value": [] }, getDatabaseProfile('mssql')));
+  });
+});
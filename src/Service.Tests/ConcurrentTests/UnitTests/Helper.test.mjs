@@ -0,0 +1,181 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  validateStatusCodes, validateResponseBodies, validateNoErrorsInResponse, getStatusCodeMismatches, getResponseBodyMismatches,
+  hasStatusCodeCount, allStatusCodesIn, valuesArePermutationOf, valuesAreDistinct, responseBodiesSatisfy, allOf, getResponseJson, statusCodes, range,
+  errorCodes, restErrorResponse, graphQLErrorResponse, getErrorContractMismatches,
+  getGraphQLResult, getGraphQLMismatches, createPrincipal, generateStaticWebAppsEasyAuthToken
+} from '../Helper.js';
+
+// Helper function to build the k6 responses of named requests from their status codes and bodies
+const toResponses = (responsesPerQueryName) => {
+  let responses = {};
+  Object.keys(responsesPerQueryName).forEach(queryName => {
+    const [status, body] = responsesPerQueryName[queryName];
+    responses[queryName] = { status: status, body: body == null ? '' : JSON.stringify(body), error: '' };
+  });
+  return responses;
+};
+
+const queryNames = ['deleteUsingRest', 'deleteUsingGraphQL'];
+
+describe('validateStatusCodes', () => {
+  const responses = toResponses({ 'deleteUsingRest': [204, null], 'deleteUsingGraphQL': [200, { "data": { "deleteNotebook": null } }] });
+
+  it('succeeds when one of the acceptable outcomes is met', () => {
+    assert.ok(validateStatusCodes(queryNames, responses,
+      { 'deleteUsingRest': statusCodes.NotFound, 'deleteUsingGraphQL': statusCodes.Ok },
+      { 'deleteUsingRest': statusCodes.NoContent, 'deleteUsingGraphQL': statusCodes.Ok }));
+  });
+
+  it('fails when none of the acceptable outcomes is met', () => {
+    assert.ok(!validateStatusCodes(queryNames, responses, { 'deleteUsingRest': statusCodes.NotFound, 'deleteUsingGraphQL': statusCodes.Ok }));
+  });
+
+  it('accepts invariants as acceptable outcomes', () => {
+    assert.ok(validateStatusCodes(queryNames, responses, allOf(hasStatusCodeCount(statusCodes.NoContent, 1), allStatusCodesIn(statusCodes.NoContent, statusCodes.Ok))));
+    assert.ok(!validateStatusCodes(queryNames, responses, hasStatusCodeCount(statusCodes.NoContent, 2)));
+  });
+
+  it('reports the mismatching status codes', () => {
+    assert.deepEqual(getStatusCodeMismatches(queryNames, responses, { 'deleteUsingRest': statusCodes.NotFound, 'deleteUsingGraphQL': statusCodes.Ok }),
+      [{ request: 'deleteUsingRest', expectedStatus: 404, actualStatus: 204 }]);
+  });
+});
+
+describe('validateResponseBodies', () => {
+  const names = ['createPublisher1', 'createPublisher2'];
+  const responses = toResponses({
+    'createPublisher1': [200, { "data": { "createPublisher": { "id": 5002, "name": "Office Publisher" } } }],
+    'createPublisher2': [200, { "data": { "createPublisher": { "id": 5001, "name": "Office Publisher" } } }]
+  });
+  const selectId = (responseJson) => responseJson.data.createPublisher.id;
+
+  it('succeeds when one of the expected response bodies matches', () => {
+    assert.ok(validateResponseBodies(names, responses,
+      { 'createPublisher1': { "data": { "createPublisher": { "id": 5001, "name": "Office Publisher" } } }, 'createPublisher2': { "data": { "createPublisher": { "id": 5002, "name": "Office Publisher" } } } },
+      { 'createPublisher1': { "data": { "createPublisher": { "id": 5002, "name": "Office Publisher" } } }, 'createPublisher2': { "data": { "createPublisher": { "id": 5001, "name": "Office Publisher" } } } }));
+  });
+
+  it('accepts value invariants', () => {
+    assert.ok(validateResponseBodies(names, responses, allOf(valuesAreDistinct(selectId), valuesArePermutationOf([5001, 5002], selectId))));
+    assert.ok(!validateResponseBodies(names, responses, valuesArePermutationOf([5001, 5003], selectId)));
+  });
+
+  it('accepts predicates on every response body', () => {
+    const hasName = (name) => responseBodiesSatisfy(`name is ${name}`, (responseJson) => responseJson.data.createPublisher.name == name);
+    assert.ok(validateResponseBodies(names, responses, hasName("Office Publisher")));
+    assert.ok(!validateResponseBodies(names, responses, hasName("Home Publisher")));
+  });
+
+  it('reports the path of the mismatching field', () => {
+    const mismatches = getResponseBodyMismatches(['createPublisher1'], responses, { 'createPublisher1': { "data": { "createPublisher": { "id": 5001, "name": "Office Publisher" } } } });
+    assert.equal(mismatches.length, 1);
+    assert.equal(mismatches[0].path, '$.data.createPublisher.id');
+  });
+});
+
+describe('validateNoErrorsInResponse', () => {
+  it('fails when a response reports an error', () => {
+    assert.ok(validateNoErrorsInResponse(['read'], { 'read': { status: 200, body: '{}', error: '' } }));
+    assert.ok(!validateNoErrorsInResponse(['read'], { 'read': { status: 500, body: '{}', error: 'request failed' } }));
+  });
+});
+
+describe('error contracts', () => {
+  const notFound = { "error": { "code": "ItemNotFound", "message": "Could not find item with <id: 4>", "status": 404 } };
+  const notAuthorized = { "data": { "book_by_pk": null }, "errors": [{ "message": "Not authorized", "extensions": { "code": "AUTH_NOT_AUTHORIZED" } }] };
+
+  it('accepts successful responses and errors following the contract', () => {
+    const responses = toResponses({ 'deleteUsingRest': [404, notFound], 'deleteUsingGraphQL': [200, notAuthorized] });
+    assert.deepEqual(getErrorContractMismatches(queryNames, responses), []);
+    assert.deepEqual(getErrorContractMismatches(queryNames, responses,
+      { 'deleteUsingRest': errorCodes.ItemNotFound, 'deleteUsingGraphQL': errorCodes.GraphQLNotAuthorized }), []);
+    assert.deepEqual(getErrorContractMismatches(queryNames, toResponses({ 'deleteUsingRest': [204, null], 'deleteUsingGraphQL': [200, { "data": {} }] }),
+      { 'deleteUsingRest': errorCodes.ItemNotFound }), []);
+  });
+
+  it('reports errors with an unexpected error code', () => {
+    const responses = toResponses({ 'deleteUsingRest': [404, notFound], 'deleteUsingGraphQL': [200, notAuthorized] });
+    const mismatches = getErrorContractMismatches(queryNames, responses,
+      { 'deleteUsingRest': errorCodes.EntityNotFound, 'deleteUsingGraphQL': errorCodes.ItemNotFound });
+    assert.deepEqual(mismatches.map(mismatch => mismatch.request), queryNames);
+  });
+
+  it('reports errors outside of the error envelope', () => {
+    const responses = toResponses({
+      'deleteUsingRest': [404, { "error": { "code": "ItemNotFound", "message": "Not Found", "status": 400 } }],
+      'deleteUsingGraphQL': [200, { "errors": [{ "message": "Not authorized" }] }]
+    });
+    assert.deepEqual(getErrorContractMismatches(queryNames, responses).map(mismatch => mismatch.request), queryNames);
+    assert.equal(getErrorContractMismatches(['deleteUsingRest'], toResponses({ 'deleteUsingRest': [500, "Internal error"] })).length, 1);
+  });
+
+  it('builds expected error responses', () => {
+    const responses = toResponses({ 'deleteUsingRest': [404, notFound], 'deleteUsingGraphQL': [200, notAuthorized] });
+    assert.ok(validateResponseBodies(queryNames, responses, {
+      'deleteUsingRest': restErrorResponse(errorCodes.ItemNotFound, statusCodes.NotFound),
+      'deleteUsingGraphQL': graphQLErrorResponse('book_by_pk', errorCodes.GraphQLNotAuthorized)
+    }));
+    assert.ok(!validateResponseBodies(queryNames, responses, {
+      'deleteUsingRest': restErrorResponse(errorCodes.ItemNotFound, statusCodes.NotFound, "Not Found"),
+      'deleteUsingGraphQL': graphQLErrorResponse('book_by_pk', errorCodes.ItemNotFound)
+    }));
+  });
+});
+
+describe('GraphQL responses', () => {
+  const deleted = { "data": { "deleteNotebook": { "id": 4 } } };
+  const notDeleted = { "data": { "deleteNotebook": null } };
+  const failed = { "data": { "deleteNotebook": null }, "errors": [{ "message": "Could not find item", "extensions": { "code": "ItemNotFound" } }] };
+
+  it('separates the data from the errors', () => {
+    assert.deepEqual(getGraphQLResult(toResponses({ 'q': [200, failed] }).q), { data: { "deleteNotebook": null }, errors: failed.errors });
+    assert.deepEqual(getGraphQLResult(toResponses({ 'q': [200, { "errors": failed.errors }] }).q), { data: null, errors: failed.errors });
+    assert.deepEqual(getGraphQLResult(toResponses({ 'q': [200, deleted] }).q), { data: deleted.data, errors: [] });
+    assert.equal(getGraphQLResult(toResponses({ 'q': [200, { "value": [] }] }).q), null);
+    assert.equal(getGraphQLResult(toResponses({ 'q': [204, null] }).q), null);
+  });
+
+  it('reports the errors and the null fields of the responses with a 200 status code', () => {
+    const responses = toResponses({ 'deleteUsingRest': [200, failed], 'deleteUsingGraphQL': [200, notDeleted] });
+    const mismatches = getGraphQLMismatches(queryNames, responses);
+    assert.deepEqual(mismatches.map(mismatch => mismatch.request), queryNames);
+    assert.deepEqual(mismatches[0].violations, ['error: Could not find item', 'the field deleteNotebook is null']);
+    assert.deepEqual(mismatches[1].violations, ['the field deleteNotebook is null']);
+  });
+
+  it('accepts the null fields which are expected to be null and ignores the other responses', () => {
+    const responses = toResponses({ 'deleteUsingRest': [404, { "error": { "code": "ItemNotFound", "message": "", "status": 404 } }], 'deleteUsingGraphQL': [200, notDeleted] });
+    assert.deepEqual(getGraphQLMismatches(queryNames, responses, { 'deleteUsingGraphQL': ['deleteNotebook'] }), []);
+    assert.equal(getGraphQLMismatches(['deleteUsingGraphQL'], toResponses({ 'deleteUsingGraphQL': [200, failed] }), { 'deleteUsingGraphQL': ['deleteNotebook'] }).length, 1);
+    assert.equal(getGraphQLMismatches(['deleteUsingGraphQL'], toResponses({ 'deleteUsingGraphQL': [400, { "errors": failed.errors }] })).length, 0);
+  });
+});
+
+describe('authentication', () => {
+  // Helper function to decode a StaticWebApps client principal
+  const decodeToken = (token) => JSON.parse(Buffer.from(token, 'base64').toString());
+
+  it('sends the user identity of a StaticWebApps principal as strings', () => {
+    const token = decodeToken(generateStaticWebAppsEasyAuthToken(createPrincipal({ userId: 1, userDetails: 'user@contoso.com' })));
+    assert.deepEqual(token, { "IdentityProvider": "github", "UserId": "1", "UserDetails": "user@contoso.com", "UserRoles": ['anonymous', 'authenticated'], "Claims": null });
+    assert.equal(decodeToken(generateStaticWebAppsEasyAuthToken()).UserId, null);
+  });
+});
+
+describe('getResponseJson', () => {
+  it('returns an empty object for an empty body', () => {
+    assert.deepEqual(getResponseJson({ body: '' }), {});
+    assert.deepEqual(getResponseJson({ body: '{"value":[]}' }), { "value": [] });
+  });
+});
+
+describe('range', () => {
+  it('lists the numbers from start to end', () => {
+    assert.deepEqual(range(1, 3), [1, 2, 3]);
+  });
+});
@@ -0,0 +1,254 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockDabServer, parseDelay } from '../MockDab/MockDabServer.mjs';
+import { seedCosmosEntities } from '../MockDab/SeedData.mjs';
+
+// Helper function to start a mock DAB server on a free port and get its base url
+const startServer = async (options) => {
+  const server = createMockDabServer(options);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server: server, baseUrl: `http://127.0.0.1:${server.address().port}` };
+};
+
+const stopServer = (server) => new Promise(resolve => server.close(resolve));
+
+// Helper function to send a request and parse the response body when there is one
+const send = async (url, method = 'GET', body = null) => {
+  const response = await fetch(url, { method: method, body: body == null ? null : JSON.stringify(body), headers: { 'content-type': 'application/json' } });
+  const text = await response.text();
+  return { status: response.status, json: text ? JSON.parse(text) : null };
+};
+
+const graphQL = (baseUrl, query, variables = {}) => send(`${baseUrl}/graphql`, 'POST', { query: query, variables: variables });
+
+describe('mock DAB server', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    ({ server, baseUrl } = await startServer());
+  });
+
+  after(() => stopServer(server));
+
+  it('reads an item through REST in a value envelope', async () => {
+    assert.deepEqual(await send(`${baseUrl}/api/Author/id/125`),
+      { status: 200, json: { "value": [{ "id": 125, "name": "Aniruddh", "birthdate": "2001-01-01" }] } });
+  });
+
+  it('reads an item whose primary key field contains a space', async () => {
+    const response = await send(`${baseUrl}/api/Broker/ID%20Number/1`);
+    assert.deepEqual(response.json, { "value": [{ "ID Number": 1, "First Name": "Michael", "Last Name": "Burry" }] });
+  });
+
+  it('returns the error contract of DAB when an item is not found', async () => {
+    assert.deepEqual(await send(`${baseUrl}/api/Notebook/id/999`),
+      { status: 404, json: { "error": { "code": "EntityNotFound", "message": "Not Found", "status": 404 } } });
+  });
+
+  it('generates the primary key of created items when it is auto-generated', async () => {
+    const first = await send(`${baseUrl}/api/Publisher`, 'POST', { "name": "Office Publisher" });
+    const second = await send(`${baseUrl}/api/Publisher`, 'POST', { "name": "Office Publisher" });
+    assert.equal(first.status, 201);
+    assert.deepEqual([first.json.value[0].id, second.json.value[0].id], [5001, 5002]);
+  });
+
+  it('fails to create an item whose primary key already exists', async () => {
+    const response = await send(`${baseUrl}/api/Broker`, 'POST', { "ID Number": 2, "First Name": "A", "Last Name": "B" });
+    assert.equal(response.status, 409);
+    assert.equal(response.json.error.code, 'DatabaseOperationFailed');
+  });
+
+  it('inserts with PUT when the item does not exist and updates otherwise', async () => {
+    const inserted = await send(`${baseUrl}/api/Notebook/id/10`, 'PUT', { "notebookname": "Notebook10", "color": "red", "ownername": "Sean" });
+    const updated = await send(`${baseUrl}/api/Notebook/id/10`, 'PATCH', { "color": "blue" });
+    assert.equal(inserted.status, 201);
+    assert.deepEqual(updated, { status: 200, json: { "value": [{ "id": 10, "notebookname": "Notebook10", "color": "blue", "ownername": "Sean" }] } });
+  });
+
+  it('deletes an item only once', async () => {
+    assert.equal((await send(`${baseUrl}/api/Comic/id/2`, 'DELETE')).status, 204);
+    assert.equal((await send(`${baseUrl}/api/Comic/id/2`, 'DELETE')).status, 404);
+  });
+
+  it('pages lists through nextLink', async () => {
+    const firstPage = await send(`${baseUrl}/api/Book?$first=3&$orderby=id desc&$filter=id le 8&$select=id`);
+    assert.deepEqual(firstPage.json.value, [{ "id": 8 }, { "id": 7 }, { "id": 6 }]);
+
+    const secondPage = await send(firstPage.json.nextLink);
+    assert.deepEqual(secondPage.json.value, [{ "id": 5 }, { "id": 4 }, { "id": 3 }]);
+  });
+
+  it('reads an item through GraphQL', async () => {
+    const response = await graphQL(baseUrl, 'query getBookById($id: Int!){ book_by_pk(id: $id) { id title } }', { "id": 1 });
+    assert.deepEqual(response, { status: 200, json: { "data": { "book_by_pk": { "id": 1, "title": "Awesome book" } } } });
+  });
+
+  it('lists items through GraphQL with cursors', async () => {
+    const firstPage = await graphQL(baseUrl, 'query { books(first: 2) { items { id } endCursor hasNextPage } }');
+    assert.deepEqual(firstPage.json.data.books.items, [{ "id": 1 }, { "id": 2 }]);
+    assert.equal(firstPage.json.data.books.hasNextPage, true);
+
+    const secondPage = await graphQL(baseUrl, 'query books($after: String) { books(first: 2, after: $after) { items { id } } }', { "after": firstPage.json.data.books.endCursor });
+    assert.deepEqual(secondPage.json.data.books.items, [{ "id": 3 }, { "id": 4 }]);
+  });
+
+  it('creates, updates and deletes items through GraphQL', async () => {
+    const created = await graphQL(baseUrl, 'mutation createAuthor($author: CreateAuthorInput!) { createAuthor(item: $author) { id name } }', { "author": { "name": "JK Rowling", "birthdate": "1965-07-31" } });
+    const id = created.json.data.createAuthor.id;
+    assert.equal(created.json.data.createAuthor.name, 'JK Rowling');
+
+    const updated = await graphQL(baseUrl, `mutation { updateAuthor(id: ${id}, item: { name: "Dan Brown" }) { name } }`);
+    assert.deepEqual(updated.json, { "data": { "updateAuthor": { "name": "Dan Brown" } } });
+
+    const deleted = await graphQL(baseUrl, `mutation { first: deleteAuthor(id: ${id}) { id } second: deleteAuthor(id: ${id}) { id } }`);
+    assert.deepEqual(deleted.json, { "data": { "first": { "id": id }, "second": null } });
+  });
+
+  it('creates items along with their related items and reads their relationships through GraphQL', async () => {
+    const created = await graphQL(baseUrl, `mutation createBook($item: CreatebookInput!) {
+      createbook(item: $item) { title publishers { name } authors { items { name books { items { title } } } } reviews { items { content } } }
+    }`, { "item": { "title": "Nested Book", "publishers": { "name": "Nested Publisher" }, "authors": [{ "name": "Nested Author", "birthdate": "2000-01-01", "royalty_percentage": 100 }], "reviews": [{ "content": "Nested Review" }] } });
+    assert.deepEqual(created.json, { "data": { "createbook": {
+      "title": "Nested Book",
+      "publishers": { "name": "Nested Publisher" },
+      "authors": { "items": [{ "name": "Nested Author", "books": { "items": [{ "title": "Nested Book" }] } }] },
+      "reviews": { "items": [{ "content": "Nested Review" }] }
+    } } });
+
+    const read = await graphQL(baseUrl, '{ publisher_by_pk(id: 2345) { books { items { id authors { items { id } } } } } }');
+    assert.deepEqual(read.json.data.publisher_by_pk.books.items, [{ "id": 3, "authors": { "items": [{ "id": 123 }, { "id": 124 }] } }, { "id": 4, "authors": { "items": [{ "id": 123 }, { "id": 124 }] } }]);
+  });
+
+  it('creates several items at once through GraphQL', async () => {
+    const created = await graphQL(baseUrl, 'mutation createBooks($items: [CreatebookInput!]!) { createbooks(items: $items) { items { title publisher_id } } }',
+      { "items": [{ "title": "First Book", "publisher_id": 1234 }, { "title": "Second Book", "publisher_id": 2345 }] });
+    assert.deepEqual(created.json, { "data": { "createbooks": { "items": [{ "title": "First Book", "publisher_id": 1234 }, { "title": "Second Book", "publisher_id": 2345 }] } } });
+  });
+
+  it('returns GraphQL errors with an error code', async () => {
+    const response = await graphQL(baseUrl, 'query { broker_by_pk(id: 1) { id } }');
+    assert.equal(response.status, 200);
+    assert.equal(response.json.data.broker_by_pk, null);
+    assert.equal(response.json.errors[0].extensions.code, 'BadRequest');
+  });
+});
+
+describe('mock DAB server ordering', () => {
+  it('processes the requests held by the batch window in reverse order', async () => {
+    const { server, baseUrl } = await startServer({ batchWindowMs: 50, order: 'reverse' });
+    try {
+      const responses = await Promise.all(['red', 'green'].map(color => send(`${baseUrl}/api/Notebook/id/1`, 'PATCH', { "color": color })));
+      assert.deepEqual(responses.map(response => response.status), [200, 200]);
+      assert.equal(server.database.findByKey('Notebook', { id: 1 }).color, 'red');
+    }
+    finally {
+      await stopServer(server);
+    }
+  });
+
+  it('parses fixed and ranged delays', () => {
+    assert.equal(parseDelay(20)(), 20);
+    const delay = parseDelay('10-12')();
+    assert.ok(delay >= 10 && delay <= 12);
+    assert.throws(() => parseDelay('soon'));
+  });
+});
+
+describe('mock DAB server for Cosmos DB NoSQL', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    ({ server, baseUrl } = await startServer({ entities: seedCosmosEntities() }));
+  });
+
+  after(() => stopServer(server));
+
+  const planetByPk = 'query getPlanetById($id: ID, $partitionKeyValue: String){ planet_by_pk(id: $id, _partitionKeyValue: $partitionKeyValue) { id name age } }';
+
+  it('reads an item only in its partition', async () => {
+    assert.deepEqual((await graphQL(baseUrl, planetByPk, { "id": "Earth", "partitionKeyValue": "Earth" })).json,
+      { "data": { "planet_by_pk": { "id": "Earth", "name": "Earth", "age": 4543 } } });
+    assert.deepEqual((await graphQL(baseUrl, planetByPk, { "id": "Earth", "partitionKeyValue": "Mars" })).json,
+      { "data": { "planet_by_pk": null } });
+  });
+
+  it('does not expose the items through REST', async () => {
+    assert.equal((await send(`${baseUrl}/api/PlanetAlias/id/Earth`)).status, 404);
+  });
+
+  it('fails to create an item whose id already exists', async () => {
+    const response = await graphQL(baseUrl, 'mutation { createPlanet(item: { id: "Mars", name: "Mars" }) { id } }');
+    assert.equal(response.json.data.createPlanet, null);
+    assert.match(response.json.errors[0].message, /Conflict \(409\)/);
+  });
+
+  it('replaces, patches and deletes an item', async () => {
+    await graphQL(baseUrl, 'mutation { createPlanet(item: { id: "Pluto", name: "Pluto", age: 1, dimension: "space" }) { id } }');
+
+    const replaced = await graphQL(baseUrl, 'mutation { updatePlanet(id: "Pluto", _partitionKeyValue: "Pluto", item: { id: "Pluto", name: "Dwarf" }) { id name age } }');
+    assert.deepEqual(replaced.json, { "data": { "updatePlanet": { "id": "Pluto", "name": "Dwarf", "age": null } } });
+
+    const patched = await graphQL(baseUrl, 'mutation { patchPlanet(id: "Pluto", _partitionKeyValue: "Pluto", item: { age: 2 }) { id name age } }');
+    assert.deepEqual(patched.json, { "data": { "patchPlanet": { "id": "Pluto", "name": "Dwarf", "age": 2 } } });
+
+    const deleted = await graphQL(baseUrl, 'mutation { first: deletePlanet(id: "Pluto", _partitionKeyValue: "Pluto") { id } second: deletePlanet(id: "Pluto", _partitionKeyValue: "Pluto") { id } }');
+    assert.deepEqual(deleted.json.data, { "first": null, "second": null });
+    assert.match(deleted.json.errors[0].message, /NotFound \(404\)/);
+  });
+});
+
+describe('mock DAB server authorization', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    ({ server, baseUrl } = await startServer());
+  });
+
+  after(() => stopServer(server));
+
+  // Helper function to send a request under the given role
+  const sendAs = async (role, url, method = 'GET', body = null) => {
+    const response = await fetch(url, { method: method, body: body == null ? null : JSON.stringify(body), headers: { 'content-type': 'application/json', 'X-MS-API-ROLE': role } });
+    return { status: response.status, json: JSON.parse(await response.text()) };
+  };
+
+  it('removes the fields excluded from the read action of the role', async () => {
+    assert.deepEqual(await sendAs('test_role_with_excluded_fields', `${baseUrl}/api/Book/id/1`),
+      { status: 200, json: { "value": [{ "id": 1, "title": "Awesome book" }] } });
+  });
+
+  it('rejects the REST requests the role is not allowed to perform', async () => {
+    const forbidden = { status: 403, json: { "error": { "code": "AuthorizationCheckFailed", "message": "Authorization Failure: Access Not Allowed.", "status": 403 } } };
+    assert.deepEqual(await sendAs('test_role_with_noread', `${baseUrl}/api/Book/id/1`), forbidden);
+    assert.deepEqual(await sendAs('test_role_with_excluded_fields', `${baseUrl}/api/Book?$filter=publisher_id eq 1234`), forbidden);
+    assert.deepEqual(await sendAs('role_not_defined', `${baseUrl}/api/Book/id/1`, 'DELETE'), forbidden);
+  });
+
+  it('rejects the requests whose role is not held by the principal of their token', async () => {
+    const principal = (roles) => Buffer.from(JSON.stringify({ "UserId": null, "UserDetails": null, "UserRoles": roles })).toString('base64');
+    const sendWithPrincipal = (roles) => fetch(`${baseUrl}/api/Book/id/1`, { headers: { 'X-MS-API-ROLE': 'test_role_with_excluded_fields', 'X-MS-CLIENT-PRINCIPAL': principal(roles) } });
+    assert.equal((await sendWithPrincipal(['anonymous', 'authenticated'])).status, 403);
+    assert.equal((await sendWithPrincipal(['anonymous', 'authenticated', 'test_role_with_excluded_fields'])).status, 200);
+  });
+
+  it('rolls back the nested creates violating the create policy of the role', async () => {
+    const response = await sendAs('role_multiple_create_policy_tester', `${baseUrl}/graphql`, 'POST',
+      { query: 'mutation { createbook(item: { title: "Test", publishers: { name: "Rejected Publisher" } }) { id } }' });
+    assert.equal(response.json.data.createbook, null);
+    assert.equal(response.json.errors[0].extensions.code, 'DatabasePolicyFailure');
+    assert.deepEqual((await sendAs('anonymous', `${baseUrl}/api/Publisher?$filter=name eq 'Rejected Publisher'`)).json, { "value": [] });
+  });
+
+  it('fails the GraphQL fields the role is not allowed to access', async () => {
+    const response = await sendAs('test_role_with_excluded_fields', `${baseUrl}/graphql`, 'POST', { query: '{ book_by_pk(id: 1) { id publisher_id } }' });
+    assert.equal(response.status, 200);
+    assert.equal(response.json.data.book_by_pk, null);
+    assert.equal(response.json.errors[0].extensions.code, 'AUTH_NOT_AUTHORIZED');
+  });
+});
@@ -0,0 +1,42 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setRequestHandler } from 'k6/http';
+import { validateParallelDeleteOperationsOnSameItem } from '../SqlTests/ParallelDeleteOnSameItem.js';
+import { getRestUrl } from '../Endpoints.js';
+import { createInMemoryDatabase } from '../MockDab/InMemoryDatabase.mjs';
+import { seedEntities } from '../MockDab/SeedData.mjs';
+import { serveWithMockDab, getFailedChecks, resetMockDabBetweenTests } from './serveWithMockDab.mjs';
+
+// Helper function to build the REST request deleting a notebook
+const toDeleteRequest = (id) => ({ method: 'DELETE', url: getRestUrl('Notebook', { id: id }), body: null, params: {} });
+
+describe('parallel deletes of the same item', () => {
+  resetMockDabBetweenTests();
+
+  it('passes when the GraphQL mutation deletes the notebook before the REST request', () => {
+    serveWithMockDab(createInMemoryDatabase(seedEntities()));
+    validateParallelDeleteOperationsOnSameItem();
+    assert.deepEqual(getFailedChecks(), []);
+  });
+
+  it('passes when the REST request deletes the notebook before the GraphQL mutation', () => {
+    const handleRequest = serveWithMockDab(createInMemoryDatabase(seedEntities()));
+    const restResponse = handleRequest(toDeleteRequest(4));
+    setRequestHandler((request, name) => name == 'deleteNotebookUsingRest' ? restResponse : handleRequest(request));
+
+    validateParallelDeleteOperationsOnSameItem();
+    assert.deepEqual(getFailedChecks(), []);
+  });
+
+  it('fails when both requests report that they deleted the notebook', () => {
+    // The REST request deletes another notebook, so that it succeeds along with the GraphQL mutation
+    serveWithMockDab(createInMemoryDatabase(seedEntities()), (request) => request.method == 'DELETE' ? Object.assign({}, request, toDeleteRequest(3)) : request);
+
+    // The status codes match the outcome where the REST request runs first, only the response bodies tell both deleted
+    validateParallelDeleteOperationsOnSameItem();
+    assert.deepEqual(getFailedChecks(), ['Validate API response']);
+  });
+});
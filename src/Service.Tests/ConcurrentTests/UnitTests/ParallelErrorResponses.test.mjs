@@ -0,0 +1,25 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateParallelRequestsOnMissingItems, validateParallelRequestsWithInvalidInput } from '../SqlTests/ParallelErrorResponses.js';
+import { createInMemoryDatabase } from '../MockDab/InMemoryDatabase.mjs';
+import { seedEntities } from '../MockDab/SeedData.mjs';
+import { serveWithMockDab, getFailedChecks, resetMockDabBetweenTests, itPassesAgainstMockDab } from './serveWithMockDab.mjs';
+
+describe('parallel requests failing with DAB errors', () => {
+  resetMockDabBetweenTests();
+
+  itPassesAgainstMockDab([validateParallelRequestsOnMissingItems, validateParallelRequestsWithInvalidInput]);
+
+  it('fails when the unexpected fields of a request body are ignored', () => {
+    // Without the fields of the entities, the mock DAB server accepts any field like a non strict request body
+    const entities = seedEntities().map(entity => Object.assign({}, entity, { fields: undefined }));
+    serveWithMockDab(createInMemoryDatabase(entities));
+
+    validateParallelRequestsWithInvalidInput();
+    assert.ok(getFailedChecks().includes('Validate expected status code'));
+    assert.ok(getFailedChecks().includes('Validate error contract') || getFailedChecks().includes('Validate API response'));
+  });
+});
@@ -0,0 +1,56 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkResults } from 'k6';
+import { validateParallelMultipleCreateOperationsWithSharedRelatedRows } from '../SqlTests/ParallelMultipleCreateOperations.js';
+import { generateAuthHeader } from '../Helper.js';
+import { createInMemoryDatabase } from '../MockDab/InMemoryDatabase.mjs';
+import { seedEntities } from '../MockDab/SeedData.mjs';
+import { serveWithMockDab, getFailedChecks, resetMockDabBetweenTests } from './serveWithMockDab.mjs';
+
+const atomicityCheck = 'Validate multiple create atomicity';
+const policyRole = 'role_multiple_create_policy_tester';
+
+// Helper function to find the publishers with the name of the publisher of the create rejected by the policy
+const getRejectedPublishers = (database) => database.query('Publisher', { filter: [{ field: 'name', operator: 'eq', value: 'Nested Publisher Rejected' }] }).rows;
+
+describe('parallel nested and multiple creates', () => {
+  let database;
+  let data;
+
+  resetMockDabBetweenTests();
+
+  beforeEach(() => {
+    database = createInMemoryDatabase(seedEntities());
+    data = { maxBookId: database.query('Book', { orderBy: [{ field: 'id', descending: true }], first: 1 }).rows[0].id };
+  });
+
+  it('passes against the mock DAB server and leaves nothing behind for the create rejected by the policy', () => {
+    serveWithMockDab(database);
+    validateParallelMultipleCreateOperationsWithSharedRelatedRows(data);
+    assert.deepEqual(getFailedChecks(), []);
+    assert.ok(checkResults.some(checkResult => checkResult.name == atomicityCheck));
+    assert.deepEqual(getRejectedPublishers(database), []);
+  });
+
+  it('fails when the principal of the rejected create does not hold the role of the request', () => {
+    // The rejected create is sent with the default principal, which only holds the anonymous and authenticated roles
+    serveWithMockDab(database, (request) => request.params.headers['X-MS-API-ROLE'] == policyRole
+      ? Object.assign({}, request, { params: { headers: generateAuthHeader(policyRole) } })
+      : request);
+
+    validateParallelMultipleCreateOperationsWithSharedRelatedRows(data);
+    assert.ok(getFailedChecks().includes('Validate expected status code'));
+  });
+
+  it('fails when the create rejected by the policy is partially applied', () => {
+    // The mutations are not rolled back, so the publisher inserted before the book is rejected is left behind
+    serveWithMockDab(Object.assign({}, database, { transaction: (run) => run() }));
+
+    validateParallelMultipleCreateOperationsWithSharedRelatedRows(data);
+    assert.deepEqual(getFailedChecks(), [atomicityCheck]);
+    assert.equal(getRejectedPublishers(database).length, 1);
+  });
+});
@@ -0,0 +1,59 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkResults } from 'k6';
+import { validateParallelRestPaginationWithConcurrentInsertsAndDeletes, validateParallelGraphQLPaginationWithConcurrentInsertsAndDeletes } from '../SqlTests/ParallelPaginationOperations.js';
+import { createInMemoryDatabase } from '../MockDab/InMemoryDatabase.mjs';
+import { seedEntities } from '../MockDab/SeedData.mjs';
+import { serveWithMockDab, getFailedChecks, resetMockDabBetweenTests } from './serveWithMockDab.mjs';
+
+const paginationCheck = 'Validate pagination with concurrent inserts and deletes';
+
+// Helper function to get the ids of the books of publisher 1234
+const getBookIdsOfPublisher = (database) => database.query('Book', { filter: [{ field: 'publisher_id', operator: 'eq', value: 1234 }] }).rows.map(book => book.id);
+
+describe('pagination with concurrent inserts and deletes', () => {
+  let database;
+
+  resetMockDabBetweenTests();
+
+  beforeEach(() => {
+    database = createInMemoryDatabase(seedEntities());
+    serveWithMockDab(database);
+  });
+
+  [
+    ['REST', validateParallelRestPaginationWithConcurrentInsertsAndDeletes],
+    ['GraphQL', validateParallelGraphQLPaginationWithConcurrentInsertsAndDeletes]
+  ].forEach(([protocol, testCase]) => {
+    it(`passes through ${protocol} against the mock DAB server and deletes the books it creates`, () => {
+      const seededIds = getBookIdsOfPublisher(database);
+      testCase();
+      assert.deepEqual(getFailedChecks(), []);
+      assert.ok(checkResults.some(checkResult => checkResult.name == paginationCheck));
+      assert.deepEqual(getBookIdsOfPublisher(database), seededIds);
+    });
+  });
+
+  it('fails when the cursor of the next page is ignored', () => {
+    serveWithMockDab(database, (request) => {
+      const url = new URL(request.url);
+      url.searchParams.delete('$after');
+      return Object.assign({}, request, { url: url.toString(), body: request.body && request.body.replace(/"after":"[^"]*"/, '"after":null') });
+    });
+
+    validateParallelRestPaginationWithConcurrentInsertsAndDeletes();
+    validateParallelGraphQLPaginationWithConcurrentInsertsAndDeletes();
+    assert.deepEqual(getFailedChecks(), [paginationCheck, paginationCheck]);
+  });
+
+  it('reports a GraphQL page returning errors instead of taking it for the last page', () => {
+    serveWithMockDab(database, (request) => Object.assign({}, request, { body: request.body && request.body.replace(/"after":"[^"]*"/, '"after":"invalid"') }));
+
+    validateParallelGraphQLPaginationWithConcurrentInsertsAndDeletes();
+    assert.deepEqual(getFailedChecks(), ['Validate GraphQL response', paginationCheck]);
+    assert.deepEqual(getBookIdsOfPublisher(database).filter(id => id > 5000), []);
+  });
+});
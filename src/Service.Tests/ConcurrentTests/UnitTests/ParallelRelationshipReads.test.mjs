@@ -0,0 +1,25 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateParallelRelationshipReadsWithConcurrentMutations } from '../SqlTests/ParallelRelationshipReads.js';
+import { createInMemoryDatabase } from '../MockDab/InMemoryDatabase.mjs';
+import { seedEntities } from '../MockDab/SeedData.mjs';
+import { serveWithMockDab, getFailedChecks, resetMockDabBetweenTests, itPassesAgainstMockDab } from './serveWithMockDab.mjs';
+
+describe('parallel relationship reads with concurrent mutations', () => {
+  resetMockDabBetweenTests();
+
+  itPassesAgainstMockDab([validateParallelRelationshipReadsWithConcurrentMutations]);
+
+  it('fails when the books of a publisher are not resolved', () => {
+    // The publisher has no books relationship, so its books are read as null
+    serveWithMockDab(createInMemoryDatabase(seedEntities().map(entity => entity.name == 'Publisher'
+      ? Object.assign({}, entity, { relationships: {} })
+      : entity)));
+
+    validateParallelRelationshipReadsWithConcurrentMutations();
+    assert.deepEqual(getFailedChecks(), ['Validate API response']);
+  });
+});
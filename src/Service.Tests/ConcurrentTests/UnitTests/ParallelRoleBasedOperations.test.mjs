@@ -0,0 +1,28 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateParallelReadsUnderDifferentRoles, validateParallelUpdatesAndReadsUnderDifferentRoles } from '../SqlTests/ParallelRoleBasedOperations.js';
+import { createInMemoryDatabase } from '../MockDab/InMemoryDatabase.mjs';
+import { seedEntities } from '../MockDab/SeedData.mjs';
+import { serveWithMockDab, getFailedChecks, resetMockDabBetweenTests, itPassesAgainstMockDab } from './serveWithMockDab.mjs';
+
+describe('parallel requests under different roles', () => {
+  resetMockDabBetweenTests();
+
+  itPassesAgainstMockDab([validateParallelReadsUnderDifferentRoles, validateParallelUpdatesAndReadsUnderDifferentRoles]);
+
+  it('fails when the role of a request leaks to the other requests', () => {
+    // Every request is served with the role of the first request of the batch, i.e. anonymous
+    let leakedHeaders = null;
+    serveWithMockDab(createInMemoryDatabase(seedEntities()), (request) => {
+      leakedHeaders = leakedHeaders || request.params.headers;
+      return Object.assign({}, request, { params: { headers: leakedHeaders } });
+    });
+
+    validateParallelReadsUnderDifferentRoles();
+    assert.ok(getFailedChecks().includes('Validate API response'));
+    assert.ok(getFailedChecks().includes('Validate expected status code'));
+  });
+});
@@ -0,0 +1,97 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setRequestHandler } from 'k6/http';
+import { checkResults } from 'k6';
+import { metricSamples } from 'k6/metrics';
+import { parseSamples, collectResults, toJUnitXml, toHtmlReport, toReports } from '../ReportBuilder.mjs';
+import { validateParallelRequestsOnMissingItems } from '../SqlTests/ParallelErrorResponses.js';
+import { createInMemoryDatabase } from '../MockDab/InMemoryDatabase.mjs';
+import { seedEntities } from '../MockDab/SeedData.mjs';
+import { serveWithMockDab } from './serveWithMockDab.mjs';
+
+const scenarioName = 'ParallelRequestsOnMissingItems';
+
+// Helper function to build a line of the k6 JSON output describing a sample
+const toPointLine = (metric, value, tags, time = '2026-01-01T00:00:00Z') => {
+  return JSON.stringify({ type: 'Point', metric: metric, data: { time: time, value: value, tags: tags } });
+};
+
+// Helper function to build the k6 JSON output of the checks and the metric samples recorded by the k6 test double,
+// as if all of them were recorded by the scenario of the given name. The responses of the test double have no
+// timings, so the durations of the requests are given separately.
+const toJsonOutput = (durations = []) => {
+  const scenarioTags = { scenario: scenarioName, group: `::${scenarioName}` };
+  return [JSON.stringify({ type: 'Metric', metric: 'checks', data: { type: 'rate' } })]
+    .concat(checkResults.map(checkResult => toPointLine('checks', checkResult.result ? 1 : 0, Object.assign({ check: checkResult.name }, scenarioTags))))
+    .concat(metricSamples.map(sample => toPointLine(sample.metric, sample.value, Object.assign({}, sample.tags, scenarioTags))))
+    .concat(durations.map(([request, duration]) => toPointLine('dab_request_duration', duration, Object.assign({ request: request, status: '200' }, scenarioTags), '2026-01-01T00:00:01.500Z')))
+    .concat([toPointLine('iterations', 1, { scenario: 'default', group: '::setup' })])
+    .join('\n') + '\n';
+};
+
+describe('report builder', () => {
+  beforeEach(() => {
+    checkResults.length = 0;
+    metricSamples.length = 0;
+  });
+
+  afterEach(() => setRequestHandler(() => ({ status: 200, body: '' })));
+
+  it('reports the checks and the requests of a passing scenario per request name and status code', () => {
+    serveWithMockDab(createInMemoryDatabase(seedEntities()));
+    validateParallelRequestsOnMissingItems();
+
+    const results = collectResults(parseSamples(toJsonOutput([['readExistingBookUsingRest', 10], ['readExistingBookUsingRest', 30]])));
+    assert.ok(results.passed);
+    assert.equal(results.durationMs, 1500);
+    assert.deepEqual(results.scenarios.map(scenario => scenario.name), [scenarioName]);
+    assert.deepEqual(results.scenarios[0].checks.map(scenarioCheck => scenarioCheck.name),
+      ['Validate no errors', 'Validate expected status code', 'Validate API response', 'Validate error contract']);
+
+    const requests = results.scenarios[0].requests;
+    assert.deepEqual(requests.map(request => [request.name, request.status, request.count, request.errors]), [
+      ['readExistingBookUsingRest', 200, 1, 0], ['readExistingNotebookUsingRest', 200, 1, 0], ['readMissingBookUsingRest', 404, 1, 1],
+      ['deleteMissingNotebookUsingRest', 404, 1, 1], ['updateMissingBookUsingRest', 404, 1, 1], ['updateMissingBookUsingGraphQL', 200, 1, 0]
+    ]);
+    assert.deepEqual(requests[0].latencyMs, { min: 10, avg: 20, med: 20, 'p(95)': 29, max: 30 });
+    assert.equal(requests[1].latencyMs, null);
+
+    const junit = toJUnitXml(results);
+    assert.match(junit, /<testsuites name="DAB concurrency tests" tests="4" failures="0" time="1.5">/);
+    assert.match(junit, /<testcase classname="ParallelRequestsOnMissingItems" name="Validate error contract">/);
+    assert.doesNotMatch(junit, /<failure/);
+    assert.match(toHtmlReport(results), /<td>readMissingBookUsingRest<\/td><td>404<\/td><td>1<\/td><td>1<\/td>/);
+  });
+
+  it('reports the diagnostics of the failed checks', () => {
+    // The missing book is reported as deleted
+    serveWithMockDab(createInMemoryDatabase(seedEntities()), (request) => request.method == 'DELETE'
+      ? Object.assign({}, request, { url: request.url.replace('/-1', '/1') })
+      : request);
+    validateParallelRequestsOnMissingItems();
+
+    const results = collectResults(parseSamples(toJsonOutput()));
+    const statusCheck = results.scenarios[0].checks.find(scenarioCheck => scenarioCheck.name == 'Validate expected status code');
+    assert.ok(!results.passed);
+    assert.equal(statusCheck.fails, 1);
+    assert.equal(statusCheck.diagnostics.length, 1);
+
+    const junit = toJUnitXml(results);
+    assert.match(junit, /<failure message="1 of 1 checks failed">\{\n {2}&quot;mismatchesPerAcceptableOutcome&quot;: \[/);
+    assert.match(junit, /deleteMissingNotebookUsingRest/);
+    const html = toHtmlReport(results);
+    assert.match(html, /<h2>ParallelRequestsOnMissingItems: failed<\/h2>/);
+    assert.match(html, /<pre>\{\n {2}&quot;mismatchesPerAcceptableOutcome&quot;/);
+  });
+
+  it('reports the scenarios without checks as failed', () => {
+    const results = collectResults(parseSamples(toPointLine('iterations', 1, { scenario: 'OtherScenario' })));
+    const reports = toReports(results, 'results');
+    assert.deepEqual(Object.keys(reports), ['results.xml', 'results.json', 'results.html']);
+    assert.match(reports['results.xml'], /<failure message="The scenario registered no check">/);
+    assert.equal(JSON.parse(reports['results.json']).passed, false);
+  });
+});
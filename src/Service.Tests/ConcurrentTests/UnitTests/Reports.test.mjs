@@ -0,0 +1,73 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setRequestHandler } from 'k6/http';
+import { checkResults } from 'k6';
+import { metricSamples } from 'k6/metrics';
+import { toConsoleSummary } from '../Reports.js';
+import { validateParallelRequestsOnMissingItems } from '../SqlTests/ParallelErrorResponses.js';
+import { createInMemoryDatabase } from '../MockDab/InMemoryDatabase.mjs';
+import { seedEntities } from '../MockDab/SeedData.mjs';
+import { serveWithMockDab } from './serveWithMockDab.mjs';
+
+const scenarioName = 'ParallelRequestsOnMissingItems';
+
+// Helper function to build the data received by handleSummary from the checks recorded by the k6 test double,
+// as if all of them were registered in the group of the given name
+const toSummaryData = (groupName) => {
+  let checks = [];
+  checkResults.forEach(checkResult => {
+    let groupCheck = checks.find(existingCheck => existingCheck.name == checkResult.name);
+    if (!groupCheck) {
+      groupCheck = { name: checkResult.name, passes: 0, fails: 0 };
+      checks.push(groupCheck);
+    }
+
+    groupCheck[checkResult.result ? 'passes' : 'fails']++;
+  });
+
+  return { root_group: { name: '', groups: [{ name: groupName, groups: [], checks: checks }], checks: [] } };
+};
+
+describe('reports', () => {
+  beforeEach(() => {
+    checkResults.length = 0;
+    metricSamples.length = 0;
+  });
+
+  afterEach(() => setRequestHandler(() => ({ status: 200, body: '' })));
+
+  it('records the requests in metrics tagged with their name and status code', () => {
+    serveWithMockDab(createInMemoryDatabase(seedEntities()));
+    validateParallelRequestsOnMissingItems();
+
+    assert.deepEqual(metricSamples.filter(sample => sample.metric == 'dab_requests').map(sample => [sample.tags.request, sample.tags.status]), [
+      ['readExistingBookUsingRest', '200'], ['readExistingNotebookUsingRest', '200'], ['readMissingBookUsingRest', '404'],
+      ['deleteMissingNotebookUsingRest', '404'], ['updateMissingBookUsingRest', '404'], ['updateMissingBookUsingGraphQL', '200']
+    ]);
+    assert.ok(checkResults.every(checkResult => !/[{}]/.test(checkResult.name)));
+    assert.equal(metricSamples.filter(sample => sample.metric == 'dab_check_failures').length, 0);
+  });
+
+  it('records the diagnostics of the failed checks', () => {
+    // The missing book is reported as deleted
+    serveWithMockDab(createInMemoryDatabase(seedEntities()), (request) => request.method == 'DELETE'
+      ? Object.assign({}, request, { url: request.url.replace('/-1', '/1') })
+      : request);
+    validateParallelRequestsOnMissingItems();
+
+    const failures = metricSamples.filter(sample => sample.metric == 'dab_check_failures');
+    assert.ok(failures.some(sample => sample.tags.check == 'Validate expected status code'));
+    assert.ok(failures.every(sample => Array.isArray(JSON.parse(sample.tags.diagnostics).mismatchesPerAcceptableOutcome)));
+  });
+
+  it('summarizes the checks of each scenario on the console', () => {
+    serveWithMockDab(createInMemoryDatabase(seedEntities()));
+    validateParallelRequestsOnMissingItems();
+
+    assert.match(toConsoleSummary(toSummaryData(scenarioName), [scenarioName]).stdout, /^1 of 1 scenarios passed:\n  passed ParallelRequestsOnMissingItems\n/);
+    assert.match(toConsoleSummary(toSummaryData('OtherScenario'), [scenarioName]).stdout, /0 of 1 scenarios passed:\n  FAILED ParallelRequestsOnMissingItems/);
+  });
+});
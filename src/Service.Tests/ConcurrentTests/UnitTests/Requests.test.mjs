@@ -0,0 +1,103 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http, { setRequestHandler } from 'k6/http';
+import { rest, graphql, entities, getStoredProcedureRestRequest, getStoredProcedureGraphQLRequest } from '../Requests.js';
+import { restEndPoint, graphQLEndPoint } from '../Endpoints.js';
+import { getResponseJson } from '../Helper.js';
+import { createInMemoryDatabase } from '../MockDab/InMemoryDatabase.mjs';
+import { seedEntities, seedCosmosEntities } from '../MockDab/SeedData.mjs';
+import { serveWithMockDab } from './serveWithMockDab.mjs';
+
+describe('REST request builders', () => {
+  it('addresses items with simple and composite keys', () => {
+    assert.equal(rest.get('Author', { id: 124 }).url, `${restEndPoint}/Author/id/124`);
+    assert.equal(rest.delete('Stock', { categoryid: 1, pieceid: 2 }).url, `${restEndPoint}/Stock/categoryid/1/pieceid/2`);
+    assert.equal(rest.patch('Broker', { "ID Number": 1 }, {}).url, `${restEndPoint}/Broker/ID%20Number/1`);
+    assert.equal(rest.post(entities.Book).url, `${restEndPoint}/Book`);
+  });
+
+  it('adds the OData query parameters to the url', () => {
+    const request = rest.get('Book', null, null, { filter: "title eq 'A&B'", select: ['id', 'title'], orderby: 'id desc', first: 2, after: 'abc=' });
+    assert.equal(request.url, `${restEndPoint}/Book?$filter=title%20eq%20'A%26B'&$select=id%2Ctitle&$orderby=id%20desc&$first=2&$after=abc%3D`);
+    assert.equal(request.method, 'GET');
+    assert.equal(request.body, null);
+  });
+
+  it('serializes the body and sends the request with the role of the options', () => {
+    const request = rest.put('Notebook', { id: 1 }, { "color": "red" }, { role: 'anonymous' });
+    assert.deepEqual({ method: request.method, body: request.body }, { method: 'PUT', body: '{"color":"red"}' });
+    assert.equal(request.params.headers['X-MS-API-ROLE'], 'anonymous');
+    assert.deepEqual(rest.delete('Notebook', { id: 1 }, null, { params: { headers: {} } }).params, { headers: {} });
+  });
+});
+
+describe('GraphQL request builders', () => {
+  afterEach(() => setRequestHandler(() => ({ status: 200, body: '' })));
+
+  it('follows the names DAB generates for the entities', () => {
+    const request = graphql.update(entities.Book, ['id', 'title'], { id: 1, item: { "title": "New title" } });
+    const body = JSON.parse(request.body);
+    assert.equal(request.url, graphQLEndPoint);
+    assert.match(body.query, /^mutation updatebook\(\$id: Int!, \$item: UpdatebookInput!\) \{\s+updatebook\(id: \$id, item: \$item\) \{\s+id title\s+\}/);
+    assert.deepEqual(body.variables, { "id": 1, "item": { "title": "New title" } });
+    assert.match(JSON.parse(graphql.byPk(entities.Publisher, ['id'], { id: 1 }).body).query, /publisher_by_pk\(id: \$id\)/);
+    assert.match(JSON.parse(graphql.list(entities.Publisher, ['items { id }'], { first: 1 }).body).query, /query publishers\(\$first: Int\) \{\s+publishers\(first: \$first\)/);
+    assert.match(JSON.parse(graphql.create(entities.Author, ['id'], { item: {} }).body).query, /createAuthor\(\$item: CreateAuthorInput!\)/);
+    assert.match(JSON.parse(graphql.createMultiple(entities.Book, ['items { id }'], { items: [] }).body).query, /createbooks\(\$items: \[CreatebookInput!\]!\)/);
+    assert.match(JSON.parse(graphql.patch(entities.Planet, ['id'], { id: 'a', _partitionKeyValue: 'a', item: {} }).body).query,
+      /patchPlanet\(\$id: ID!, \$_partitionKeyValue: String!, \$item: PatchPlanetInput!\)/);
+  });
+
+  it('reads and writes items of the mock DAB server', () => {
+    serveWithMockDab(createInMemoryDatabase(seedEntities()));
+    const responses = http.batch({
+      'read': graphql.byPk(entities.Book, ['id', 'title'], { id: 1 }),
+      'list': graphql.list(entities.Book, ['items { id }', 'hasNextPage'], { first: 2, filter: { publisher_id: { eq: 2345 } }, orderBy: { id: 'DESC' } }),
+      'create': graphql.create(entities.Publisher, ['name'], { item: { "name": "Built Publisher" } }),
+      'update': graphql.update(entities.Notebook, ['id', 'color'], { id: 3, item: { "color": "cyan" } }),
+      'delete': graphql.delete(entities.Notebook, ['id'], { id: 4 }),
+      'readUsingRest': rest.get('Notebook', { id: 3 }, null, { select: ['color'] })
+    });
+
+    assert.deepEqual(getResponseJson(responses['read']), { "data": { "book_by_pk": { "id": 1, "title": "Awesome book" } } });
+    assert.deepEqual(getResponseJson(responses['list']), { "data": { "books": { "items": [{ "id": 4 }, { "id": 3 }], "hasNextPage": false } } });
+    assert.deepEqual(getResponseJson(responses['create']), { "data": { "createPublisher": { "name": "Built Publisher" } } });
+    assert.deepEqual(getResponseJson(responses['update']), { "data": { "updateNotebook": { "id": 3, "color": "cyan" } } });
+    assert.deepEqual(getResponseJson(responses['delete']), { "data": { "deleteNotebook": { "id": 4 } } });
+    assert.deepEqual(getResponseJson(responses['readUsingRest']), { "value": [{ "color": "cyan" }] });
+  });
+
+  it('identifies the items of Cosmos DB containers by their partition key value', () => {
+    serveWithMockDab(createInMemoryDatabase(seedCosmosEntities()));
+    const id = seedCosmosEntities().find(entity => entity.name == 'PlanetAlias').rows[0].id;
+    const response = http.batch({ 'read': graphql.byPk(entities.Planet, ['id'], { id: id, _partitionKeyValue: id }) })['read'];
+    assert.deepEqual(getResponseJson(response), { "data": { "planet_by_pk": { "id": id } } });
+  });
+});
+
+describe('stored procedure request builders', () => {
+  it('sends the parameters of REST GET requests in the query string', () => {
+    const request = getStoredProcedureRestRequest('GetBook', 'GET', { "id": 14 });
+    assert.equal(request.method, 'GET');
+    assert.equal(request.url, `${restEndPoint}/GetBook?id=14`);
+    assert.equal(request.body, null);
+    assert.equal(getStoredProcedureRestRequest('GetBooks', 'GET').url, `${restEndPoint}/GetBooks`);
+  });
+
+  it('sends the parameters of REST POST requests in the body', () => {
+    const request = getStoredProcedureRestRequest('UpdateBookTitle', 'POST', { "id": 14, "title": "Before Midnight" }, 'anonymous');
+    assert.equal(request.url, `${restEndPoint}/UpdateBookTitle`);
+    assert.deepEqual(JSON.parse(request.body), { "id": 14, "title": "Before Midnight" });
+    assert.equal(request.params.headers['X-MS-API-ROLE'], 'anonymous');
+  });
+
+  it('executes GraphQL queries and mutations through the execute field', () => {
+    const request = getStoredProcedureGraphQLRequest('UpdateBookTitle', 'mutation', { "id": 14, "title": "Before Midnight" }, ['id', 'title']);
+    assert.equal(request.url, graphQLEndPoint);
+    assert.equal(JSON.parse(request.body).query, 'mutation { executeUpdateBookTitle(id: 14, title: "Before Midnight") { id title } }');
+    assert.equal(JSON.parse(getStoredProcedureGraphQLRequest('GetBooks', 'query', {}, ['id']).body).query, 'query { executeGetBooks { id } }');
+  });
+});
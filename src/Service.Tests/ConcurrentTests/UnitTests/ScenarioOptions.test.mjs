@@ -0,0 +1,28 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { toScenarios } from '../ScenarioOptions.js';
+
+describe('toScenarios', () => {
+  it('runs the test cases one after the other without overlapping', () => {
+    const scenarios = toScenarios([
+      { name: 'ParallelReadOperations', tags: { protocols: 'graphql,rest', operations: 'read' } },
+      { name: 'ParallelCRUDOperations', tags: { protocols: 'graphql,rest', operations: 'create,read,update,delete' } }
+    ], 'runTestCase');
+
+    assert.deepEqual(Object.keys(scenarios), ['ParallelReadOperations', 'ParallelCRUDOperations']);
+    assert.deepEqual(scenarios['ParallelCRUDOperations'], {
+      executor: 'per-vu-iterations',
+      vus: 1,
+      iterations: 1,
+      startTime: '10s',
+      maxDuration: '10s',
+      gracefulStop: '0s',
+      exec: 'runTestCase',
+      tags: { protocols: 'graphql,rest', operations: 'create,read,update,delete' }
+    });
+    assert.equal(scenarios['ParallelReadOperations'].startTime, '0s');
+  });
+});
@@ -0,0 +1,61 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { setRequestHandler } from 'k6/http';
+import { checkResults } from 'k6';
+import { parseScenario, runScenario, selectPath } from '../ScenarioRunner.js';
+import { createInMemoryDatabase } from '../MockDab/InMemoryDatabase.mjs';
+import { seedEntities } from '../MockDab/SeedData.mjs';
+import { serveWithMockDab } from './serveWithMockDab.mjs';
+
+const scenariosFolder = new URL('../SqlTests/Scenarios/', import.meta.url);
+const scenarioFiles = JSON.parse(readFileSync(new URL('index.json', scenariosFolder)));
+
+describe('selectPath', () => {
+  it('selects nested values', () => {
+    assert.equal(selectPath({ "value": [{ "ID Number": 1 }] }, '$.value[0].ID Number'), 1);
+    assert.equal(selectPath({ "data": null }, '$.data.createPublisher.id'), undefined);
+  });
+});
+
+describe('declarative scenarios', () => {
+  beforeEach(() => {
+    checkResults.length = 0;
+    serveWithMockDab(createInMemoryDatabase(seedEntities()));
+  });
+
+  afterEach(() => setRequestHandler(() => ({ status: 200, body: '' })));
+
+  scenarioFiles.forEach(scenarioFile => {
+    it(`${scenarioFile} passes against the mock DAB server`, () => {
+      const scenario = parseScenario(readFileSync(new URL(scenarioFile, scenariosFolder), 'utf8'));
+      runScenario(scenario);
+      assert.deepEqual(checkResults.filter(checkResult => !checkResult.result), []);
+      assert.ok(checkResults.length > 0);
+    });
+  });
+
+  // Scenario reading a notebook which does not exist, whose field is null without errors
+  const toMissingNotebookScenario = (nullableFields) => JSON.stringify({
+    "name": "ReadMissingNotebook",
+    "role": "authenticated",
+    "requests": {
+      "readMissingNotebook": {
+        "graphql": { "query": "query readNotebook($id: Int!) { notebook_by_pk(id: $id) { id } }", "variables": { "id": -1 } }
+      }
+    },
+    "nullableFields": nullableFields
+  });
+
+  it('validates that the GraphQL fields are not null unless they are nullable', () => {
+    runScenario(parseScenario(toMissingNotebookScenario(undefined)));
+    assert.deepEqual(checkResults.filter(checkResult => !checkResult.result).map(checkResult => checkResult.name), ['Validate GraphQL response']);
+
+    checkResults.length = 0;
+    runScenario(parseScenario(toMissingNotebookScenario({ "readMissingNotebook": ["notebook_by_pk"] })));
+    assert.deepEqual(checkResults.filter(checkResult => !checkResult.result), []);
+  });
+});
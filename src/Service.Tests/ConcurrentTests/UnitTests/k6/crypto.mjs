@@ -0,0 +1,12 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { createHmac } from 'node:crypto';
+
+// Test double of the k6/crypto module
+export const hmac = (algorithm, secret, data, outputEncoding) => {
+  const digest = createHmac(algorithm, secret).update(data);
+  return digest.digest(outputEncoding == 'base64rawurl' ? 'base64url' : outputEncoding);
+};
+
+export default { hmac };
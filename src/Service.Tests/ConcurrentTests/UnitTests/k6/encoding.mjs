@@ -0,0 +1,9 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Test double of the k6/encoding module
+export const b64encode = (input, encoding = 'std') => {
+  return Buffer.from(input).toString(encoding == 'rawurl' || encoding == 'url' ? 'base64url' : 'base64');
+};
+
+export default { b64encode };
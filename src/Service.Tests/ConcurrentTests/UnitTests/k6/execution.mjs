@@ -0,0 +1,5 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Test double of the k6/execution module
+export default { scenario: { name: '' } };
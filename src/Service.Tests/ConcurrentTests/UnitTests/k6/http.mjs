@@ -0,0 +1,30 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Test double of the k6/http module. The responses are produced by the handler set by the test,
+// which receives each request along with its name when the request is part of a named batch.
+let requestHandler = () => ({ status: 200, body: '' });
+
+export const setRequestHandler = (handler) => {
+  requestHandler = handler;
+};
+
+const toResponse = (request, name) => {
+  return Object.assign({ status: 200, body: '', error: '' }, requestHandler(request, name));
+};
+
+export const request = (method, url, body = null, params = {}) => toResponse({ method, url, body, params });
+
+export const get = (url, params) => request('GET', url, null, params);
+
+export const post = (url, body, params) => request('POST', url, body, params);
+
+export const batch = (requests) => {
+  let responses = Array.isArray(requests) ? [] : {};
+  Object.keys(requests).forEach(name => {
+    responses[name] = toResponse(requests[name], name);
+  });
+  return responses;
+};
+
+export default { request, get, post, batch, setRequestHandler };
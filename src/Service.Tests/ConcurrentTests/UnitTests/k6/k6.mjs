@@ -0,0 +1,17 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Test double of the k6 module recording the results of the checks. Groups run their function as is.
+export const checkResults = [];
+
+export const check = (value, checks) => {
+  return Object.keys(checks).reduce((succeeded, name) => {
+    const result = Boolean(checks[name](value));
+    checkResults.push({ name: name, result: result });
+    return succeeded && result;
+  }, true);
+};
+
+export const group = (name, run) => run();
+
+export const sleep = () => { };
@@ -0,0 +1,19 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Test double of the k6/metrics module recording the samples added to the custom metrics
+export const metricSamples = [];
+
+class Metric {
+  constructor(name) {
+    this.name = name;
+  }
+
+  add(value, tags = {}) {
+    metricSamples.push({ metric: this.name, value: value, tags: tags });
+  }
+}
+
+export class Counter extends Metric { }
+
+export class Trend extends Metric { }
@@ -0,0 +1,24 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Module resolution hooks mapping the k6 modules to their test doubles, e.g. k6/http to k6/http.mjs.
+// The k6 scripts of the test suite are ES modules with a .js extension, so they are loaded as ES modules.
+
+const k6Modules = ['k6', 'k6/http', 'k6/encoding', 'k6/crypto', 'k6/execution', 'k6/metrics'];
+
+export const resolve = async (specifier, context, nextResolve) => {
+  if (k6Modules.includes(specifier)) {
+    const fileName = specifier == 'k6' ? 'k6/k6.mjs' : `${specifier}.mjs`;
+    return { url: new URL(fileName, import.meta.url).href, shortCircuit: true };
+  }
+
+  return nextResolve(specifier, context);
+};
+
+export const load = async (url, context, nextLoad) => {
+  if (url.startsWith('file:') && url.endsWith('.js')) {
+    return nextLoad(url, Object.assign({}, context, { format: 'module' }));
+  }
+
+  return nextLoad(url, context);
+};
@@ -0,0 +1,12 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { register } from 'node:module';
+
+// Allows the k6 scripts of the test suite to be imported by the Node test runner.
+// The k6 modules are resolved to the test doubles of the k6 folder and the __ENV global of k6
+// is populated from the environment variables. Run the unit tests from the ConcurrentTests folder with:
+// node --import ./UnitTests/registerK6Modules.mjs --test UnitTests/
+globalThis.__ENV = Object.assign({}, process.env);
+
+register('./k6ModuleResolver.mjs', import.meta.url);
@@ -0,0 +1,64 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setRequestHandler } from 'k6/http';
+import { checkResults } from 'k6';
+import { restPath, graphQLPath } from '../Endpoints.js';
+import { handleRestRequest } from '../MockDab/RestHandler.mjs';
+import { handleGraphQLRequest } from '../MockDab/GraphQLHandler.mjs';
+import { getClientRole, isValidRoleContext } from '../MockDab/Authorization.mjs';
+import { createInMemoryDatabase } from '../MockDab/InMemoryDatabase.mjs';
+import { seedEntities } from '../MockDab/SeedData.mjs';
+
+// Serves the requests of the k6/http test double with the handlers of the mock DAB server.
+// The requests of a batch are processed one after the other in the order they are listed.
+// rewriteRequest can alter each request before it is processed, e.g. to simulate a faulty server.
+// The handler is returned so that tests can process requests out of the order of the batch.
+// Like DAB, the requests whose X-MS-API-ROLE header names a role their principal does not hold fail with a 403 status code.
+export const serveWithMockDab = (database, rewriteRequest = (request) => request) => {
+  const handleRequest = (originalRequest) => {
+    const request = rewriteRequest(originalRequest);
+    const url = new URL(request.url);
+    const headers = (request.params || {}).headers;
+    if (!isValidRoleContext(headers)) {
+      return { status: 403, body: '', error: 'request failed with status 403' };
+    }
+
+    const role = getClientRole(headers);
+    const result = url.pathname.startsWith(graphQLPath)
+      ? handleGraphQLRequest(database, request.body, role)
+      : handleRestRequest(database, request.method, url.pathname.substring(restPath.length), url, request.body, role);
+    return { status: result.status, body: result.body, error: result.status >= 400 ? `request failed with status ${result.status}` : '' };
+  };
+
+  setRequestHandler(handleRequest);
+  return handleRequest;
+};
+
+// Gets the names of the failed checks recorded by the k6 test double
+export const getFailedChecks = () => checkResults.filter(checkResult => !checkResult.result).map(checkResult => checkResult.name);
+
+// Registers the hooks of a suite of test cases: the recorded checks are cleared before each test
+// and the k6/http test double stops serving the mock DAB server after each test.
+export const resetMockDabBetweenTests = () => {
+  beforeEach(() => {
+    checkResults.length = 0;
+  });
+
+  afterEach(() => setRequestHandler(() => ({ status: 200, body: '' })));
+};
+
+// Registers a test per test case, running it against a mock DAB server holding the given entities and
+// expecting all its checks to pass
+export const itPassesAgainstMockDab = (testCases, entities = seedEntities) => {
+  testCases.forEach(testCase => {
+    it(`${testCase.name} passes against the mock DAB server`, () => {
+      serveWithMockDab(createInMemoryDatabase(entities()));
+      testCase();
+      assert.deepEqual(getFailedChecks(), []);
+      assert.ok(checkResults.length > 0);
+    });
+  });
+};